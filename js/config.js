@@ -1,3 +1,16 @@
+/**
+ * Physics server to connect to: the page's ?server= parameter, else port 8080 on the page's host
+ */
+export function getServerUrl() {
+    if (typeof window === 'undefined') return 'ws://localhost:8080';
+
+    const param = new URLSearchParams(window.location.search).get('server');
+    if (param) {
+        return /^wss?:\/\//.test(param) ? param : `ws://${param}`;
+    }
+    return `ws://${window.location.hostname || 'localhost'}:8080`;
+}
+
 export const CONFIG = {
     chunkSize: 200,
     renderDistance: 2,
@@ -33,7 +46,7 @@ export const CONFIG = {
     cameraLag: 0.35,
 
     // Networking
-    networkServerUrl: 'ws://192.168.1.2:8080',
+    networkServerUrl: getServerUrl(),
     networkUpdateRate: 50,           // ms between network updates
     networkInterpolationDelay: 100,  // ms delay for smooth interpolation
     networkEnabled: true
@@ -0,0 +1,85 @@
+/**
+ * Client-side Debris Renderer
+ * Draws the pieces collapsed buildings break into, as concrete-coloured boxes
+ */
+
+const SMOOTHING = 12;                // How quickly pieces close on their server state (1/s)
+
+export class DebrisRenderer {
+    constructor(scene, networkClient) {
+        this.scene = scene;
+        this.networkClient = networkClient;
+
+        // Debris tracking
+        this.debris = new Map();         // entityId -> { mesh, targetPosition, targetRotation }
+        this.material = new THREE.MeshStandardMaterial({ color: 0x6b6660, roughness: 0.9, metalness: 0.1 });
+    }
+
+    /**
+     * Start drawing a piece of debris (ENTITY_SPAWN)
+     */
+    spawnDebris(entityId, data) {
+        if (this.debris.has(entityId)) return;
+
+        const { x, y, z } = data.size;
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(x * 2, y * 2, z * 2), this.material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        this.scene.add(mesh);
+
+        this.debris.set(entityId, {
+            mesh,
+            targetPosition: new THREE.Vector3(),
+            targetRotation: new THREE.Quaternion()
+        });
+
+        this.updateDebrisState(data);
+
+        const piece = this.debris.get(entityId);
+        mesh.position.copy(piece.targetPosition);
+        mesh.quaternion.copy(piece.targetRotation);
+    }
+
+    /**
+     * Move a piece towards its latest server state
+     */
+    updateDebrisState(state) {
+        const piece = this.debris.get(state.entityId);
+        if (!piece) return;
+
+        piece.targetPosition.set(state.position.x, state.position.y, state.position.z);
+        if (state.rotation) {
+            piece.targetRotation.set(state.rotation.x, state.rotation.y, state.rotation.z, state.rotation.w);
+        }
+    }
+
+    removeDebris(entityId) {
+        const piece = this.debris.get(entityId);
+        if (!piece) return;
+
+        this.scene.remove(piece.mesh);
+        piece.mesh.geometry.dispose();
+        this.debris.delete(entityId);
+    }
+
+    update(deltaTime) {
+        const t = 1 - Math.exp(-SMOOTHING * deltaTime);
+
+        for (const piece of this.debris.values()) {
+            piece.mesh.position.lerp(piece.targetPosition, t);
+            piece.mesh.quaternion.slerp(piece.targetRotation, t);
+        }
+    }
+
+    dispose() {
+        for (const entityId of Array.from(this.debris.keys())) {
+            this.removeDebris(entityId);
+        }
+        this.material.dispose();
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.DebrisRenderer = DebrisRenderer;
+}
@@ -4,12 +4,18 @@
  */
 
 import { CONFIG } from '../shared/config.js';
-import { FACTIONS } from './config.js';
+import { FACTIONS, getServerUrl } from './config.js';
 import { TerrainNoise } from '../shared/terrain-noise.js';
 import { NetworkClient } from './network-client.js';
 import { TerrainRenderer } from './terrain-renderer.js';
 import { VehicleRenderer } from './vehicle-renderer.js';
+import { ProjectileRenderer } from './projectile-renderer.js';
+import { ItemRenderer } from './item-renderer.js';
+import { DebrisRenderer } from './debris-renderer.js';
+import { playerInventory, inventoryUI } from './inventory.js';
+import { getItem } from './items/item-loader.js';
 import { PlayerController } from './player-controller.js';
+import { SpectatorCamera } from './spectator-camera.js';
 import { WarManager } from './war-manager.js';
 
 export class GameClient {
@@ -23,26 +29,35 @@ export class GameClient {
         this.networkClient = null;
         this.terrainRenderer = null;
         this.vehicleRenderer = null;
+        this.projectileRenderer = null;
+        this.itemRenderer = null;
+        this.debrisRenderer = null;
         this.playerController = null;
+        this.spectatorCamera = null;     // Set when spectating
         this.warManager = null;
 
         // Game state
         this.isRunning = false;
         this.lastFrameTime = 0;
+        this.underwater = false;         // Swimming, or in a flooded vehicle (murky fog)
 
         // UI elements
         this.loadingScreen = null;
         this.gameUI = null;
         this.chatLog = null;
         this.chatInput = null;
+        this.chatTabs = [];
+        this.chatTab = 'all';            // Active tab: 'all' or a channel
         this.warStatus = null;
 
-        // Server URL
-        this.serverUrl = 'ws://localhost:8080';
+        // Server URL and world instance (null = server default)
+        this.serverUrl = getServerUrl();
+        this.instanceId = null;
 
         // Player info
         this.username = 'Player';
         this.appearance = {};
+        this.spectate = false;           // Join with a free-fly / follow camera instead of a player
     }
 
     /**
@@ -70,6 +85,15 @@ export class GameClient {
         // Initialize vehicle renderer
         this.vehicleRenderer = new VehicleRenderer(this.scene, this.networkClient);
 
+        // Initialize projectile renderer (tracers)
+        this.projectileRenderer = new ProjectileRenderer(this.scene, this.networkClient);
+
+        // Initialize item renderer (dropped items)
+        this.itemRenderer = new ItemRenderer(this.scene, this.networkClient);
+
+        // Initialize debris renderer (collapsed buildings)
+        this.debrisRenderer = new DebrisRenderer(this.scene, this.networkClient);
+
         // Initialize player controller
         this.playerController = new PlayerController(
             this.scene,
@@ -78,6 +102,13 @@ export class GameClient {
             this.terrainRenderer
         );
 
+        // Spectators watch through their own camera, without a player
+        if (this.spectate) {
+            this.networkClient.spectator = true;
+            this.spectatorCamera = new SpectatorCamera(this.camera, this.networkClient);
+            this.playerController.characterGroup.visible = false;
+        }
+
         // Initialize war manager (ambient AI battles)
         this.warManager = new WarManager(this.scene);
 
@@ -155,6 +186,33 @@ export class GameClient {
         this.scene.fog = new THREE.Fog(0x87ceeb, 50, 500);
     }
 
+    /**
+     * Show whether we are in water (swimming, wading, or with a flooded engine) and murk the view when under
+     * @param {Object} state - Our player's state on foot, or our vehicle's while driving
+     */
+    updateWaterDisplay(state) {
+        let text = '';
+        if (state.engineStalled) {
+            text = 'Engine flooded';
+        } else if (state.isSwimming) {
+            text = 'Swimming';
+        } else if (state.inWater) {
+            text = 'Wading';
+        }
+        if (this.waterEl && this.waterEl.textContent !== text) {
+            this.waterEl.textContent = text;
+        }
+
+        const underwater = !!(state.isSwimming || state.engineStalled);
+        if (underwater === this.underwater) return;
+        this.underwater = underwater;
+
+        const fog = this.scene.fog;
+        fog.color.setHex(underwater ? 0x1f4d5c : 0x87ceeb);
+        fog.near = underwater ? 1 : 50;
+        fog.far = underwater ? 60 : 500;
+    }
+
     /**
      * Setup network event handlers
      */
@@ -163,16 +221,25 @@ export class GameClient {
 
         nc.on('connected', (data) => {
             console.log('[Game] Connected to server:', data.clientId);
+            this.terrainRenderer.applyConfig();
             this.hideLoadingScreen();
         });
 
         nc.on('disconnected', () => {
             console.log('[Game] Disconnected from server');
             this.showLoadingScreen('Disconnected. Reconnecting...');
-            // Attempt reconnect
-            setTimeout(() => {
-                this.connect();
-            }, CONFIG.network.reconnectDelay);
+        });
+
+        nc.on('reconnecting', (data) => {
+            this.showLoadingScreen(`Disconnected. Reconnecting (attempt ${data.attempt})...`);
+        });
+
+        nc.on('redirecting', () => {
+            this.handleShardRedirect();
+        });
+
+        nc.on('instanceJoined', (data) => {
+            this.handleInstanceJoined(data);
         });
 
         nc.on('entitySpawn', (data) => {
@@ -199,15 +266,53 @@ export class GameClient {
             this.terrainRenderer.handleChunkData(data);
         });
 
+        nc.on('chunkUnload', (keys) => {
+            this.terrainRenderer.handleChunkUnload(keys);
+        });
+
+        nc.on('spectatorCamera', (data) => {
+            this.spectatorCamera?.setPosition(data.position);
+        });
+
         nc.on('chatMessage', (data) => {
             this.handleChatMessage(data);
         });
 
+        nc.on('inventory', (data) => {
+            playerInventory.fromJSON(data);
+        });
+
+        nc.on('gameEvent', (data) => {
+            this.handleGameEvent(data);
+        });
+
         nc.on('latencyUpdate', (latency) => {
             this.updateLatencyDisplay(latency);
         });
     }
 
+    /**
+     * Handle joining a world instance
+     * Terrain is generated locally from the seed, so it must match the instance before chunks arrive
+     */
+    handleInstanceJoined(data) {
+        CONFIG.world.seed = data.instance.seed;
+        this.instanceId = data.instance.id;
+        console.log(`[Game] Joined world ${data.instance.name} (seed ${data.instance.seed})`);
+    }
+
+    /**
+     * Handle moving to another shard
+     * The new shard re-sends what is near us, so drop vehicles it may never mention (ours stays: it came along)
+     */
+    handleShardRedirect() {
+        for (const entityId of Array.from(this.vehicleRenderer.vehicles.keys())) {
+            if (entityId !== this.vehicleRenderer.localVehicleId) {
+                this.vehicleRenderer.removeVehicle(entityId);
+            }
+        }
+    }
+
     /**
      * Handle entity spawn
      */
@@ -232,6 +337,12 @@ export class GameClient {
                 data.position,
                 data.rotation
             );
+        } else if (data.entityType === CONFIG.entityTypes.PROJECTILE) {
+            this.projectileRenderer.spawnProjectile(data.entityId, data);
+        } else if (data.entityType === CONFIG.entityTypes.ITEM) {
+            this.itemRenderer.spawnItem(data.entityId, data);
+        } else if (data.entityType === CONFIG.entityTypes.DEBRIS) {
+            this.debrisRenderer.spawnDebris(data.entityId, data);
         }
     }
 
@@ -239,10 +350,18 @@ export class GameClient {
      * Handle entity destroy
      */
     handleEntityDestroy(data) {
+        this.spectatorCamera?.handleEntityDestroy(data.entityId);
+
         if (data.entityId.startsWith('player_')) {
             this.playerController.removeOtherPlayer(data.entityId);
         } else if (data.entityId.startsWith('vehicle_')) {
             this.vehicleRenderer.removeVehicle(data.entityId);
+        } else if (data.entityId.startsWith('projectile_')) {
+            this.projectileRenderer.removeProjectile(data.entityId);
+        } else if (data.entityId.startsWith('item_')) {
+            this.itemRenderer.removeItem(data.entityId);
+        } else if (data.entityId.startsWith('debris_')) {
+            this.debrisRenderer.removeDebris(data.entityId);
         }
     }
 
@@ -253,11 +372,35 @@ export class GameClient {
         // Update players
         for (const playerState of data.players) {
             this.playerController.updateFromServer(playerState);
+
+            if (playerState.clientId === this.networkClient.clientId) {
+                this.updateZoneDisplay(playerState.zones);
+                if (!playerState.inVehicle) this.updateWaterDisplay(playerState);
+            }
         }
 
         // Update vehicles
         for (const vehicleState of data.vehicles) {
             this.vehicleRenderer.updateVehicleState(vehicleState);
+
+            if (vehicleState.driverId === this.networkClient.clientId) {
+                this.updateWaterDisplay(vehicleState);
+            }
+        }
+
+        // Update projectiles
+        for (const projectileState of data.projectiles || []) {
+            this.projectileRenderer.updateProjectileState(projectileState);
+        }
+
+        // Update dropped items
+        for (const itemState of data.items || []) {
+            this.itemRenderer.updateItemState(itemState);
+        }
+
+        // Update building debris
+        for (const debrisState of data.debris || []) {
+            this.debrisRenderer.updateDebrisState(debrisState);
         }
     }
 
@@ -304,36 +447,158 @@ export class GameClient {
         }
     }
 
+    /**
+     * Handle a game event (collisions, projectile hits, building collapses, zone changes and item pickups;
+     * plugins send their own)
+     */
+    handleGameEvent(data) {
+        if (data.event === 'collision' && data.position) {
+            this.vehicleRenderer.showImpact(data.position, data.impactSpeed);
+        } else if (data.event === 'projectile_hit') {
+            this.projectileRenderer.removeProjectile(data.projectileId);
+            this.projectileRenderer.showHit(data.position, data.projectileType);
+        } else if (data.event === 'building_collapse') {
+            this.vehicleRenderer.showImpact(data.position, 40);
+        } else if (data.event === 'zone_enter' || data.event === 'zone_exit') {
+            this.addChatMessage('system', `${data.event === 'zone_enter' ? 'Entered' : 'Left'} ${data.name}`);
+        } else if (data.event === 'item_pickup' && data.clientId === this.networkClient.clientId) {
+            const item = getItem(data.itemId);
+            this.addChatMessage('system', `Picked up ${data.quantity}x ${item ? item.name : data.itemId}`);
+        }
+    }
+
+    /**
+     * Fire along the camera's view (left mouse button; spectators are unarmed)
+     */
+    fire() {
+        if (this.spectatorCamera || !this.networkClient.isConnected()) return;
+
+        const direction = new THREE.Vector3();
+        this.camera.getWorldDirection(direction);
+        this.networkClient.sendFire(direction);
+    }
+
+    /**
+     * Open or close the inventory (I key)
+     */
+    toggleInventory() {
+        if (this.spectatorCamera) return;
+
+        inventoryUI.toggle();
+        if (inventoryUI.isOpen) {
+            document.exitPointerLock();
+        }
+    }
+
+    /**
+     * Drop one of an inventory item in front of us (clicking it in the inventory)
+     */
+    dropItem(item) {
+        if (this.playerController.inVehicle) return;
+        this.networkClient.sendItemDrop(item.id, 1);
+    }
+
     /**
      * Handle chat message
      */
     handleChatMessage(data) {
-        console.log(`[Chat] ${data.username}: ${data.message}`);
-        this.addChatMessage(data.username || 'Player', data.message);
+        const channel = data.channel || 'global';
+        const sender = data.username || 'Player';
+        let text;
+
+        switch (channel) {
+            case 'system':
+                text = data.message;
+                break;
+            case 'emote':
+                text = `* ${sender} ${data.message}`;
+                break;
+            case 'whisper':
+                text = data.clientId === this.networkClient.clientId
+                    ? `[To ${data.target}] ${data.message}`
+                    : `[From ${sender}] ${data.message}`;
+                break;
+            case 'team':
+                text = `[Team] ${sender}: ${data.message}`;
+                break;
+            case 'local':
+                text = `[Local] ${sender}: ${data.message}`;
+                break;
+            default:
+                text = `${sender}: ${data.message}`;
+        }
+
+        console.log(`[Chat] ${text}`);
+        this.addChatMessage(channel, text);
     }
 
     /**
      * Append message to chat UI
+     * (text only - messages are never parsed as HTML)
      */
-    addChatMessage(sender, message) {
+    addChatMessage(channel, text) {
         if (!this.chatLog) return;
 
         const entry = document.createElement('div');
-        entry.textContent = `${sender}: ${message}`;
+        entry.className = `chat-${channel}`;
+        entry.dataset.channel = channel;
+        entry.textContent = text;
+        entry.style.display = this.isChatEntryVisible(channel) ? '' : 'none';
         this.chatLog.appendChild(entry);
         this.chatLog.scrollTop = this.chatLog.scrollHeight;
     }
 
+    /**
+     * Whether the active tab shows a channel (system messages show everywhere)
+     */
+    isChatEntryVisible(channel) {
+        if (this.chatTab === 'all' || channel === 'system') return true;
+        if (this.chatTab === 'global') return channel === 'global' || channel === 'emote';
+        return channel === this.chatTab;
+    }
+
+    /**
+     * Switch chat tab and filter the log
+     */
+    selectChatTab(tab) {
+        this.chatTab = tab;
+
+        for (const element of this.chatTabs) {
+            element.classList.toggle('active', element.dataset.channel === tab);
+        }
+
+        if (this.chatLog) {
+            for (const entry of this.chatLog.children) {
+                entry.style.display = this.isChatEntryVisible(entry.dataset.channel) ? '' : 'none';
+            }
+            this.chatLog.scrollTop = this.chatLog.scrollHeight;
+        }
+
+        if (this.chatInput) {
+            this.chatInput.placeholder = {
+                local: 'Say nearby...',
+                team: 'Message your team...',
+                whisper: 'Reply to last whisper...'
+            }[tab] || 'Press Enter to chat...';
+        }
+    }
+
     /**
      * Send chat message to server
+     * Plain text goes to the active tab's channel; slash commands are sent as typed
      */
     sendChat() {
         if (!this.chatInput || !this.chatInput.value.trim()) return;
 
-        const message = this.chatInput.value.trim();
+        let message = this.chatInput.value.trim();
         this.chatInput.value = '';
 
-        this.addChatMessage(this.username || 'You', message);
+        const prefix = { local: '/local ', team: '/team ', whisper: '/r ' }[this.chatTab];
+        if (prefix && !message.startsWith('/')) {
+            message = prefix + message;
+        }
+
+        // The server echoes our own messages back
         this.networkClient.sendChatMessage(message);
 
         // Return focus to game view
@@ -374,12 +639,35 @@ export class GameClient {
         this.gameUI = document.getElementById('game-ui');
         this.latencyEl = document.getElementById('latency') || document.createElement('div');
         this.positionEl = document.getElementById('hud-coords');
+        this.zoneEl = document.getElementById('hud-zone');
+        this.waterEl = document.getElementById('hud-water');
         this.healthFill = document.getElementById('hud-health-fill');
         this.staminaFill = document.getElementById('hud-stamina-fill');
         this.chatLog = document.getElementById('chat-log');
         this.chatInput = document.getElementById('chat-input');
+        this.chatTabs = Array.from(document.querySelectorAll('#hud-chat .chat-tab'));
         this.warStatus = document.getElementById('war-status');
 
+        this.renderer.domElement.addEventListener('mousedown', (e) => {
+            if (e.button === 0) this.fire();
+        });
+
+        inventoryUI.onItemClick = (item) => this.dropItem(item);
+
+        window.addEventListener('keydown', (e) => {
+            if (document.activeElement === this.chatInput) return;
+
+            if (e.code === 'KeyI') {
+                this.toggleInventory();
+            } else if (e.code === 'Escape' && inventoryUI.isOpen) {
+                inventoryUI.close();
+            }
+        });
+
+        for (const tab of this.chatTabs) {
+            tab.addEventListener('click', () => this.selectChatTab(tab.dataset.channel));
+        }
+
         if (this.chatInput) {
             this.chatInput.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') {
@@ -426,6 +714,18 @@ export class GameClient {
         }
     }
 
+    /**
+     * Show the zones we are in (safe zone, hazard, ...)
+     */
+    updateZoneDisplay(zones) {
+        if (!this.zoneEl) return;
+
+        const text = (zones || []).map(zone => `${zone.name} (${zone.kind})`).join(', ');
+        if (this.zoneEl.textContent !== text) {
+            this.zoneEl.textContent = text;
+        }
+    }
+
     /**
      * Update HUD
      */
@@ -472,7 +772,7 @@ export class GameClient {
      */
     connect() {
         this.showLoadingScreen('Connecting to server...');
-        this.networkClient.connect(this.username, this.appearance);
+        this.networkClient.connect(this.username, this.appearance, this.instanceId);
     }
 
     /**
@@ -511,14 +811,21 @@ export class GameClient {
      * Update game state
      */
     update(deltaTime) {
-        // Update player controller
-        this.playerController.update(deltaTime);
+        // Update player controller (or the spectator's camera)
+        if (this.spectatorCamera) {
+            this.spectatorCamera.update(deltaTime);
+        } else {
+            this.playerController.update(deltaTime);
+        }
 
         // Update vehicle renderer (handles remote smoothing and local control)
         this.vehicleRenderer.update(deltaTime);
+        this.projectileRenderer.update(deltaTime);
+        this.itemRenderer.update(deltaTime);
+        this.debrisRenderer.update(deltaTime);
 
-        // Update terrain based on player position
-        const playerPos = this.playerController.getPosition();
+        // Update terrain based on player (or camera) position
+        const playerPos = this.spectatorCamera ? this.spectatorCamera.getPosition() : this.playerController.getPosition();
         this.terrainRenderer.update(playerPos);
 
         // Update ambient war simulation
@@ -537,7 +844,11 @@ export class GameClient {
         }
 
         // Update HUD
-        this.updateHUD();
+        if (this.spectatorCamera) {
+            this.updatePositionDisplay(playerPos);
+        } else {
+            this.updateHUD();
+        }
 
         // Update war status
         this.updateWarStatus();
@@ -565,8 +876,12 @@ export class GameClient {
     dispose() {
         this.stop();
         this.networkClient.disconnect();
+        this.spectatorCamera?.dispose();
         this.playerController.dispose();
         this.vehicleRenderer.dispose();
+        this.projectileRenderer.dispose();
+        this.itemRenderer.dispose();
+        this.debrisRenderer.dispose();
         this.terrainRenderer.dispose();
         this.renderer.dispose();
     }
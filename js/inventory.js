@@ -130,6 +130,7 @@ export class InventoryUI {
         this.inventory = inventory;
         this.isOpen = false;
         this.container = null;
+        this.onItemClick = null; // (item, quantity) callback, e.g. to drop the item
         this.createUI();
 
         // Listen to inventory changes
@@ -281,6 +282,9 @@ export class InventoryUI {
         el.onmouseleave = () => {
             el.style.background = 'rgba(0, 255, 136, 0.1)';
         };
+        el.onclick = () => {
+            if (this.onItemClick) this.onItemClick(item, quantity);
+        };
 
         const rarityColors = {
             common: '#888888',
@@ -0,0 +1,100 @@
+/**
+ * Client-side Item Renderer
+ * Draws dropped items as small glowing boxes, coloured by rarity
+ */
+
+import { CONFIG } from '../shared/config.js';
+import { getItem } from './items/item-loader.js';
+
+const RARITY_COLORS = {
+    common: 0x888888,
+    uncommon: 0x44dd66,
+    rare: 0x00aaff,
+    epic: 0xaa44ff,
+    legendary: 0xff00ff
+};
+const SMOOTHING = 12;                // How quickly items close on their server state (1/s)
+
+export class ItemRenderer {
+    constructor(scene, networkClient) {
+        this.scene = scene;
+        this.networkClient = networkClient;
+
+        // Item tracking
+        this.items = new Map();          // entityId -> { mesh, targetPosition, targetRotation }
+        this.geometry = new THREE.BoxGeometry(CONFIG.items.size, CONFIG.items.size, CONFIG.items.size);
+    }
+
+    /**
+     * Start drawing a dropped item (ENTITY_SPAWN)
+     */
+    spawnItem(entityId, data) {
+        if (this.items.has(entityId)) return;
+
+        const definition = getItem(data.itemId);
+        const color = RARITY_COLORS[definition?.rarity] || 0x00ff88;
+
+        const mesh = new THREE.Mesh(
+            this.geometry,
+            new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.6 })
+        );
+        mesh.castShadow = true;
+        mesh.name = definition ? definition.name : data.itemId;
+        this.scene.add(mesh);
+
+        this.items.set(entityId, {
+            mesh,
+            targetPosition: new THREE.Vector3(),
+            targetRotation: new THREE.Quaternion()
+        });
+
+        this.updateItemState(data);
+
+        const item = this.items.get(entityId);
+        mesh.position.copy(item.targetPosition);
+        mesh.quaternion.copy(item.targetRotation);
+    }
+
+    /**
+     * Move an item towards its latest server state
+     */
+    updateItemState(state) {
+        const item = this.items.get(state.entityId);
+        if (!item) return;
+
+        item.targetPosition.set(state.position.x, state.position.y, state.position.z);
+        if (state.rotation) {
+            item.targetRotation.set(state.rotation.x, state.rotation.y, state.rotation.z, state.rotation.w);
+        }
+    }
+
+    removeItem(entityId) {
+        const item = this.items.get(entityId);
+        if (!item) return;
+
+        this.scene.remove(item.mesh);
+        item.mesh.material.dispose();
+        this.items.delete(entityId);
+    }
+
+    update(deltaTime) {
+        const t = 1 - Math.exp(-SMOOTHING * deltaTime);
+
+        for (const item of this.items.values()) {
+            item.mesh.position.lerp(item.targetPosition, t);
+            item.mesh.quaternion.slerp(item.targetRotation, t);
+        }
+    }
+
+    dispose() {
+        for (const entityId of Array.from(this.items.keys())) {
+            this.removeItem(entityId);
+        }
+        this.geometry.dispose();
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ItemRenderer = ItemRenderer;
+}
@@ -4,6 +4,22 @@
  */
 
 import { CONFIG } from '../shared/config.js';
+import { SnapshotCodec } from '../shared/snapshot-codec.js';
+import { ChunkCodec } from '../shared/chunk-codec.js';
+
+/**
+ * Merge server settings into our config: sections merge, values and lists replace
+ */
+function mergeSettings(target, settings) {
+    for (const [key, value] of Object.entries(settings)) {
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            mergeSettings(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+}
 
 export class NetworkClient {
     constructor(serverUrl) {
@@ -13,9 +29,21 @@ export class NetworkClient {
         this.connected = false;
         this.connecting = false;
 
+        // Session resume and auto-reconnect
+        this.sessionToken = null;
+        this.autoReconnect = true;
+        this.intentionalDisconnect = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.disconnectReason = null;   // Reason given by the server when it drops us
+        this.redirectUrl = null;        // Shard to reconnect to at once (SHARD_REDIRECT)
+
         // Server configuration (received on connect)
         this.serverConfig = null;
         this.tickRate = 30;
+        this.instances = [];            // World instances the server hosts
+        this.instance = null;           // { id, name, seed } of the joined instance
+        this.spectator = false;         // Join as a spectator (a camera, no player)
 
         // Timing
         this.serverTimeOffset = 0;
@@ -27,11 +55,16 @@ export class NetworkClient {
         this.inputSequence = 0;
         this.lastAckedInputSeq = 0;
         this.pendingInputs = [];
+        this.lastVehicleInputTime = 0;
 
         // State interpolation
         this.snapshotBuffer = [];
         this.interpolationDelay = CONFIG.network.interpolationDelay;
 
+        // Snapshot encoding (negotiated during handshake)
+        this.snapshotFormat = 'json';
+        this.decodedSnapshots = new Map(); // tick -> entity table, baselines for binary deltas
+
         // Event handlers
         this.eventHandlers = new Map();
 
@@ -42,14 +75,22 @@ export class NetworkClient {
 
     /**
      * Connect to server
+     * @param {string} instanceId - World instance to join (server default if omitted)
      */
-    connect(username, appearance) {
+    connect(username, appearance, instanceId = null) {
         if (this.connecting || this.connected) return;
         this.connecting = true;
+        this.intentionalDisconnect = false;
+
+        // Store credentials for handshake (and for reconnecting)
+        this.pendingUsername = username;
+        this.pendingAppearance = appearance;
+        this.pendingInstance = instanceId;
 
         console.log('[Network] Connecting to', this.serverUrl);
 
         this.ws = new WebSocket(this.serverUrl);
+        this.ws.binaryType = 'arraybuffer';
 
         this.ws.onopen = () => {
             console.log('[Network] Connected');
@@ -58,14 +99,19 @@ export class NetworkClient {
 
             // Start ping interval
             this.pingInterval = setInterval(() => this.sendPing(), 2000);
-
-            // Store credentials for handshake
-            this.pendingUsername = username;
-            this.pendingAppearance = appearance;
         };
 
         this.ws.onmessage = (event) => {
             try {
+                if (event.data instanceof ArrayBuffer) {
+                    if (ChunkCodec.isChunkFrame(event.data)) {
+                        this.handleChunkData(ChunkCodec.decodeChunk(event.data));
+                    } else {
+                        this.handleBinarySnapshot(event.data);
+                    }
+                    return;
+                }
+
                 const message = JSON.parse(event.data);
                 this.handleMessage(message);
             } catch (e) {
@@ -78,7 +124,24 @@ export class NetworkClient {
             this.connected = false;
             this.connecting = false;
             this.cleanup();
-            this.emit('disconnected');
+
+            // Handed over to another shard: resume our session there straight away
+            if (this.redirectUrl) {
+                this.serverUrl = this.redirectUrl;
+                this.redirectUrl = null;
+                this.emit('redirecting', { url: this.serverUrl });
+                this.connect(this.pendingUsername, this.pendingAppearance, this.pendingInstance);
+                return;
+            }
+
+            // Only reconnect once we've had a session (a failed first connect is reported as-is)
+            const willReconnect = this.autoReconnect && !this.intentionalDisconnect && this.sessionToken !== null;
+            this.emit('disconnected', { willReconnect, reason: this.disconnectReason });
+            this.disconnectReason = null;
+
+            if (willReconnect) {
+                this.scheduleReconnect();
+            }
         };
 
         this.ws.onerror = (error) => {
@@ -91,12 +154,37 @@ export class NetworkClient {
      * Disconnect from server
      */
     disconnect() {
+        this.intentionalDisconnect = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
         if (this.ws) {
             this.ws.close();
             this.cleanup();
         }
     }
 
+    /**
+     * Schedule a reconnect attempt with exponential backoff
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        const baseDelay = CONFIG.network.reconnectDelay * Math.pow(2, this.reconnectAttempts);
+        const delay = Math.min(baseDelay, CONFIG.network.maxReconnectDelay) * (0.8 + Math.random() * 0.4);
+        this.reconnectAttempts++;
+
+        console.log(`[Network] Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+        this.emit('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect(this.pendingUsername, this.pendingAppearance, this.pendingInstance);
+        }, delay);
+    }
+
     /**
      * Cleanup on disconnect
      */
@@ -107,8 +195,11 @@ export class NetworkClient {
         }
         this.clientId = null;
         this.snapshotBuffer = [];
+        this.decodedSnapshots.clear();
         this.pendingInputs = [];
+        // A new connection starts a new chunk stream
         this.requestedChunks.clear();
+        this.receivedChunks.clear();
     }
 
     /**
@@ -122,6 +213,22 @@ export class NetworkClient {
                 this.handleHandshakeAck(message);
                 break;
 
+            case MT.SESSION_RESUMED:
+                this.handleSessionResumed(message);
+                break;
+
+            case MT.INSTANCE_JOINED:
+                this.handleInstanceJoined(message);
+                break;
+
+            case MT.SHARD_REDIRECT:
+                this.handleShardRedirect(message);
+                break;
+
+            case MT.DISCONNECT:
+                this.handleDisconnectMessage(message);
+                break;
+
             case MT.PONG:
                 this.handlePong(message);
                 break;
@@ -150,14 +257,22 @@ export class NetworkClient {
                 this.emit('vehicleExit', message);
                 break;
 
-            case MT.CHUNK_DATA:
-                this.handleChunkData(message);
+            case MT.CHUNK_UNLOAD:
+                this.handleChunkUnload(message);
                 break;
 
             case MT.CHAT_MESSAGE:
                 this.emit('chatMessage', message);
                 break;
 
+            case MT.SPECTATOR_CAMERA:
+                this.emit('spectatorCamera', message);
+                break;
+
+            case MT.INVENTORY:
+                this.emit('inventory', message);
+                break;
+
             case MT.GAME_EVENT:
                 this.emit('gameEvent', message);
                 break;
@@ -171,17 +286,32 @@ export class NetworkClient {
         this.clientId = message.clientId;
         this.serverConfig = message.config;
         this.tickRate = message.tickRate;
+        this.applyServerConfig(message.config);
+        this.instances = message.instances || [];
+        this.reconnectAttempts = 0;
+
+        // Offer our previous session for resuming; the new token applies if the server starts fresh
+        const previousSessionToken = this.sessionToken;
+        this.sessionToken = message.sessionToken || null;
 
         // Calculate initial time offset
         this.serverTimeOffset = message.serverTime - Date.now();
 
-        console.log('[Network] Handshake complete, clientId:', this.clientId);
+        // Pick our preferred snapshot format among those the server offers
+        const offered = message.snapshotFormats || ['json'];
+        this.snapshotFormat = CONFIG.network.snapshotFormats.find(format => offered.includes(format)) || 'json';
+
+        console.log('[Network] Handshake complete, clientId:', this.clientId, 'snapshots:', this.snapshotFormat);
 
         // Send player spawn request
         this.send({
             type: CONFIG.messageTypes.HANDSHAKE,
             username: this.pendingUsername || 'Player',
-            appearance: this.pendingAppearance || {}
+            appearance: this.pendingAppearance || {},
+            snapshotFormat: this.snapshotFormat,
+            sessionToken: previousSessionToken,
+            instance: this.pendingInstance || undefined,
+            role: this.spectator ? 'spectator' : undefined
         });
 
         this.emit('connected', {
@@ -190,10 +320,69 @@ export class NetworkClient {
         });
     }
 
+    /**
+     * Adopt the server's effective settings (it may run with a config file, environment or flags)
+     */
+    applyServerConfig(config) {
+        if (!config) return;
+
+        mergeSettings(CONFIG, config);
+        this.interpolationDelay = CONFIG.network.interpolationDelay;
+    }
+
+    /**
+     * Handle session resume (server reattached us to our previous player)
+     */
+    handleSessionResumed(message) {
+        this.clientId = message.clientId;
+        this.sessionToken = message.sessionToken;
+
+        console.log('[Network] Session resumed, clientId:', this.clientId);
+
+        this.emit('sessionResumed', message);
+    }
+
+    /**
+     * Handle joining a world instance (sent before our player spawns)
+     */
+    handleInstanceJoined(message) {
+        this.instance = message.instance;
+        this.tickRate = message.tickRate;
+
+        console.log('[Network] Joined world', this.instance.id, `(${this.instance.name})`);
+
+        this.emit('instanceJoined', message);
+    }
+
+    /**
+     * Handle a shard handoff: the server closes the connection next and our session waits at the new URL
+     */
+    handleShardRedirect(message) {
+        console.log('[Network] Moving to shard at', message.url);
+
+        this.redirectUrl = message.url;
+    }
+
+    /**
+     * Handle server-initiated disconnect (e.g. kicked); don't try to reconnect
+     */
+    handleDisconnectMessage(message) {
+        console.warn('[Network] Disconnected by server:', message.reason);
+
+        this.intentionalDisconnect = true;
+        this.disconnectReason = message.reason || null;
+        this.sessionToken = null;
+    }
+
     /**
      * Handle pong response
      */
     handlePong(message) {
+        // Echo the server's nonce at once, so it can time the round trip itself (for lag compensation)
+        if (message.nonce !== undefined) {
+            this.send({ type: CONFIG.messageTypes.PONG_ACK, nonce: message.nonce });
+        }
+
         const now = Date.now();
         this.latency = (now - message.clientTime) / 2;
         this.serverTimeOffset = message.serverTime - now + this.latency;
@@ -211,7 +400,10 @@ export class NetworkClient {
             serverTime: message.serverTime,
             clientTime: Date.now(),
             players: message.players,
-            vehicles: message.vehicles
+            vehicles: message.vehicles,
+            projectiles: message.projectiles || [],
+            items: message.items || [],
+            debris: message.debris || []
         });
 
         // Keep buffer size limited
@@ -232,6 +424,43 @@ export class NetworkClient {
         this.emit('worldSnapshot', message);
     }
 
+    /**
+     * Handle binary (delta-compressed) world snapshot
+     */
+    handleBinarySnapshot(data) {
+        const snapshot = SnapshotCodec.readSnapshot(data);
+
+        let baseline = null;
+        if (snapshot.baselineTick !== 0) {
+            baseline = this.decodedSnapshots.get(snapshot.baselineTick);
+            if (!baseline) {
+                // Baseline already dropped; the server falls back to a full snapshot once it stops seeing acks
+                console.warn('[Network] Missing snapshot baseline:', snapshot.baselineTick);
+                return;
+            }
+        }
+
+        const entities = SnapshotCodec.applySnapshot(baseline, snapshot);
+        this.decodedSnapshots.set(snapshot.tick, entities);
+
+        while (this.decodedSnapshots.size > CONFIG.network.snapshotBufferSize) {
+            this.decodedSnapshots.delete(this.decodedSnapshots.keys().next().value);
+        }
+
+        this.send({
+            type: CONFIG.messageTypes.SNAPSHOT_ACK,
+            tick: snapshot.tick
+        });
+
+        this.handleWorldSnapshot({
+            type: CONFIG.messageTypes.WORLD_SNAPSHOT,
+            tick: snapshot.tick,
+            serverTime: snapshot.serverTime,
+            yourLastInputSeq: snapshot.yourLastInputSeq,
+            ...SnapshotCodec.collectEntities(entities)
+        });
+    }
+
     /**
      * Handle input acknowledgment
      */
@@ -255,6 +484,19 @@ export class NetworkClient {
         this.emit('chunkData', message);
     }
 
+    /**
+     * Handle chunks the server says we have left behind
+     */
+    handleChunkUnload(message) {
+        const keys = (message.chunks || []).map(chunk => `${chunk.chunkX},${chunk.chunkZ}`);
+        for (const key of keys) {
+            this.requestedChunks.delete(key);
+            this.receivedChunks.delete(key);
+        }
+
+        this.emit('chunkUnload', keys);
+    }
+
     /**
      * Send player input
      */
@@ -287,6 +529,11 @@ export class NetworkClient {
     sendVehicleInput(input) {
         if (!this.connected) return;
 
+        // Send at most clientSendRate times per second (the server rate limits inputs)
+        const now = performance.now();
+        if (now - this.lastVehicleInputTime < 1000 / CONFIG.network.clientSendRate) return;
+        this.lastVehicleInputTime = now;
+
         this.send({
             type: CONFIG.messageTypes.VEHICLE_INPUT,
             input
@@ -315,6 +562,44 @@ export class NetworkClient {
         });
     }
 
+    /**
+     * Fire our weapon (or our vehicle's) along an aim direction
+     */
+    sendFire(direction) {
+        if (!this.connected) return;
+
+        this.send({
+            type: CONFIG.messageTypes.FIRE,
+            direction: { x: direction.x, y: direction.y, z: direction.z }
+        });
+    }
+
+    /**
+     * Drop items from our inventory into the world
+     */
+    sendItemDrop(itemId, quantity = 1) {
+        if (!this.connected) return;
+
+        this.send({
+            type: CONFIG.messageTypes.ITEM_DROP,
+            itemId,
+            quantity
+        });
+    }
+
+    /**
+     * Report a spectator's camera position, or the entity it follows
+     */
+    sendSpectatorCamera(position, follow) {
+        if (!this.connected) return;
+
+        this.send({
+            type: CONFIG.messageTypes.SPECTATOR_CAMERA,
+            position,
+            follow: follow || undefined
+        });
+    }
+
     /**
      * Request chunk data
      */
@@ -470,18 +755,6 @@ export class NetworkClient {
         return this.receivedChunks.get(`${chunkX},${chunkZ}`);
     }
 
-    /**
-     * Clear old chunk data
-     */
-    clearOldChunks(keepKeys) {
-        const keepSet = new Set(keepKeys);
-        for (const key of this.receivedChunks.keys()) {
-            if (!keepSet.has(key)) {
-                this.receivedChunks.delete(key);
-            }
-        }
-    }
-
     /**
      * Event handling
      */
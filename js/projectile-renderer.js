@@ -0,0 +1,143 @@
+/**
+ * Client-side Projectile Renderer
+ * Draws server projectiles as tracers, flying them along their ballistic path between snapshots
+ */
+
+import { CONFIG } from '../shared/config.js';
+
+const TRACER_COLORS = { bullet: 0xffee88, shell: 0xff8833 };
+const TRACER_SECONDS = 0.03;         // Tracer length, as seconds of travel
+const MAX_TRACER_LENGTH = 12;        // meters
+const HIT_DURATION = 0.25;           // Hit flash lifetime (s)
+
+export class ProjectileRenderer {
+    constructor(scene, networkClient) {
+        this.scene = scene;
+        this.networkClient = networkClient;
+
+        // Projectile tracking
+        this.projectiles = new Map();    // entityId -> { line, position, velocity, gravityScale }
+        this.hits = [];                  // Hit flashes: { mesh, age, size }
+    }
+
+    /**
+     * Start drawing a projectile (ENTITY_SPAWN)
+     */
+    spawnProjectile(entityId, data) {
+        if (this.projectiles.has(entityId)) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+        const line = new THREE.Line(
+            geometry,
+            new THREE.LineBasicMaterial({ color: TRACER_COLORS[data.projectileType] || 0xffffff, transparent: true, opacity: 0.9 })
+        );
+        line.frustumCulled = false;
+        this.scene.add(line);
+
+        const type = CONFIG.projectiles.types[data.projectileType];
+        this.projectiles.set(entityId, {
+            line,
+            position: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
+            gravityScale: type ? type.gravityScale : 1
+        });
+
+        this.updateProjectileState(data);
+    }
+
+    /**
+     * Snap a projectile to its latest server state
+     */
+    updateProjectileState(state) {
+        const projectile = this.projectiles.get(state.entityId);
+        if (!projectile) return;
+
+        projectile.position.set(state.position.x, state.position.y, state.position.z);
+        if (state.velocity) {
+            projectile.velocity.set(state.velocity.x, state.velocity.y, state.velocity.z);
+        }
+    }
+
+    removeProjectile(entityId) {
+        const projectile = this.projectiles.get(entityId);
+        if (!projectile) return;
+
+        this.scene.remove(projectile.line);
+        projectile.line.geometry.dispose();
+        projectile.line.material.dispose();
+        this.projectiles.delete(entityId);
+    }
+
+    /**
+     * Flash where a projectile hit something (GAME_EVENT 'projectile_hit')
+     */
+    showHit(position, projectileType) {
+        const size = projectileType === 'shell' ? 3 : 0.5;
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 8, 6),
+            new THREE.MeshBasicMaterial({ color: TRACER_COLORS[projectileType] || 0xffffff, transparent: true, opacity: 0.9, depthWrite: false })
+        );
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.scale.setScalar(size * 0.3);
+        this.scene.add(mesh);
+
+        this.hits.push({ mesh, age: 0, size });
+    }
+
+    update(deltaTime) {
+        const gravity = CONFIG.physics.gravity;
+
+        for (const projectile of this.projectiles.values()) {
+            const { position, velocity } = projectile;
+
+            // Same integration as the server
+            velocity.x += gravity.x * projectile.gravityScale * deltaTime;
+            velocity.y += gravity.y * projectile.gravityScale * deltaTime;
+            velocity.z += gravity.z * projectile.gravityScale * deltaTime;
+            position.addScaledVector(velocity, deltaTime);
+
+            const speed = velocity.length();
+            const length = Math.min(speed * TRACER_SECONDS, MAX_TRACER_LENGTH);
+            const tail = speed > 0 ? position.clone().addScaledVector(velocity, -length / speed) : position;
+
+            const attribute = projectile.line.geometry.attributes.position;
+            attribute.setXYZ(0, tail.x, tail.y, tail.z);
+            attribute.setXYZ(1, position.x, position.y, position.z);
+            attribute.needsUpdate = true;
+        }
+
+        this.updateHits(deltaTime);
+    }
+
+    updateHits(deltaTime) {
+        for (let i = this.hits.length - 1; i >= 0; i--) {
+            const hit = this.hits[i];
+            hit.age += deltaTime;
+
+            const t = hit.age / HIT_DURATION;
+            if (t >= 1) {
+                this.scene.remove(hit.mesh);
+                hit.mesh.geometry.dispose();
+                hit.mesh.material.dispose();
+                this.hits.splice(i, 1);
+                continue;
+            }
+
+            hit.mesh.scale.setScalar(hit.size * (0.3 + 0.7 * t));
+            hit.mesh.material.opacity = 0.9 * (1 - t);
+        }
+    }
+
+    dispose() {
+        for (const entityId of Array.from(this.projectiles.keys())) {
+            this.removeProjectile(entityId);
+        }
+        this.updateHits(Infinity);
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ProjectileRenderer = ProjectileRenderer;
+}
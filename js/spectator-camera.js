@@ -0,0 +1,193 @@
+/**
+ * Spectator Camera
+ * Free-fly and follow camera for clients that joined as spectators (no player body).
+ * The server streams snapshots and chunks around wherever it reports the camera to be.
+ *
+ * Controls: WASD move, E / Q up and down, Shift faster, mouse look (click to capture),
+ * F follow the next player or vehicle in view, G free camera, mouse wheel follow distance
+ */
+
+import { CONFIG } from '../shared/config.js';
+
+const FLY_SPEED = 20;                // m/s
+const FAST_MULTIPLIER = 4;
+const LOOK_SENSITIVITY = 0.0025;     // Radians per pixel
+const FOLLOW_DISTANCE = { min: 4, max: 60, initial: 12 };
+const FOLLOW_HEIGHT = 0.35;          // Camera height above a followed entity, as a share of the distance
+
+export class SpectatorCamera {
+    constructor(camera, networkClient) {
+        this.camera = camera;
+        this.networkClient = networkClient;
+
+        this.position = new THREE.Vector3(0, CONFIG.spectators.cameraHeight, 0);
+        this.yaw = 0;
+        this.pitch = -0.3;
+
+        // Following
+        this.follow = null;              // Entity ID, or null for the free camera
+        this.followDistance = FOLLOW_DISTANCE.initial;
+
+        // Input
+        this.keys = new Set();
+        this.lastSendTime = 0;
+
+        this.onKeyDown = (e) => this.handleKey(e, true);
+        this.onKeyUp = (e) => this.handleKey(e, false);
+        this.onMouseMove = (e) => this.handleMouseMove(e);
+        this.onWheel = (e) => this.handleWheel(e);
+        this.onClick = () => document.body.requestPointerLock?.();
+
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        document.addEventListener('mousemove', this.onMouseMove);
+        window.addEventListener('wheel', this.onWheel);
+        document.getElementById('game-ui')?.addEventListener('click', this.onClick);
+    }
+
+    /**
+     * Place the camera where the server put it (on joining)
+     */
+    setPosition(position) {
+        this.position.set(position.x, position.y, position.z);
+    }
+
+    handleKey(e, down) {
+        // Typing in chat doesn't fly the camera
+        if (e.target && e.target.tagName === 'INPUT') return;
+
+        if (down) {
+            this.keys.add(e.code);
+            if (e.code === 'KeyF') this.followNext();
+            if (e.code === 'KeyG') this.setFollow(null);
+        } else {
+            this.keys.delete(e.code);
+        }
+    }
+
+    handleMouseMove(e) {
+        if (document.pointerLockElement !== document.body) return;
+
+        this.yaw -= e.movementX * LOOK_SENSITIVITY;
+        this.pitch = THREE.MathUtils.clamp(this.pitch - e.movementY * LOOK_SENSITIVITY, -Math.PI / 2 + 0.05, Math.PI / 2 - 0.05);
+    }
+
+    handleWheel(e) {
+        if (!this.follow) return;
+
+        const scale = e.deltaY > 0 ? 1.1 : 1 / 1.1;
+        this.followDistance = THREE.MathUtils.clamp(this.followDistance * scale, FOLLOW_DISTANCE.min, FOLLOW_DISTANCE.max);
+    }
+
+    /**
+     * Cycle through the players and vehicles in the latest snapshot (drivers are followed through their vehicle)
+     */
+    followNext() {
+        const snapshot = this.networkClient.getLatestSnapshot();
+        if (!snapshot) return;
+
+        const candidates = [
+            ...snapshot.players.filter(p => !p.inVehicle),
+            ...snapshot.vehicles
+        ].map(state => state.entityId).sort();
+        if (candidates.length === 0) return;
+
+        const index = candidates.indexOf(this.follow);
+        this.setFollow(candidates[(index + 1) % candidates.length]);
+    }
+
+    setFollow(entityId) {
+        this.follow = entityId;
+        this.lastSendTime = 0;
+
+        console.log(entityId ? `[Spectator] Following ${entityId}` : '[Spectator] Free camera');
+    }
+
+    /**
+     * Stop following an entity that left our view
+     */
+    handleEntityDestroy(entityId) {
+        if (entityId === this.follow) {
+            this.setFollow(null);
+        }
+    }
+
+    /**
+     * Move the camera and report it to the server
+     */
+    update(delta) {
+        const look = new THREE.Vector3(
+            Math.sin(this.yaw) * Math.cos(this.pitch),
+            Math.sin(this.pitch),
+            Math.cos(this.yaw) * Math.cos(this.pitch)
+        );
+
+        const now = Date.now();
+        let target = this.follow ? this.networkClient.getInterpolatedState(this.follow, now) : null;
+        if (target && target.inVehicle) {
+            target = this.networkClient.getInterpolatedState(target.vehicleId, now) || target;
+        }
+        if (target) {
+            // Orbit behind the followed entity, looking at it
+            const focus = new THREE.Vector3(target.position.x, target.position.y + 1.5, target.position.z);
+            this.position.copy(focus).addScaledVector(look, -this.followDistance);
+            this.position.y += this.followDistance * FOLLOW_HEIGHT;
+            this.camera.position.copy(this.position);
+            this.camera.lookAt(focus);
+        } else {
+            this.fly(delta, look);
+            this.camera.position.copy(this.position);
+            this.camera.lookAt(this.position.clone().add(look));
+        }
+
+        this.sendCamera();
+    }
+
+    fly(delta, look) {
+        const forward = (this.keys.has('KeyW') ? 1 : 0) - (this.keys.has('KeyS') ? 1 : 0);
+        const right = (this.keys.has('KeyD') ? 1 : 0) - (this.keys.has('KeyA') ? 1 : 0);
+        const up = (this.keys.has('KeyE') ? 1 : 0) - (this.keys.has('KeyQ') ? 1 : 0);
+        if (forward === 0 && right === 0 && up === 0) return;
+
+        const fast = this.keys.has('ShiftLeft') || this.keys.has('ShiftRight');
+        const distance = FLY_SPEED * (fast ? FAST_MULTIPLIER : 1) * delta;
+        const side = new THREE.Vector3(-Math.cos(this.yaw), 0, Math.sin(this.yaw));
+
+        const move = new THREE.Vector3()
+            .addScaledVector(look, forward)
+            .addScaledVector(side, right)
+            .add(new THREE.Vector3(0, up, 0));
+        this.position.addScaledVector(move.normalize(), distance);
+    }
+
+    /**
+     * Tell the server where we are looking from (at most clientSendRate times per second)
+     */
+    sendCamera() {
+        const now = performance.now();
+        if (now - this.lastSendTime < 1000 / CONFIG.network.clientSendRate) return;
+        this.lastSendTime = now;
+
+        this.networkClient.sendSpectatorCamera(
+            { x: this.position.x, y: this.position.y, z: this.position.z },
+            this.follow
+        );
+    }
+
+    getPosition() {
+        return this.position;
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        document.removeEventListener('mousemove', this.onMouseMove);
+        window.removeEventListener('wheel', this.onWheel);
+        document.getElementById('game-ui')?.removeEventListener('click', this.onClick);
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SpectatorCamera = SpectatorCamera;
+}
@@ -14,7 +14,7 @@ export class TerrainRenderer {
         // Chunk management
         this.chunks = new Map();         // "chunkX,chunkZ" -> { mesh, buildings, flora }
         this.loadedChunks = new Set();
-        this.loadingChunks = new Set();
+        this.centerChunk = null;         // { chunkX, chunkZ } the player is in
 
         // Configuration
         this.chunkSize = CONFIG.world.chunkSize;
@@ -40,6 +40,24 @@ export class TerrainRenderer {
         };
     }
 
+    /**
+     * Pick up world settings received from the server, rebuilding chunks if their size or detail changed
+     */
+    applyConfig() {
+        const changed = this.chunkSize !== CONFIG.world.chunkSize ||
+            this.renderResolution !== CONFIG.world.renderResolution;
+
+        this.chunkSize = CONFIG.world.chunkSize;
+        this.renderDistance = CONFIG.world.clientChunkRadius;
+        this.renderResolution = CONFIG.world.renderResolution;
+
+        if (changed) {
+            for (const key of Array.from(this.loadedChunks)) {
+                this.unloadChunk(key);
+            }
+        }
+    }
+
     /**
      * Create terrain material
      */
@@ -69,6 +87,7 @@ export class TerrainRenderer {
     update(playerPosition) {
         const centerChunkX = Math.floor(playerPosition.x / this.chunkSize);
         const centerChunkZ = Math.floor(playerPosition.z / this.chunkSize);
+        this.centerChunk = { chunkX: centerChunkX, chunkZ: centerChunkZ };
 
         const requiredChunks = new Set();
 
@@ -80,31 +99,25 @@ export class TerrainRenderer {
                 const key = `${chunkX},${chunkZ}`;
                 requiredChunks.add(key);
 
-                // Request chunk from server if not loaded
-                if (!this.loadedChunks.has(key) && !this.loadingChunks.has(key)) {
-                    this.requestChunk(chunkX, chunkZ);
+                if (this.loadedChunks.has(key)) continue;
+
+                // Build from data the server already streamed, or request it
+                const data = this.networkClient.getChunkData(chunkX, chunkZ);
+                if (data) {
+                    this.createChunkMesh(data);
+                    this.loadedChunks.add(key);
+                } else {
+                    this.networkClient.requestChunk(chunkX, chunkZ);
                 }
             }
         }
 
-        // Unload distant chunks
+        // Unload distant chunk meshes (the network client keeps their data until the server unloads it)
         for (const key of this.loadedChunks) {
             if (!requiredChunks.has(key)) {
                 this.unloadChunk(key);
             }
         }
-
-        // Clear old chunk data from network client
-        this.networkClient.clearOldChunks(Array.from(requiredChunks));
-    }
-
-    /**
-     * Request chunk data from server
-     */
-    requestChunk(chunkX, chunkZ) {
-        const key = `${chunkX},${chunkZ}`;
-        this.loadingChunks.add(key);
-        this.networkClient.requestChunk(chunkX, chunkZ);
     }
 
     /**
@@ -112,9 +125,18 @@ export class TerrainRenderer {
      */
     handleChunkData(data) {
         const key = `${data.chunkX},${data.chunkZ}`;
-        this.loadingChunks.delete(key);
 
-        if (this.loadedChunks.has(key)) return;
+        // A chunk we have is resent when it changes (a building collapsed): rebuild it
+        if (this.loadedChunks.has(key)) {
+            this.unloadChunk(key);
+        }
+
+        // Chunks pushed ahead of a fast vehicle wait in the network client until they are in range
+        if (!this.centerChunk ||
+            Math.abs(data.chunkX - this.centerChunk.chunkX) > this.renderDistance ||
+            Math.abs(data.chunkZ - this.centerChunk.chunkZ) > this.renderDistance) {
+            return;
+        }
 
         // Create chunk mesh
         this.createChunkMesh(data);
@@ -303,6 +325,8 @@ export class TerrainRenderer {
      * Create building mesh
      */
     createBuildingMesh(building) {
+        if (building.destroyed) return this.createRubbleMesh(building);
+
         const { x, y, z, width, height, depth, rotation } = building;
 
         // Building geometry
@@ -332,6 +356,25 @@ export class TerrainRenderer {
         return mesh;
     }
 
+    /**
+     * Create the rubble mound left by a collapsed building
+     */
+    createRubbleMesh(building) {
+        const { x, y, z, width, depth, rotation } = building;
+        const height = Math.min(CONFIG.buildings.rubbleHeight, building.height);
+
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(width, height, depth),
+            new THREE.MeshStandardMaterial({ color: 0x5a5550, roughness: 1, metalness: 0 })
+        );
+        mesh.position.set(x, y + height / 2, z);
+        mesh.rotation.y = rotation;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+
+        return mesh;
+    }
+
     /**
      * Add details to building
      */
@@ -387,6 +430,15 @@ export class TerrainRenderer {
         }
     }
 
+    /**
+     * Handle chunks the server unloaded
+     */
+    handleChunkUnload(keys) {
+        for (const key of keys) {
+            this.unloadChunk(key);
+        }
+    }
+
     /**
      * Unload chunk
      */
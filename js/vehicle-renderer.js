@@ -13,6 +13,7 @@ export class VehicleRenderer {
         // Vehicle tracking
         this.vehicles = new Map();       // entityId -> { mesh, type, state }
         this.localVehicleId = null;      // Vehicle the local player is driving
+        this.impacts = [];               // Crash flashes: { mesh, age, duration, size }
 
         // Vehicle configurations
         this.vehicleConfigs = CONFIG.physics.vehicle;
@@ -635,6 +636,7 @@ export class VehicleRenderer {
      */
     update(deltaTime) {
         this.applySmoothing();
+        this.updateImpacts(deltaTime);
 
         if (!this.localVehicleId) return;
 
@@ -675,6 +677,41 @@ export class VehicleRenderer {
         }
     }
 
+    /**
+     * Show a crash flash where a collision happened, bigger for harder impacts
+     */
+    showImpact(position, impactSpeed) {
+        const size = Math.min(0.5 + impactSpeed * 0.1, 4);
+        const mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 12, 8),
+            new THREE.MeshBasicMaterial({ color: 0xffaa33, transparent: true, opacity: 0.8, depthWrite: false })
+        );
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.scale.setScalar(size * 0.2);
+        this.scene.add(mesh);
+
+        this.impacts.push({ mesh, age: 0, duration: 0.4, size });
+    }
+
+    updateImpacts(deltaTime) {
+        for (let i = this.impacts.length - 1; i >= 0; i--) {
+            const impact = this.impacts[i];
+            impact.age += deltaTime;
+
+            const t = impact.age / impact.duration;
+            if (t >= 1) {
+                this.scene.remove(impact.mesh);
+                impact.mesh.geometry.dispose();
+                impact.mesh.material.dispose();
+                this.impacts.splice(i, 1);
+                continue;
+            }
+
+            impact.mesh.scale.setScalar(impact.size * (0.2 + 0.8 * t));
+            impact.mesh.material.opacity = 0.8 * (1 - t);
+        }
+    }
+
     /**
      * Get vehicle mesh
      */
@@ -705,6 +742,7 @@ export class VehicleRenderer {
         for (const entityId of this.vehicles.keys()) {
             this.removeVehicle(entityId);
         }
+        this.updateImpacts(Infinity);
     }
 }
 
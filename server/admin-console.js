@@ -0,0 +1,451 @@
+/**
+ * Admin Console
+ * Operator commands for a running server, from stdin or a local-only WebSocket path
+ */
+
+const readline = require('readline');
+const CONFIG = require('../shared/config.js');
+const TerrainNoise = require('../shared/terrain-noise.js');
+
+const LOCAL_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+class AdminConsole {
+    constructor(server) {
+        this.server = server;
+        this.instanceId = null;          // Instance commands act on (null = server default)
+
+        // Inputs
+        this.readline = null;
+        this.sockets = new Set();
+
+        // Command name -> { usage, description, run(args) }
+        this.commands = new Map();
+        this.setupCommands();
+    }
+
+    /**
+     * Register built-in commands
+     */
+    setupCommands() {
+        this.register('help', '', 'List commands', () => this.help());
+        this.register('instances', '', 'List world instances', () => this.listInstances());
+        this.register('instance', '<id>', 'Select the instance commands act on', (args) => this.selectInstance(args));
+        this.register('shards', '', 'Show shard links and pending handoffs', () => this.listShards());
+        this.register('players', '', 'List players', () => this.listPlayers());
+        this.register('vehicles', '', 'List vehicles', () => this.listVehicles());
+        this.register('kick', '<id> [reason]', 'Disconnect a player', (args) => this.kick(args));
+        this.register('tp', '<id> <x> <y> <z>', 'Teleport a player', (args) => this.teleport(args));
+        this.register('spawn', '<vehicleType> near <id>', 'Spawn a vehicle next to a player', (args) => this.spawn(args));
+        this.register('give', '<id> <itemId> [quantity]', 'Give a player items', (args) => this.give(args));
+        this.register('despawn', '<vehicleId>', 'Remove a vehicle', (args) => this.despawn(args));
+        this.register('chunks', '', 'List loaded terrain chunks', () => this.listChunks());
+        this.register('zones', '', 'List zones and what is inside them', () => this.listZones());
+        this.register('say', '<message>', 'Broadcast a server chat message to every instance', (args) => this.say(args));
+        this.register('mute', '<id> [minutes]', 'Stop a player from chatting', (args) => this.mute(args));
+        this.register('unmute', '<name>', 'Let a muted player chat again', (args) => this.unmute(args));
+        this.register('tickrate', '[hz]', 'Show or set the network tick rate', (args) => this.tickRate(args));
+        this.register('save', '', 'Save the world now', () => this.save());
+    }
+
+    /**
+     * Register a command
+     */
+    register(name, usage, description, run) {
+        this.commands.set(name, { usage, description, run });
+    }
+
+    /**
+     * Start the configured inputs
+     */
+    start() {
+        if (CONFIG.admin.console) {
+            this.startStdin();
+        }
+
+        if (CONFIG.admin.websocketPath) {
+            console.log(`[Admin] Admin WebSocket at ${CONFIG.admin.websocketPath} (localhost only)`);
+        }
+    }
+
+    /**
+     * Read commands from stdin
+     */
+    startStdin() {
+        this.readline = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            prompt: 'admin> '
+        });
+
+        this.readline.on('line', (line) => {
+            const output = this.execute(line);
+            if (output) console.log(output);
+            this.readline.prompt();
+        });
+
+        // Readline swallows Ctrl+C; pass it on so the server still shuts down
+        this.readline.on('SIGINT', () => {
+            process.emit('SIGINT');
+        });
+
+        this.readline.on('close', () => {
+            this.readline = null;
+        });
+
+        this.readline.prompt();
+    }
+
+    /**
+     * Check whether an incoming WebSocket connection is for the admin path
+     */
+    isAdminRequest(req) {
+        const path = CONFIG.admin.websocketPath;
+        return Boolean(path) && req.url.split('?')[0] === path;
+    }
+
+    /**
+     * Serve commands over an admin WebSocket (one command per message, plain text replies)
+     */
+    attachSocket(ws, req) {
+        const address = req.socket.remoteAddress;
+        if (!LOCAL_ADDRESSES.has(address)) {
+            console.warn(`[Admin] Rejected admin connection from ${address}`);
+            ws.close(1008, 'Admin access is local only');
+            return;
+        }
+
+        this.sockets.add(ws);
+        console.log(`[Admin] Admin connected from ${address}`);
+
+        ws.on('message', (data) => {
+            ws.send(this.execute(String(data)) || 'OK');
+        });
+
+        ws.on('close', () => {
+            this.sockets.delete(ws);
+        });
+
+        ws.send('Admin console - type "help" for commands');
+    }
+
+    /**
+     * Run a command line
+     * @returns {string} Output for the operator
+     */
+    execute(line) {
+        const args = line.trim().split(/\s+/).filter(Boolean);
+        if (args.length === 0) return '';
+
+        const name = args.shift().toLowerCase();
+        const command = this.commands.get(name);
+        if (!command) {
+            return `Unknown command: ${name} (try "help")`;
+        }
+
+        const world = this.world;
+        if (world) {
+            world.record({ e: 'a', s: world.stepNumber, cmd: line.trim() });
+        }
+
+        try {
+            return command.run(args);
+        } catch (e) {
+            return `Error: ${e.message}`;
+        }
+    }
+
+    /**
+     * Selected world instance
+     */
+    get world() {
+        return this.server.instances.get(this.instanceId || this.server.defaultInstanceId);
+    }
+
+    /**
+     * Usage error for a command
+     */
+    usageError(name) {
+        return new Error(`usage: ${name} ${this.commands.get(name).usage}`);
+    }
+
+    /**
+     * Find a player in the selected instance by client ID or (unique, case-insensitive) username
+     */
+    resolvePlayer(idOrName) {
+        const players = Array.from(this.world.playerManager.players.values());
+
+        const byId = players.find(player => player.clientId === idOrName);
+        if (byId) return byId;
+
+        const byName = players.filter(player => player.username.toLowerCase() === idOrName.toLowerCase());
+        if (byName.length > 1) {
+            throw new Error(`${byName.length} players are named ${idOrName}, use a client ID`);
+        }
+        if (byName.length === 0) {
+            throw new Error(`no player ${idOrName}`);
+        }
+        return byName[0];
+    }
+
+    // Commands
+
+    help() {
+        const lines = [];
+        for (const [name, command] of this.commands) {
+            lines.push(`  ${`${name} ${command.usage}`.padEnd(32)} ${command.description}`);
+        }
+        return lines.join('\n');
+    }
+
+    listInstances() {
+        const lines = this.server.getInstanceList().map(info => [
+            info.id === this.world.id ? '* ' : '  ',
+            info.id.padEnd(16),
+            info.name.padEnd(24),
+            `${info.players}/${info.maxPlayers} players`
+        ].join(''));
+
+        return [`${lines.length} instance(s):`, ...lines].join('\n');
+    }
+
+    selectInstance(args) {
+        if (args.length !== 1) throw this.usageError('instance');
+
+        if (!this.server.instances.has(args[0])) {
+            throw new Error(`no instance ${args[0]}`);
+        }
+        this.instanceId = args[0];
+        return `Selected ${args[0]}`;
+    }
+
+    listShards() {
+        if (!this.server.shardManager) return 'Sharding is not enabled';
+
+        const { shardId, peers, pendingHandoffs, inDoubtHandoffs } = this.server.shardManager.getInfo();
+        const lines = peers.map(peer => [
+            `  ${peer.id.padEnd(16)}`,
+            peer.url.padEnd(28),
+            (peer.connected ? 'linked' : 'down').padEnd(8),
+            `${peer.ghosts} ghost(s)`
+        ].join(''));
+
+        return [`Shard ${shardId}, ${pendingHandoffs} handoff(s) pending (${inDoubtHandoffs} in doubt), ${peers.length} peer(s):`, ...lines].join('\n');
+    }
+
+    listPlayers() {
+        const players = Array.from(this.world.playerManager.players.values());
+        if (players.length === 0) return `No players in ${this.world.id}`;
+
+        const lines = players.map(player => {
+            const ws = this.server.clientsById.get(player.clientId);
+            const clientData = ws ? this.server.clients.get(ws) : null;
+            const position = this.world.getPlayerPosition(player.clientId);
+
+            return [
+                `  ${player.clientId}`,
+                player.username.padEnd(20),
+                (clientData ? `${Math.round(clientData.latency)}ms` : 'detached').padEnd(9),
+                position ? `(${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})` : '(?)',
+                player.vehicleId ? `in ${player.vehicleId}` : ''
+            ].join('  ');
+        });
+
+        return [`${players.length} player(s) in ${this.world.id}:`, ...lines].join('\n');
+    }
+
+    listVehicles() {
+        const states = this.world.vehicleManager.getAllVehicleStates();
+        if (states.length === 0) return `No vehicles in ${this.world.id}`;
+
+        const lines = states.map(state => [
+            `  ${state.entityId}`,
+            state.vehicleType.padEnd(10),
+            `(${state.position.x.toFixed(1)}, ${state.position.y.toFixed(1)}, ${state.position.z.toFixed(1)})`,
+            state.driverId ? `driver ${state.driverId}` : ''
+        ].join('  '));
+
+        return [`${states.length} vehicle(s) in ${this.world.id}:`, ...lines].join('\n');
+    }
+
+    kick(args) {
+        if (args.length < 1) throw this.usageError('kick');
+
+        const player = this.resolvePlayer(args[0]);
+        const reason = args.slice(1).join(' ') || 'Kicked by an administrator';
+
+        this.server.kickPlayer(player.clientId, reason);
+        console.log(`[Admin] Kicked ${player.username} (${player.clientId}): ${reason}`);
+        return `Kicked ${player.username}`;
+    }
+
+    teleport(args) {
+        if (args.length !== 4) throw this.usageError('tp');
+
+        const player = this.resolvePlayer(args[0]);
+        const [x, y, z] = args.slice(1).map(Number);
+        if (![x, y, z].every(Number.isFinite)) throw this.usageError('tp');
+
+        if (player.vehicleId) {
+            throw new Error(`${player.username} is in a vehicle`);
+        }
+
+        const position = { x, y, z };
+        this.world.playerManager.teleportPlayer(player.clientId, position);
+        return `Teleported ${player.username} to (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`;
+    }
+
+    spawn(args) {
+        if (args.length !== 3 || args[1] !== 'near') throw this.usageError('spawn');
+
+        const vehicleType = args[0].toLowerCase();
+        const vehicleTypes = Object.values(CONFIG.vehicleTypes);
+        if (!vehicleTypes.includes(vehicleType)) {
+            throw new Error(`unknown vehicle type ${vehicleType} (${vehicleTypes.join(', ')})`);
+        }
+
+        const player = this.resolvePlayer(args[2]);
+        const position = this.world.getPlayerPosition(player.clientId);
+        if (!position) throw new Error(`${player.username} has no position`);
+
+        // A few meters away so the vehicle doesn't spawn inside the player
+        const angle = TerrainNoise.seededRandom(this.world.nextSeed('adminSpawn'))() * Math.PI * 2;
+        const x = position.x + Math.cos(angle) * 8;
+        const z = position.z + Math.sin(angle) * 8;
+        const y = this.world.terrainManager.getHeightAt(x, z) + 2;
+
+        const vehicleId = this.world.vehicleManager.spawnVehicle(vehicleType, { x, y, z }, angle);
+        if (!vehicleId) throw new Error(`failed to spawn ${vehicleType}`);
+
+        return `Spawned ${vehicleType} ${vehicleId} near ${player.username}`;
+    }
+
+    give(args) {
+        if (args.length < 2 || args.length > 3) throw this.usageError('give');
+
+        const player = this.resolvePlayer(args[0]);
+        const itemId = args[1];
+        const quantity = args.length === 3 ? Number(args[2]) : 1;
+        if (!Number.isInteger(quantity) || quantity < 1) throw this.usageError('give');
+
+        const item = this.world.itemManager.getItemDefinition(itemId);
+        if (!item) throw new Error(`unknown item ${itemId}`);
+
+        const added = this.world.giveItem(player.clientId, itemId, quantity);
+        if (added === 0) throw new Error(`${player.username}'s inventory is full`);
+
+        return `Gave ${player.username} ${added}x ${item.name}`;
+    }
+
+    despawn(args) {
+        if (args.length !== 1) throw this.usageError('despawn');
+
+        if (!this.world.despawnVehicle(args[0])) {
+            throw new Error(`no vehicle ${args[0]}`);
+        }
+        return `Removed ${args[0]}`;
+    }
+
+    listChunks() {
+        const chunks = this.world.terrainManager.getLoadedChunks()
+            .sort((a, b) => a.chunkX - b.chunkX || a.chunkZ - b.chunkZ);
+
+        let pending = 0;
+        for (const clientData of this.world.clients.values()) {
+            pending += clientData.chunkRequests.size;
+        }
+
+        const lines = [`${chunks.length} chunk(s) loaded in ${this.world.id}, ${pending} client request(s) pending`];
+        for (let i = 0; i < chunks.length; i += 8) {
+            lines.push('  ' + chunks.slice(i, i + 8).map(c => `${c.chunkX},${c.chunkZ}`.padEnd(10)).join(''));
+        }
+        return lines.join('\n');
+    }
+
+    listZones() {
+        const zones = Array.from(this.world.zones.zones.values());
+        if (zones.length === 0) return `No zones in ${this.world.id}`;
+
+        const lines = zones.map(zone => [
+            `  ${zone.id.padEnd(16)}`,
+            zone.kind.padEnd(10),
+            zone.shape.type.padEnd(10),
+            `(${zone.position.x.toFixed(1)}, ${zone.position.y.toFixed(1)}, ${zone.position.z.toFixed(1)})`,
+            zone.members.size > 0 ? Array.from(zone.members).join(', ') : '-'
+        ].join('  '));
+
+        return [`${zones.length} zone(s) in ${this.world.id}:`, ...lines].join('\n');
+    }
+
+    say(args) {
+        if (args.length === 0) throw this.usageError('say');
+
+        const message = args.join(' ');
+        this.server.broadcast({
+            type: CONFIG.messageTypes.CHAT_MESSAGE,
+            channel: 'global',
+            clientId: null,
+            username: 'Server',
+            message,
+            timestamp: Date.now()
+        });
+        return `Server: ${message}`;
+    }
+
+    mute(args) {
+        if (args.length < 1 || args.length > 2) throw this.usageError('mute');
+
+        const player = this.resolvePlayer(args[0]);
+        const minutes = args.length === 2 ? Number(args[1]) : CONFIG.chat.defaultMuteMinutes;
+        if (!(minutes > 0)) throw new Error('minutes must be a positive number');
+
+        this.world.chat.mute(player.username, minutes);
+        this.world.chat.notify(player.clientId, `You have been muted for ${minutes} minute(s)`);
+        return `Muted ${player.username} for ${minutes} minute(s)`;
+    }
+
+    unmute(args) {
+        if (args.length !== 1) throw this.usageError('unmute');
+
+        if (!this.world.chat.unmute(args[0])) {
+            throw new Error(`${args[0]} is not muted`);
+        }
+        return `Unmuted ${args[0]}`;
+    }
+
+    tickRate(args) {
+        if (args.length === 0) return `Tick rate in ${this.world.id}: ${this.world.tickRate} Hz`;
+
+        const hz = Number(args[0]);
+        if (!Number.isInteger(hz) || hz < 1 || hz > 120) {
+            throw new Error('tick rate must be a whole number between 1 and 120');
+        }
+
+        this.world.setTickRate(hz);
+        return `Tick rate in ${this.world.id}: ${hz} Hz`;
+    }
+
+    save() {
+        if (!this.world.persistence) {
+            return `Persistence is not enabled for ${this.world.id}`;
+        }
+
+        return this.world.persistence.save() ? `Saved ${this.world.id}` : 'Save failed (see log)';
+    }
+
+    /**
+     * Close all inputs
+     */
+    stop() {
+        if (this.readline) {
+            this.readline.close();
+            this.readline = null;
+        }
+
+        for (const ws of this.sockets) {
+            ws.close();
+        }
+        this.sockets.clear();
+    }
+}
+
+module.exports = AdminConsole;
@@ -0,0 +1,143 @@
+/**
+ * Bot Behaviours
+ * Scripted movement for headless bot clients; each update() sets the bot's input for the next send
+ */
+
+/**
+ * Stand still (still sends idle inputs, like an AFK player)
+ */
+class IdleBehaviour {
+    update(bot) {
+        bot.setMove(0, 0);
+    }
+}
+
+/**
+ * Walk around, turning at random intervals, sometimes running or jumping
+ */
+class WanderBehaviour {
+    constructor() {
+        this.turnTimer = 0;
+        this.running = false;
+    }
+
+    update(bot, deltaTime) {
+        this.turnTimer -= deltaTime;
+        if (this.turnTimer <= 0) {
+            this.turnTimer = 2 + Math.random() * 6;
+            bot.input.yaw = Math.random() * Math.PI * 2 - Math.PI;
+            this.running = Math.random() < 0.3;
+        }
+
+        bot.setMove(1, 0, { run: this.running, jump: Math.random() < 0.01 });
+    }
+}
+
+/**
+ * Walk towards the nearest other player and hang around them
+ */
+class FollowBehaviour {
+    constructor() {
+        this.fallback = new WanderBehaviour();
+    }
+
+    update(bot, deltaTime) {
+        const target = bot.findNearest(bot.players, entity => entity.entityId !== bot.entityId && !entity.inVehicle);
+        if (!target) {
+            this.fallback.update(bot, deltaTime);
+            return;
+        }
+
+        if (target.distance < 4) {
+            bot.setMove(0, 0);
+            return;
+        }
+
+        bot.faceTowards(target.entity.position);
+        bot.setMove(1, 0, { run: target.distance > 20 });
+    }
+}
+
+/**
+ * Walk to the nearest free vehicle, drive it around for a while, get out, repeat
+ */
+class DriveBehaviour {
+    constructor() {
+        this.driveTimer = 0;
+        this.walkTimer = 0;              // Time on foot before looking for the next vehicle
+        this.steerTimer = 0;
+        this.steering = 0;
+        this.fallback = new WanderBehaviour();
+    }
+
+    update(bot, deltaTime) {
+        if (bot.inVehicle) {
+            this.drive(bot, deltaTime);
+            return;
+        }
+
+        this.walkTimer -= deltaTime;
+        const target = this.walkTimer <= 0 ? bot.findNearest(bot.vehicles, entity => !entity.driverId) : null;
+        if (!target) {
+            this.fallback.update(bot, deltaTime);
+            return;
+        }
+
+        bot.faceTowards(target.entity.position);
+        bot.setMove(target.distance > 3 ? 1 : 0, 0, { run: target.distance > 20 });
+
+        if (target.distance < 4 && !bot.pendingVehicleRequest) {
+            this.driveTimer = 20 + Math.random() * 40;
+            bot.enterVehicle();
+        }
+    }
+
+    drive(bot, deltaTime) {
+        this.driveTimer -= deltaTime;
+        if (this.driveTimer <= 0) {
+            this.walkTimer = 5 + Math.random() * 10;
+            bot.exitVehicle();
+            return;
+        }
+
+        this.steerTimer -= deltaTime;
+        if (this.steerTimer <= 0) {
+            this.steerTimer = 1 + Math.random() * 3;
+            this.steering = Math.round(Math.random() * 2 - 1);
+        }
+
+        Object.assign(bot.vehicleInput, {
+            throttle: 1,
+            brake: 0,
+            steering: this.steering,
+            handbrake: false,
+            collective: 0.6,
+            pitch: -0.2,
+            roll: 0,
+            yaw: this.steering
+        });
+    }
+}
+
+const BEHAVIOURS = {
+    idle: IdleBehaviour,
+    wander: WanderBehaviour,
+    follow: FollowBehaviour,
+    drive: DriveBehaviour
+};
+
+/**
+ * Create a behaviour by name
+ */
+function createBehaviour(name) {
+    const Behaviour = BEHAVIOURS[name];
+    if (!Behaviour) {
+        throw new Error(`Unknown bot behaviour: ${name} (${Object.keys(BEHAVIOURS).join(', ')})`);
+    }
+    return new Behaviour();
+}
+
+module.exports = {
+    BEHAVIOUR_NAMES: Object.keys(BEHAVIOURS),
+    createBehaviour
+};
@@ -0,0 +1,434 @@
+/**
+ * Headless Bot Client
+ * Speaks the same protocol as js/network-client.js over ws, driven by a scripted behaviour
+ */
+
+const WebSocket = require('ws');
+const CONFIG = require('../shared/config.js');
+const SnapshotCodec = require('../shared/snapshot-codec.js');
+const ChunkCodec = require('../shared/chunk-codec.js');
+const { createBehaviour } = require('./bot-behaviours.js');
+
+const MT = CONFIG.messageTypes;
+
+const CHAT_LINES = ['hello', 'anyone around?', 'nice view', 'brb', 'race you', 'gg'];
+
+class BotClient {
+    constructor(options = {}) {
+        this.url = options.url || `ws://localhost:${CONFIG.network.port}`;
+        this.username = options.username || 'Bot';
+        this.snapshotFormat = options.snapshotFormat || 'binary';
+        this.chatInterval = options.chatInterval || 0;   // Seconds between chat messages (0 = never)
+        this.instance = options.instance || null;        // World instance to join (null = server default)
+        this.tickRate = CONFIG.network.tickRate;         // Replaced by the joined instance's rate
+        this.behaviour = createBehaviour(options.behaviour || 'wander');
+
+        this.ws = null;
+        this.clientId = null;
+        this.entityId = null;
+        this.playing = false;
+        this.closed = false;
+        this.kickReason = null;
+        this.sessionToken = null;
+        this.redirectUrl = null;         // Shard to resume on once this server closes us (SHARD_REDIRECT)
+
+        // Latest known world (visible entities only)
+        this.players = new Map();        // entityId -> state
+        this.vehicles = new Map();       // entityId -> state
+        this.decodedSnapshots = new Map(); // tick -> entity table, baselines for binary deltas
+
+        // Own state
+        this.position = null;
+        this.inVehicle = false;
+        this.vehicleId = null;
+        this.pendingVehicleRequest = false;
+
+        // Inputs sent every clientSendRate tick
+        this.inputSequence = 0;
+        this.input = { forward: 0, right: 0, jump: false, run: false, crouch: false, yaw: 0 };
+        this.vehicleInput = { throttle: 0, brake: 0, steering: 0, handbrake: false, collective: 0, pitch: 0, roll: 0, yaw: 0 };
+
+        // Chunk requests
+        this.requestedChunks = new Set();
+        this.lastChunkKey = null;
+
+        // Timers
+        this.inputTimer = null;
+        this.pingTimer = null;
+        this.chatTimer = null;
+
+        // Measurements (read and reset by the load tester)
+        this.stats = this.createStats();
+        this.lastSnapshotTime = 0;
+    }
+
+    createStats() {
+        return {
+            snapshots: 0,
+            lateSnapshots: 0,            // Arrived more than 1.5 tick intervals after the previous one
+            bytesIn: 0,
+            bytesOut: 0,
+            rttSamples: []
+        };
+    }
+
+    /**
+     * Take the measurements gathered since the last call
+     */
+    takeStats() {
+        const stats = this.stats;
+        this.stats = this.createStats();
+        return stats;
+    }
+
+    /**
+     * Connect and spawn
+     * @returns {Promise} Resolves once the bot's player is spawned
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.onSpawned = resolve;
+            this.onFailed = reject;
+            this.openSocket();
+        });
+    }
+
+    /**
+     * Open a connection to this.url (again after a shard redirect)
+     */
+    openSocket() {
+        this.ws = new WebSocket(this.url);
+
+        this.ws.on('message', (data, isBinary) => {
+            this.stats.bytesIn += data.length;
+            try {
+                if (isBinary) {
+                    // Terrain is only counted in bytesIn; bots do not render it
+                    if (!ChunkCodec.isChunkFrame(data)) {
+                        this.handleBinarySnapshot(data);
+                    }
+                } else {
+                    this.handleMessage(JSON.parse(data));
+                }
+            } catch (e) {
+                console.error(`[Bot ${this.username}] Invalid message:`, e.message);
+            }
+        });
+
+        this.ws.on('close', () => {
+            this.stopTimers();
+
+            // Handed over to another shard: resume the session there
+            if (this.redirectUrl) {
+                this.url = this.redirectUrl;
+                this.redirectUrl = null;
+                this.players.clear();
+                this.vehicles.clear();
+                this.decodedSnapshots.clear();
+                this.requestedChunks.clear();
+                this.lastChunkKey = null;
+                this.openSocket();
+                return;
+            }
+
+            this.closed = true;
+            if (!this.playing) {
+                this.onFailed(new Error(this.kickReason || 'connection closed before spawn'));
+            }
+        });
+
+        this.ws.on('error', (error) => {
+            if (!this.playing) this.onFailed(error);
+        });
+    }
+
+    /**
+     * Disconnect from the server
+     */
+    disconnect() {
+        this.stopTimers();
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+
+    stopTimers() {
+        clearInterval(this.inputTimer);
+        clearInterval(this.pingTimer);
+        clearInterval(this.chatTimer);
+        this.inputTimer = this.pingTimer = this.chatTimer = null;
+    }
+
+    send(message) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+        const data = JSON.stringify(message);
+        this.stats.bytesOut += Buffer.byteLength(data);
+        this.ws.send(data);
+    }
+
+    /**
+     * Handle incoming message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case MT.HANDSHAKE_ACK: {
+                this.clientId = message.clientId;
+                const offered = message.snapshotFormats || ['json'];
+                this.send({
+                    type: MT.HANDSHAKE,
+                    username: this.username,
+                    appearance: {},
+                    snapshotFormat: offered.includes(this.snapshotFormat) ? this.snapshotFormat : 'json',
+                    ...(this.sessionToken ? { sessionToken: this.sessionToken } : {}),
+                    ...(this.instance ? { instance: this.instance } : {})
+                });
+                this.sessionToken = message.sessionToken;
+                break;
+            }
+
+            case MT.SESSION_RESUMED:
+                this.clientId = message.clientId;
+                this.sessionToken = message.sessionToken;
+                break;
+
+            case MT.SHARD_REDIRECT:
+                this.redirectUrl = message.url;
+                break;
+
+            case MT.INSTANCE_JOINED:
+                this.tickRate = message.tickRate;
+                break;
+
+            case MT.ENTITY_SPAWN:
+                if (message.isLocal) {
+                    this.entityId = message.entityId;
+                    this.position = message.position;
+                    this.startPlaying();
+                }
+                break;
+
+            case MT.WORLD_SNAPSHOT:
+                this.handleWorldSnapshot(message);
+                break;
+
+            case MT.PONG:
+                this.send({ type: MT.PONG_ACK, nonce: message.nonce });
+                this.stats.rttSamples.push(Date.now() - message.clientTime);
+                break;
+
+            case MT.ENTITY_DESTROY:
+                this.players.delete(message.entityId);
+                this.vehicles.delete(message.entityId);
+                break;
+
+            case MT.VEHICLE_ENTER:
+                if (message.playerId === this.clientId) {
+                    this.inVehicle = true;
+                    this.vehicleId = message.vehicleId;
+                    this.pendingVehicleRequest = false;
+                }
+                break;
+
+            case MT.VEHICLE_EXIT:
+                if (message.playerId === this.clientId) {
+                    this.inVehicle = false;
+                    this.vehicleId = null;
+                    this.pendingVehicleRequest = false;
+                    this.position = message.exitPosition;
+                }
+                break;
+
+            case MT.CHUNK_UNLOAD:
+                for (const chunk of message.chunks || []) {
+                    this.requestedChunks.delete(`${chunk.chunkX},${chunk.chunkZ}`);
+                }
+                break;
+
+            case MT.DISCONNECT:
+                this.kickReason = message.reason;
+                console.warn(`[Bot ${this.username}] Disconnected by server: ${message.reason}`);
+                break;
+        }
+    }
+
+    /**
+     * Decode a binary snapshot against its baseline and acknowledge it
+     */
+    handleBinarySnapshot(data) {
+        const snapshot = SnapshotCodec.readSnapshot(data);
+
+        let baseline = null;
+        if (snapshot.baselineTick !== 0) {
+            baseline = this.decodedSnapshots.get(snapshot.baselineTick);
+            if (!baseline) return;
+        }
+
+        const entities = SnapshotCodec.applySnapshot(baseline, snapshot);
+        this.decodedSnapshots.set(snapshot.tick, entities);
+        while (this.decodedSnapshots.size > CONFIG.network.snapshotBufferSize) {
+            this.decodedSnapshots.delete(this.decodedSnapshots.keys().next().value);
+        }
+
+        this.send({ type: MT.SNAPSHOT_ACK, tick: snapshot.tick });
+
+        this.handleWorldSnapshot({
+            tick: snapshot.tick,
+            serverTime: snapshot.serverTime,
+            ...SnapshotCodec.collectEntities(entities)
+        });
+    }
+
+    /**
+     * Track snapshot timing and the entities we can see
+     */
+    handleWorldSnapshot(snapshot) {
+        const now = Date.now();
+        if (this.lastSnapshotTime && now - this.lastSnapshotTime > 1.5 * 1000 / this.tickRate) {
+            this.stats.lateSnapshots++;
+        }
+        this.lastSnapshotTime = now;
+        this.stats.snapshots++;
+
+        this.players = new Map((snapshot.players || []).map(state => [state.entityId, state]));
+        this.vehicles = new Map((snapshot.vehicles || []).map(state => [state.entityId, state]));
+
+        const own = this.players.get(this.entityId);
+        if (own) {
+            this.inVehicle = own.inVehicle;
+            this.vehicleId = own.vehicleId;
+            const vehicle = own.inVehicle ? this.vehicles.get(own.vehicleId) : null;
+            this.position = vehicle ? vehicle.position : (own.position || this.position);
+        }
+
+        this.requestNearbyChunks();
+    }
+
+    /**
+     * Start sending inputs, pings and chat
+     */
+    startPlaying() {
+        this.playing = true;
+
+        const sendInterval = 1000 / CONFIG.network.clientSendRate;
+        let lastUpdate = Date.now();
+        this.inputTimer = setInterval(() => {
+            const now = Date.now();
+            this.behaviour.update(this, (now - lastUpdate) / 1000);
+            lastUpdate = now;
+            this.sendInput();
+        }, sendInterval);
+
+        this.pingTimer = setInterval(() => {
+            this.send({ type: MT.PING, clientTime: Date.now() });
+        }, 2000);
+
+        if (this.chatInterval > 0) {
+            this.chatTimer = setInterval(() => {
+                this.chat(CHAT_LINES[Math.floor(Math.random() * CHAT_LINES.length)]);
+            }, this.chatInterval * 1000 * (0.5 + Math.random()));
+        }
+
+        this.requestNearbyChunks();
+        this.onSpawned();
+    }
+
+    /**
+     * Send the current input (vehicle input while driving)
+     */
+    sendInput() {
+        if (this.inVehicle) {
+            this.send({ type: MT.VEHICLE_INPUT, input: this.vehicleInput });
+            return;
+        }
+
+        this.inputSequence++;
+        this.send({
+            type: MT.PLAYER_INPUT,
+            input: { ...this.input, seq: this.inputSequence }
+        });
+    }
+
+    /**
+     * Request chunks around the bot when it moves into a new chunk (like the terrain renderer)
+     */
+    requestNearbyChunks() {
+        if (!this.position) return;
+
+        const chunkSize = CONFIG.world.chunkSize;
+        const centerX = Math.floor(this.position.x / chunkSize);
+        const centerZ = Math.floor(this.position.z / chunkSize);
+        const centerKey = `${centerX},${centerZ}`;
+        if (centerKey === this.lastChunkKey) return;
+        this.lastChunkKey = centerKey;
+
+        const radius = CONFIG.world.clientChunkRadius;
+        for (let dx = -radius; dx <= radius; dx++) {
+            for (let dz = -radius; dz <= radius; dz++) {
+                const key = `${centerX + dx},${centerZ + dz}`;
+                if (this.requestedChunks.has(key)) continue;
+
+                this.requestedChunks.add(key);
+                this.send({ type: MT.CHUNK_REQUEST, chunkX: centerX + dx, chunkZ: centerZ + dz });
+            }
+        }
+    }
+
+    // Actions used by behaviours
+
+    setMove(forward, right, { run = false, jump = false } = {}) {
+        Object.assign(this.input, { forward, right, run, jump, crouch: false });
+    }
+
+    /**
+     * Turn to face a world position
+     */
+    faceTowards(target) {
+        if (!this.position) return;
+
+        // Forward is -Z at yaw 0 (see PlayerPhysicsManager)
+        const dx = target.x - this.position.x;
+        const dz = target.z - this.position.z;
+        this.input.yaw = Math.atan2(-dx, -dz);
+    }
+
+    /**
+     * Find the nearest entity in a collection matching a predicate
+     * @returns {{ entity: Object, distance: number } | null}
+     */
+    findNearest(collection, predicate) {
+        if (!this.position) return null;
+
+        let nearest = null;
+        for (const entity of collection.values()) {
+            if (!entity.position || !predicate(entity)) continue;
+
+            const dx = entity.position.x - this.position.x;
+            const dz = entity.position.z - this.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { entity, distance };
+            }
+        }
+        return nearest;
+    }
+
+    enterVehicle() {
+        this.pendingVehicleRequest = true;
+        this.send({ type: MT.VEHICLE_ENTER });
+        setTimeout(() => { this.pendingVehicleRequest = false; }, 1000);
+    }
+
+    exitVehicle() {
+        if (this.pendingVehicleRequest) return;
+        this.pendingVehicleRequest = true;
+        this.send({ type: MT.VEHICLE_EXIT });
+        setTimeout(() => { this.pendingVehicleRequest = false; }, 1000);
+    }
+
+    chat(text) {
+        this.send({ type: MT.CHAT_MESSAGE, message: text });
+    }
+}
+
+module.exports = BotClient;
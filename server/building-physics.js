@@ -0,0 +1,233 @@
+/**
+ * Server-side Building Destruction
+ * City buildings have structural health from their size. Hard vehicle impacts and shells wear it down,
+ * and a building at 0 collapses: its chunk keeps it as rubble, and it breaks into debris bodies that
+ * tumble, settle and are cleaned up after a while
+ */
+
+const CONFIG = require('../shared/config.js');
+
+class BuildingPhysicsManager {
+    constructor(physicsWorld, terrainManager) {
+        this.physicsWorld = physicsWorld;
+        this.terrainManager = terrainManager;
+
+        // Damaged buildings (undamaged ones are not listed; damage is forgotten when the chunk unloads)
+        this.health = new Map();         // Building entityId -> remaining health
+
+        // Debris tracking
+        this.debris = new Map();         // entityId -> { entityId, halfExtents, expiresAt }
+        this.nextDebrisNumber = 1;
+        this.stepCount = 0;              // Clock for debris lifetimes
+
+        // Collapses not yet published: { buildingId, chunkX, chunkZ, index, position, cause, debris }
+        this.collapses = [];
+
+        // Configuration
+        this.settings = CONFIG.buildings;
+    }
+
+    /**
+     * Full structural health of a building
+     */
+    getMaxHealth(building) {
+        return Math.max(1, building.width * building.height * building.depth * this.settings.healthPerCubicMeter);
+    }
+
+    /**
+     * Remaining health of a standing building
+     * @returns {number|null} Null for rubble and anything that isn't a loaded building
+     */
+    getHealth(entityId) {
+        const record = this.terrainManager.getBuilding(entityId);
+        if (!record || record.destroyed) return null;
+
+        return this.health.get(entityId) ?? this.getMaxHealth(record.building);
+    }
+
+    /**
+     * Damage a building, collapsing it at 0 health
+     * @param {string|null} cause - Entity that did the damage (a vehicle, or whoever fired the shell)
+     * @returns {number|null} Remaining health, or null if it isn't a standing building
+     */
+    damageBuilding(entityId, damage, cause = null) {
+        const health = this.getHealth(entityId);
+        if (health === null) return null;
+        if (!this.settings.destructible || damage <= 0) return health;
+
+        const remaining = Math.max(0, health - damage);
+        if (remaining > 0) {
+            this.health.set(entityId, remaining);
+        } else {
+            this.collapse(entityId, cause);
+        }
+        return remaining;
+    }
+
+    /**
+     * Damage a building a vehicle ran into, by the vehicle's kinetic energy going into the impact
+     * @param {Object} event - 'vehicle_building' collision (see CollisionManager)
+     */
+    handleImpact(event) {
+        if (!event.started || event.impactSpeed < this.settings.minImpactSpeed) return;
+
+        const body = this.physicsWorld.bodies.get(event.entityA);
+        if (!body) return;
+
+        const energy = 0.5 * body.mass() * event.impactSpeed * event.impactSpeed;
+        this.damageBuilding(event.entityB, energy / this.settings.impactEnergyPerDamage, event.entityA);
+    }
+
+    /**
+     * Bring a building down: rubble in its place and debris where it stood
+     */
+    collapse(entityId, cause) {
+        const record = this.terrainManager.destroyBuilding(entityId);
+        if (!record) return;
+
+        this.health.delete(entityId);
+        const debris = this.spawnDebris(record.building);
+
+        const { building } = record;
+        this.collapses.push({
+            buildingId: entityId,
+            chunkX: record.chunkX,
+            chunkZ: record.chunkZ,
+            index: record.index,
+            position: { x: building.x, y: building.y + building.height / 2, z: building.z },
+            cause,
+            debris
+        });
+    }
+
+    /**
+     * Break a building's volume above the rubble into a grid of pieces (2 x 2 across, stacked up it),
+     * each pushed gently outwards from the middle
+     * @returns {Array} Debris entity IDs
+     */
+    spawnDebris(building) {
+        const { debrisPieces, maxDebris, debrisMaxSize, debrisSpeed, rubbleHeight } = this.settings;
+        const base = Math.min(rubbleHeight, building.height);
+        const levels = Math.min(Math.floor(debrisPieces / 4), Math.ceil((building.height - base) / debrisMaxSize));
+
+        const cell = { x: building.width / 2, y: (building.height - base) / Math.max(1, levels), z: building.depth / 2 };
+        const halfExtents = {
+            x: Math.min(cell.x, debrisMaxSize) / 2,
+            y: Math.min(cell.y, debrisMaxSize) / 2,
+            z: Math.min(cell.z, debrisMaxSize) / 2
+        };
+        const cos = Math.cos(building.rotation);
+        const sin = Math.sin(building.rotation);
+
+        const ids = [];
+        for (let level = 0; level < levels; level++) {
+            for (const sx of [-0.5, 0.5]) {
+                for (const sz of [-0.5, 0.5]) {
+                    if (this.debris.size >= maxDebris) return ids;
+
+                    // Offset from the middle in the building's frame, turned by its yaw
+                    const dx = sx * cell.x * cos + sz * cell.z * sin;
+                    const dz = -sx * cell.x * sin + sz * cell.z * cos;
+                    const length = Math.hypot(dx, dz);
+
+                    const entityId = `debris_${this.nextDebrisNumber++}`;
+                    this.physicsWorld.createDebrisBody(
+                        entityId,
+                        { x: building.x + dx, y: building.y + base + (level + 0.5) * cell.y, z: building.z + dz },
+                        halfExtents,
+                        building.rotation,
+                        { x: dx / length * debrisSpeed, y: 0, z: dz / length * debrisSpeed }
+                    );
+
+                    this.debris.set(entityId, {
+                        entityId,
+                        halfExtents,
+                        expiresAt: this.stepCount + this.physicsWorld.msToSteps(this.settings.debrisLifetime)
+                    });
+                    ids.push(entityId);
+                }
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Remove a piece of debris
+     */
+    removeDebris(entityId) {
+        if (!this.debris.has(entityId)) return false;
+
+        this.physicsWorld.removeEntity(entityId);
+        this.debris.delete(entityId);
+        return true;
+    }
+
+    /**
+     * Collapses since the last call (plugins and admin commands can bring buildings down between steps)
+     */
+    takeCollapses() {
+        const collapses = this.collapses;
+        this.collapses = [];
+        return collapses;
+    }
+
+    /**
+     * Start a step: clean up old debris and forget damage to buildings that were unloaded
+     */
+    update() {
+        this.stepCount++;
+
+        for (const [entityId, piece] of this.debris) {
+            if (this.stepCount >= piece.expiresAt) {
+                this.removeDebris(entityId);
+            }
+        }
+
+        for (const entityId of this.health.keys()) {
+            if (!this.terrainManager.getBuilding(entityId)) {
+                this.health.delete(entityId);
+            }
+        }
+    }
+
+    /**
+     * Get debris state for networking
+     */
+    getDebrisState(entityId) {
+        const piece = this.debris.get(entityId);
+        const body = this.physicsWorld.bodies.get(entityId);
+        if (!piece || !body) return null;
+
+        const pos = body.translation();
+        const rot = body.rotation();
+
+        return {
+            entityId,
+            type: CONFIG.entityTypes.DEBRIS,
+            size: piece.halfExtents,
+            position: { x: pos.x, y: pos.y, z: pos.z },
+            rotation: { x: rot.x, y: rot.y, z: rot.z, w: rot.w }
+        };
+    }
+
+    /**
+     * Get all debris states
+     */
+    getAllDebrisStates() {
+        const states = [];
+        for (const entityId of this.debris.keys()) {
+            const state = this.getDebrisState(entityId);
+            if (state) states.push(state);
+        }
+        return states;
+    }
+
+    /**
+     * Get debris count
+     */
+    getDebrisCount() {
+        return this.debris.size;
+    }
+}
+
+module.exports = BuildingPhysicsManager;
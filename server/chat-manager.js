@@ -0,0 +1,420 @@
+/**
+ * Chat Manager
+ * Routes chat messages to channels (global, local, team, whisper), runs slash commands,
+ * and enforces length limits, rate limits, mutes and ignore lists
+ */
+
+const CONFIG = require('../shared/config.js');
+
+// Control characters, bidi overrides and zero-width characters
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]/g;
+
+const TEAM_NAME = /^[a-z0-9_-]{1,16}$/;
+
+/**
+ * Strip unsafe characters and collapse whitespace
+ */
+function sanitizeText(text) {
+    return String(text).replace(UNSAFE_CHARACTERS, ' ').replace(/\s+/g, ' ').trim();
+}
+
+class ChatManager {
+    /**
+     * @param {WorldInstance} instance - World whose players share these channels
+     */
+    constructor(instance) {
+        this.instance = instance;
+        this.settings = CONFIG.chat;
+
+        // Per-client chat state, keyed by client ID (survives session resumes)
+        this.states = new Map();         // clientId -> { team, ignored, recent, lastWhisperFrom }
+        this.mutes = new Map();          // username (lowercase) -> muted until (ms)
+
+        // Command name or alias -> { name, aliases, usage, description, run(clientId, args) }
+        this.commands = new Map();
+        this.setupCommands();
+    }
+
+    /**
+     * Register built-in slash commands
+     */
+    setupCommands() {
+        const text = (args) => args.join(' ');
+
+        this.register(['help'], '', 'List chat commands', (clientId) => this.help(clientId));
+        this.register(['w', 'whisper', 'msg', 'tell'], '<player> <message>', 'Private message', (clientId, args) => this.whisper(clientId, args[0], text(args.slice(1))));
+        this.register(['r', 'reply'], '<message>', 'Reply to the last whisper', (clientId, args) => this.reply(clientId, text(args)));
+        this.register(['me'], '<action>', 'Emote', (clientId, args) => this.emote(clientId, text(args)));
+        this.register(['team', 't'], '<message>', 'Message your team', (clientId, args) => this.teamMessage(clientId, text(args)));
+        this.register(['local', 'l'], '<message>', `Message players within ${this.settings.localRadius}m`, (clientId, args) => this.localMessage(clientId, text(args)));
+        this.register(['join'], '[team]', 'Join a team (no name = leave)', (clientId, args) => this.joinTeam(clientId, args[0]));
+        this.register(['ignore'], '[player]', 'Hide a player\'s messages (no name = list)', (clientId, args) => this.ignore(clientId, args[0]));
+        this.register(['unignore'], '<player>', 'Show a player\'s messages again', (clientId, args) => this.unignore(clientId, args[0]));
+    }
+
+    /**
+     * Register a slash command under one or more names
+     */
+    register(names, usage, description, run) {
+        const command = { name: names[0], aliases: names.slice(1), usage, description, run };
+        for (const name of names) {
+            this.commands.set(name, command);
+        }
+    }
+
+    getState(clientId) {
+        let state = this.states.get(clientId);
+        if (!state) {
+            state = { team: null, ignored: new Set(), recent: [], lastWhisperFrom: null };
+            this.states.set(clientId, state);
+        }
+        return state;
+    }
+
+    /**
+     * Handle a chat line from a playing client
+     */
+    handleMessage(clientId, text) {
+        const message = sanitizeText(text);
+        if (!message) return;
+
+        if (message.length > this.settings.maxLength) {
+            this.notify(clientId, `Message too long (${message.length}/${this.settings.maxLength} characters)`);
+            return;
+        }
+
+        if (!this.consumeRate(clientId)) {
+            this.notify(clientId, 'You are sending messages too fast');
+            return;
+        }
+
+        if (!message.startsWith('/')) {
+            this.say(clientId, 'global', message);
+            return;
+        }
+
+        const args = message.slice(1).split(' ').filter(Boolean);
+        const name = (args.shift() || '').toLowerCase();
+        const command = this.commands.get(name);
+        if (!command) {
+            this.notify(clientId, `Unknown command /${name} (try /help)`);
+            return;
+        }
+
+        command.run(clientId, args);
+    }
+
+    /**
+     * Sliding-window rate limit
+     */
+    consumeRate(clientId) {
+        const { messages, interval } = this.settings.rateLimit;
+        const state = this.getState(clientId);
+        const now = Date.now();
+
+        state.recent = state.recent.filter(time => now - time < interval);
+        if (state.recent.length >= messages) return false;
+
+        state.recent.push(now);
+        return true;
+    }
+
+    /**
+     * Check whether a client may speak, telling them why not
+     */
+    canSpeak(clientId) {
+        const until = this.mutes.get(this.getUsername(clientId).toLowerCase());
+        if (!until) return true;
+
+        if (Date.now() >= until) {
+            this.mutes.delete(this.getUsername(clientId).toLowerCase());
+            return true;
+        }
+
+        const minutes = Math.ceil((until - Date.now()) / 60000);
+        this.notify(clientId, `You are muted for ${minutes} more minute(s)`);
+        return false;
+    }
+
+    // Channels
+
+    say(clientId, channel, message) {
+        if (!this.canSpeak(clientId)) return;
+        this.deliver(this.getPlayingClientIds(), this.createMessage(clientId, channel, message));
+    }
+
+    emote(clientId, text) {
+        if (!text) return this.usage(clientId, 'me');
+        this.say(clientId, 'emote', text);
+    }
+
+    teamMessage(clientId, text) {
+        if (!text) return this.usage(clientId, 'team');
+
+        const team = this.getState(clientId).team;
+        if (!team) {
+            this.notify(clientId, 'You are not in a team (use /join <team>)');
+            return;
+        }
+        if (!this.canSpeak(clientId)) return;
+
+        const recipients = this.getPlayingClientIds().filter(id => this.getState(id).team === team);
+        this.deliver(recipients, { ...this.createMessage(clientId, 'team', text), team });
+    }
+
+    localMessage(clientId, text) {
+        if (!text) return this.usage(clientId, 'local');
+        if (!this.canSpeak(clientId)) return;
+
+        const origin = this.instance.getPlayerPosition(clientId);
+        if (!origin) return;
+
+        const radiusSq = this.settings.localRadius * this.settings.localRadius;
+        const recipients = this.getPlayingClientIds().filter(id => {
+            const position = this.instance.getPlayerPosition(id);
+            if (!position) return false;
+
+            const dx = position.x - origin.x;
+            const dy = position.y - origin.y;
+            const dz = position.z - origin.z;
+            return dx * dx + dy * dy + dz * dz <= radiusSq;
+        });
+
+        this.deliver(recipients, this.createMessage(clientId, 'local', text));
+    }
+
+    whisper(clientId, targetName, text) {
+        if (!targetName || !text) return this.usage(clientId, 'w');
+
+        const targetId = this.findClientId(targetName);
+        if (!targetId) {
+            this.notify(clientId, `No player named ${targetName}`);
+            return;
+        }
+        if (targetId === clientId) {
+            this.notify(clientId, 'You can\'t whisper to yourself');
+            return;
+        }
+        if (!this.canSpeak(clientId)) return;
+
+        const message = { ...this.createMessage(clientId, 'whisper', text), target: this.getUsername(targetId) };
+
+        // Ignored senders get no hint that they are ignored
+        if (!this.getState(targetId).ignored.has(clientId)) {
+            this.getState(targetId).lastWhisperFrom = clientId;
+            this.sendTo(targetId, message);
+        }
+        this.sendTo(clientId, message);
+    }
+
+    reply(clientId, text) {
+        const targetId = this.getState(clientId).lastWhisperFrom;
+        if (!targetId || !this.instance.playerManager.hasPlayer(targetId)) {
+            this.notify(clientId, 'Nobody to reply to');
+            return;
+        }
+        this.whisper(clientId, targetId, text);
+    }
+
+    // Commands
+
+    help(clientId) {
+        const seen = new Set();
+        const lines = ['Chat commands:'];
+        for (const command of this.commands.values()) {
+            if (seen.has(command)) continue;
+            seen.add(command);
+
+            const aliases = command.aliases.length > 0 ? ` (${command.aliases.map(alias => `/${alias}`).join(', ')})` : '';
+            lines.push(`/${command.name} ${command.usage} - ${command.description}${aliases}`);
+        }
+
+        for (const line of lines) {
+            this.notify(clientId, line);
+        }
+    }
+
+    joinTeam(clientId, name) {
+        const state = this.getState(clientId);
+
+        if (!name) {
+            if (state.team) this.notify(clientId, `You left team ${state.team}`);
+            state.team = null;
+            return;
+        }
+
+        const team = name.toLowerCase();
+        if (!TEAM_NAME.test(team)) {
+            this.notify(clientId, 'Team names are 1-16 letters, digits, - or _');
+            return;
+        }
+
+        state.team = team;
+        this.notify(clientId, `You joined team ${team}`);
+    }
+
+    ignore(clientId, name) {
+        const state = this.getState(clientId);
+
+        if (!name) {
+            const names = Array.from(state.ignored, id => this.getUsername(id));
+            this.notify(clientId, names.length > 0 ? `Ignoring: ${names.join(', ')}` : 'You are not ignoring anyone');
+            return;
+        }
+
+        const targetId = this.findClientId(name);
+        if (!targetId || targetId === clientId) {
+            this.notify(clientId, `No player named ${name}`);
+            return;
+        }
+
+        state.ignored.add(targetId);
+        this.notify(clientId, `Ignoring ${this.getUsername(targetId)}`);
+    }
+
+    unignore(clientId, name) {
+        if (!name) return this.usage(clientId, 'unignore');
+
+        const state = this.getState(clientId);
+        const targetId = Array.from(state.ignored).find(id => this.getUsername(id).toLowerCase() === name.toLowerCase());
+        if (!targetId) {
+            this.notify(clientId, `You are not ignoring ${name}`);
+            return;
+        }
+
+        state.ignored.delete(targetId);
+        this.notify(clientId, `No longer ignoring ${this.getUsername(targetId)}`);
+    }
+
+    usage(clientId, name) {
+        const command = this.commands.get(name);
+        this.notify(clientId, `Usage: /${command.name} ${command.usage}`);
+    }
+
+    // Moderation (admin console)
+
+    /**
+     * Mute a username for some minutes (applies across reconnects)
+     */
+    mute(username, minutes = this.settings.defaultMuteMinutes) {
+        this.mutes.set(username.toLowerCase(), Date.now() + minutes * 60000);
+    }
+
+    unmute(username) {
+        return this.mutes.delete(username.toLowerCase());
+    }
+
+    // Presence
+
+    /**
+     * Announce a newly spawned player
+     */
+    playerJoined(clientId) {
+        if (this.settings.announceJoinLeave) {
+            this.broadcastSystem(`${this.getUsername(clientId)} joined the game`);
+        }
+    }
+
+    /**
+     * Announce a player leaving for good and forget their chat state
+     */
+    playerLeft(clientId) {
+        const username = this.getUsername(clientId);
+        this.states.delete(clientId);
+
+        for (const state of this.states.values()) {
+            state.ignored.delete(clientId);
+            if (state.lastWhisperFrom === clientId) state.lastWhisperFrom = null;
+        }
+
+        if (this.settings.announceJoinLeave) {
+            this.broadcastSystem(`${username} left the game`);
+        }
+    }
+
+    // Delivery
+
+    createMessage(clientId, channel, message) {
+        return {
+            type: CONFIG.messageTypes.CHAT_MESSAGE,
+            channel,
+            clientId,
+            username: this.getUsername(clientId),
+            message,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Send to recipients, skipping those ignoring the sender
+     */
+    deliver(recipients, message) {
+        for (const recipientId of recipients) {
+            if (recipientId !== message.clientId && this.getState(recipientId).ignored.has(message.clientId)) continue;
+            this.sendTo(recipientId, message);
+        }
+    }
+
+    sendTo(clientId, message) {
+        const ws = this.instance.clientsById.get(clientId);
+        if (ws) this.instance.send(ws, message);
+    }
+
+    /**
+     * System message to one client
+     */
+    notify(clientId, message) {
+        this.sendTo(clientId, {
+            type: CONFIG.messageTypes.CHAT_MESSAGE,
+            channel: 'system',
+            clientId: null,
+            username: 'System',
+            message,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * System message to everyone
+     */
+    broadcastSystem(message) {
+        this.instance.broadcast({
+            type: CONFIG.messageTypes.CHAT_MESSAGE,
+            channel: 'system',
+            clientId: null,
+            username: 'System',
+            message,
+            timestamp: Date.now()
+        });
+    }
+
+    // Lookups
+
+    getPlayingClientIds() {
+        const ids = [];
+        for (const clientData of this.instance.clients.values()) {
+            if (clientData.state === 'playing') ids.push(clientData.clientId);
+        }
+        return ids;
+    }
+
+    getUsername(clientId) {
+        const player = this.instance.playerManager.getPlayer(clientId);
+        return player ? player.username : 'Player';
+    }
+
+    /**
+     * Find a playing client by client ID or (case-insensitive) username
+     */
+    findClientId(idOrName) {
+        const ids = this.getPlayingClientIds();
+        if (ids.includes(idOrName)) return idOrName;
+
+        const name = idOrName.toLowerCase();
+        return ids.find(id => this.getUsername(id).toLowerCase() === name) || null;
+    }
+}
+
+ChatManager.sanitizeText = sanitizeText;
+
+module.exports = ChatManager;
@@ -0,0 +1,252 @@
+/**
+ * Chunk Streamer
+ * Sends terrain chunks to a world instance's clients as quantized binary frames: nearest (and straight
+ * ahead) first, within a per-client byte budget. Chunks are pushed unrequested ahead of fast vehicles,
+ * and clients are told to drop the ones they have left behind (CHUNK_UNLOAD)
+ */
+
+const CONFIG = require('../shared/config.js');
+const ChunkCodec = require('../shared/chunk-codec.js');
+
+class ChunkStreamer {
+    /**
+     * @param {WorldInstance} instance - World whose clients and terrain are streamed
+     */
+    constructor(instance) {
+        this.instance = instance;
+        this.settings = CONFIG.network.chunkStreaming;
+        this.chunkSize = CONFIG.world.chunkSize;
+        this.radius = CONFIG.world.clientChunkRadius;
+
+        // Per-connection stream state
+        this.streams = new Map();        // ws -> { sent: Set of chunk keys, budget (bytes), lastRefill }
+
+        // Encoded chunks shared by all clients, least recently used first
+        this.cache = new Map();          // "chunkX,chunkZ" -> Uint8Array
+    }
+
+    getStream(ws) {
+        let stream = this.streams.get(ws);
+        if (!stream) {
+            stream = {
+                sent: new Set(),
+                budget: this.settings.burstBytes,
+                lastRefill: performance.now()
+            };
+            this.streams.set(ws, stream);
+        }
+        return stream;
+    }
+
+    removeClient(ws) {
+        this.streams.delete(ws);
+    }
+
+    /**
+     * Per network tick: unload, queue and send chunks for every player and spectator
+     */
+    update() {
+        const now = performance.now();
+
+        for (const [ws, clientData] of this.instance.getViewers()) {
+            const motion = this.getMotion(clientData);
+            if (!motion) continue;
+
+            const stream = this.getStream(ws);
+            this.refill(stream, now);
+
+            this.unloadDistant(ws, clientData, stream, motion);
+            if (motion.push) {
+                this.queueAhead(clientData, stream, motion);
+            }
+            this.sendQueued(ws, clientData, stream, motion);
+        }
+    }
+
+    /**
+     * Where a client's player is and how fast it is going (its vehicle's motion when driving);
+     * for a spectator, the entity it follows or its camera
+     * @returns {Object|null} { x, z, vx, vz, speed, push }
+     */
+    getMotion(clientData) {
+        let state;
+        let vehicleState = null;
+
+        if (clientData.spectator) {
+            const { target, position } = clientData.spectator;
+            vehicleState = target && target.vehicleType ? target : null;
+            state = target || { position };
+        } else {
+            const { playerManager, vehicleManager } = this.instance;
+            const playerState = playerManager.getPlayerState(clientData.clientId);
+            if (!playerState) return null;
+
+            vehicleState = playerState.inVehicle ? vehicleManager.getVehicleState(playerState.vehicleId) : null;
+            state = vehicleState || playerState;
+        }
+        if (!state.position) return null;
+
+        const velocity = state.velocity || { x: 0, z: 0 };
+        const speed = Math.hypot(velocity.x, velocity.z);
+
+        return {
+            x: state.position.x,
+            z: state.position.z,
+            vx: velocity.x,
+            vz: velocity.z,
+            speed,
+            // Helicopters can turn up anywhere quickly, so they are always streamed ahead
+            push: Boolean(vehicleState) && (speed >= this.settings.pushSpeed || vehicleState.vehicleType === CONFIG.vehicleTypes.HELICOPTER)
+        };
+    }
+
+    refill(stream, now) {
+        const elapsed = (now - stream.lastRefill) / 1000;
+        stream.lastRefill = now;
+        stream.budget = Math.min(this.settings.burstBytes, stream.budget + elapsed * this.settings.bytesPerSecond);
+    }
+
+    /**
+     * Chunk distance (in chunks, along the longer axis) from a position's chunk
+     */
+    chunkDistance(center, chunkX, chunkZ) {
+        return Math.max(Math.abs(chunkX - center.chunkX), Math.abs(chunkZ - center.chunkZ));
+    }
+
+    /**
+     * Tell the client to drop chunks it has left behind, and forget requests for them
+     */
+    unloadDistant(ws, clientData, stream, motion) {
+        const center = this.instance.terrainManager.worldToChunk(motion.x, motion.z);
+        const limit = this.radius + this.settings.unloadMargin;
+        const unloaded = [];
+
+        for (const key of stream.sent) {
+            const [chunkX, chunkZ] = key.split(',').map(Number);
+            if (this.chunkDistance(center, chunkX, chunkZ) > limit) {
+                stream.sent.delete(key);
+                unloaded.push({ chunkX, chunkZ });
+            }
+        }
+
+        for (const key of clientData.chunkRequests) {
+            const [chunkX, chunkZ] = key.split(',').map(Number);
+            if (this.chunkDistance(center, chunkX, chunkZ) > limit) {
+                clientData.chunkRequests.delete(key);
+            }
+        }
+
+        if (unloaded.length > 0) {
+            this.instance.send(ws, {
+                type: CONFIG.messageTypes.CHUNK_UNLOAD,
+                chunks: unloaded
+            });
+        }
+    }
+
+    /**
+     * Queue the chunks around where a fast vehicle will be in settings.lookahead seconds
+     * (never further than the unload margin, so pushed chunks are not unloaded straight away)
+     */
+    queueAhead(clientData, stream, motion) {
+        const reach = Math.min(motion.speed * this.settings.lookahead, this.settings.unloadMargin * this.chunkSize);
+        const scale = motion.speed > 0 ? reach / motion.speed : 0;
+        const center = this.instance.terrainManager.worldToChunk(motion.x + motion.vx * scale, motion.z + motion.vz * scale);
+
+        for (let dx = -this.radius; dx <= this.radius; dx++) {
+            for (let dz = -this.radius; dz <= this.radius; dz++) {
+                if (clientData.chunkRequests.size >= this.settings.maxPendingRequests) return;
+
+                const key = `${center.chunkX + dx},${center.chunkZ + dz}`;
+                if (!stream.sent.has(key)) {
+                    clientData.chunkRequests.add(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Send queued chunks in priority order until the tick's chunk count or the byte budget runs out
+     * (a chunk bigger than burstBytes goes out once the budget is full, leaving it in debt, so it is never stuck)
+     */
+    sendQueued(ws, clientData, stream, motion) {
+        if (clientData.chunkRequests.size === 0) return;
+
+        const queue = Array.from(clientData.chunkRequests, key => {
+            const [chunkX, chunkZ] = key.split(',').map(Number);
+            return { key, chunkX, chunkZ, priority: this.getPriority(chunkX, chunkZ, motion) };
+        });
+        queue.sort((a, b) => a.priority - b.priority);
+
+        let sent = 0;
+        for (const { key, chunkX, chunkZ } of queue) {
+            if (sent >= this.settings.maxChunksPerTick) break;
+
+            const data = this.getEncodedChunk(chunkX, chunkZ);
+            if (data.length > stream.budget && stream.budget < this.settings.burstBytes) break;
+
+            this.instance.server.sendBinary(ws, data, CONFIG.messageTypes.CHUNK_DATA);
+            stream.budget -= data.length;
+            clientData.chunkRequests.delete(key);
+            stream.sent.add(key);
+            sent++;
+        }
+    }
+
+    /**
+     * Distance from the player to the chunk's centre, shortened for chunks in the direction of travel
+     * @returns {number} Lower is sent first
+     */
+    getPriority(chunkX, chunkZ, motion) {
+        const dx = (chunkX + 0.5) * this.chunkSize - motion.x;
+        const dz = (chunkZ + 0.5) * this.chunkSize - motion.z;
+        const distance = Math.hypot(dx, dz);
+        if (distance === 0 || motion.speed === 0) return distance;
+
+        const ahead = Math.max(0, (dx * motion.vx + dz * motion.vz) / (distance * motion.speed));
+        const urgency = Math.min(1, motion.speed / this.settings.pushSpeed);
+        return distance * (1 - this.settings.aheadBias * ahead * urgency);
+    }
+
+    /**
+     * A chunk changed (a building in it collapsed): drop its cached frame and resend it to the clients that have it
+     * @returns {Array} Sockets the chunk will be resent to
+     */
+    invalidate(chunkX, chunkZ) {
+        const key = `${chunkX},${chunkZ}`;
+        this.cache.delete(key);
+
+        const resend = [];
+        for (const [ws, clientData] of this.instance.getViewers()) {
+            const stream = this.streams.get(ws);
+            if (stream && stream.sent.delete(key)) {
+                clientData.chunkRequests.add(key);
+                resend.push(ws);
+            }
+        }
+        return resend;
+    }
+
+    /**
+     * Encoded chunk frame, from the cache when another client needed it recently
+     */
+    getEncodedChunk(chunkX, chunkZ) {
+        const key = `${chunkX},${chunkZ}`;
+        let data = this.cache.get(key);
+
+        if (data) {
+            this.cache.delete(key);
+        } else {
+            data = ChunkCodec.encodeChunk(this.instance.terrainManager.getChunkDataForClient(chunkX, chunkZ));
+        }
+
+        this.cache.set(key, data);
+        while (this.cache.size > this.settings.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        return data;
+    }
+}
+
+module.exports = ChunkStreamer;
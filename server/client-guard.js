@@ -0,0 +1,104 @@
+/**
+ * Per-client Abuse Guard
+ * Rate limits, input sequence checks and violation scoring for one connection
+ */
+
+const CONFIG = require('../shared/config.js');
+
+class ClientGuard {
+    constructor() {
+        this.settings = CONFIG.security;
+
+        // Token buckets per message type
+        this.buckets = new Map();        // messageType -> { tokens, lastRefill }
+
+        // Input sequence tracking
+        this.lastInputSeq = 0;
+
+        // Violation scoring
+        this.score = 0;
+        this.lastDecay = Date.now();
+        this.throttledUntil = 0;
+        this.kicked = false;
+    }
+
+    /**
+     * Consume one message from the type's rate limit bucket
+     * @param {number} tickRate - Network tick rate of the client's world (for perTick limits)
+     * @returns {boolean} False if the client is sending this type too fast
+     */
+    consumeRate(type, now = Date.now(), tickRate = CONFIG.network.tickRate) {
+        const limit = this.settings.rateLimits[type] || this.settings.rateLimits.default;
+        const rate = limit.perTick ? limit.perTick * tickRate : limit.rate;
+
+        let bucket = this.buckets.get(type);
+        if (!bucket) {
+            bucket = { tokens: limit.burst, lastRefill: now };
+            this.buckets.set(type, bucket);
+        }
+
+        const elapsed = (now - bucket.lastRefill) / 1000;
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + elapsed * rate);
+        bucket.lastRefill = now;
+
+        if (bucket.tokens < 1) return false;
+
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Check that an input sequence number moves forward by a plausible amount
+     * (the first input on a connection may start anywhere, e.g. after a session resume)
+     * @returns {boolean} False for replayed, reordered or implausibly far-ahead inputs
+     */
+    acceptSequence(seq) {
+        if (this.lastInputSeq > 0) {
+            if (seq <= this.lastInputSeq) return false;
+            if (seq - this.lastInputSeq > this.settings.maxSequenceJump) return false;
+        }
+
+        this.lastInputSeq = seq;
+        return true;
+    }
+
+    /**
+     * Add violation points
+     * @returns {string} 'ok', 'warn', 'throttle' (newly throttled) or 'kick'
+     */
+    addViolation(points, now = Date.now()) {
+        this.decay(now);
+        this.score += points;
+
+        if (this.score >= this.settings.kickScore) {
+            this.kicked = true;
+            return 'kick';
+        }
+
+        if (this.score >= this.settings.throttleScore) {
+            const wasThrottled = this.isThrottled(now);
+            this.throttledUntil = now + this.settings.throttleDuration;
+            return wasThrottled ? 'warn' : 'throttle';
+        }
+
+        return this.score >= this.settings.warnScore ? 'warn' : 'ok';
+    }
+
+    /**
+     * Whether the client's gameplay messages are currently being dropped
+     */
+    isThrottled(now = Date.now()) {
+        return now < this.throttledUntil;
+    }
+
+    /**
+     * Bleed off violation points over time
+     */
+    decay(now = Date.now()) {
+        const elapsed = (now - this.lastDecay) / 1000;
+        this.score = Math.max(0, this.score - elapsed * this.settings.violationDecay);
+        this.lastDecay = now;
+    }
+}
+
+module.exports = ClientGuard;
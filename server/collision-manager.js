@@ -0,0 +1,158 @@
+/**
+ * Collision Manager
+ * Classifies a world instance's Rapier collision events by what hit what (vehicle-player,
+ * vehicle-vehicle, vehicle-building, ...) and how hard, publishes them to server-side
+ * listeners, and sends notable vehicle impacts to the clients that can see them (GAME_EVENT 'collision')
+ */
+
+const CONFIG = require('../shared/config.js');
+
+// Entity types in the order they are named in a collision kind ('vehicle_player', never 'player_vehicle')
+const TYPE_ORDER = [
+    CONFIG.entityTypes.VEHICLE,
+    CONFIG.entityTypes.PLAYER,
+    CONFIG.entityTypes.PROJECTILE,
+    CONFIG.entityTypes.BUILDING,
+    CONFIG.entityTypes.DEBRIS,
+    CONFIG.entityTypes.ITEM,
+    CONFIG.entityTypes.NPC,
+    'terrain'
+];
+
+class CollisionManager {
+    /**
+     * @param {WorldInstance} instance - World whose collisions are classified
+     */
+    constructor(instance) {
+        this.instance = instance;
+        this.settings = CONFIG.physics.collisions;
+
+        this.handlers = new Map();       // Event name ('collision' or a kind) -> handler[]
+        this.lastNotable = new Map();    // "entityA|entityB" -> step of the last notable collision
+    }
+
+    /**
+     * Listen for collisions: 'collision' for every one, or a kind such as 'vehicle_building'
+     * Handlers get { kind, entityA, entityB, typeA, typeB, started, impactSpeed, position, step }
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+        }
+        this.handlers.get(event).push(handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (handlers) {
+            const index = handlers.indexOf(handler);
+            if (index !== -1) handlers.splice(index, 1);
+        }
+    }
+
+    emit(event, data) {
+        for (const handler of this.handlers.get(event) || []) {
+            try {
+                handler(data);
+            } catch (e) {
+                console.error(`[World ${this.instance.id}] Collision handler for ${event} failed:`, e);
+            }
+        }
+    }
+
+    /**
+     * Handle the collision events of one physics step
+     * @param {Array} events - PhysicsWorld.collisionEvents
+     */
+    process(events) {
+        for (const raw of events) {
+            const event = this.classify(raw);
+            if (!event) continue;
+
+            this.emit(event.kind, event);
+            this.emit('collision', event);
+
+            if (this.isNotable(event)) {
+                this.broadcastImpact(event);
+            }
+        }
+    }
+
+    /**
+     * Order a raw event's entities by type and name the kind of collision
+     * @returns {Object|null} Null for collisions between unknown colliders
+     */
+    classify({ entityA, entityB, started, impactSpeed }) {
+        if (!entityA && !entityB) return null;
+
+        let a = { entityId: entityA, type: this.getType(entityA) };
+        let b = { entityId: entityB, type: this.getType(entityB) };
+        if (TYPE_ORDER.indexOf(b.type) < TYPE_ORDER.indexOf(a.type)) {
+            [a, b] = [b, a];
+        }
+
+        return {
+            kind: `${a.type}_${b.type}`,
+            entityA: a.entityId,
+            entityB: b.entityId,
+            typeA: a.type,
+            typeB: b.type,
+            started,
+            impactSpeed,
+            position: started ? this.getPosition(a.entityId) || this.getPosition(b.entityId) : null,
+            step: this.instance.stepNumber
+        };
+    }
+
+    getType(entityId) {
+        if (!entityId) return 'terrain';
+        const data = this.instance.physicsWorld.entityData.get(entityId);
+        return data ? data.type : 'terrain';
+    }
+
+    getPosition(entityId) {
+        const body = entityId && this.instance.physicsWorld.bodies.get(entityId);
+        if (!body) return null;
+
+        const { x, y, z } = body.translation();
+        return { x, y, z };
+    }
+
+    /**
+     * A vehicle hitting something hard enough, and not the same two entities again straight away
+     */
+    isNotable(event) {
+        if (!event.started || event.typeA !== CONFIG.entityTypes.VEHICLE) return false;
+        if (event.impactSpeed < this.settings.notableImpactSpeed) return false;
+
+        const cooldownSteps = this.instance.physicsWorld.msToSteps(this.settings.pairCooldown);
+        const key = `${event.entityA}|${event.entityB}`;
+        const last = this.lastNotable.get(key);
+        if (last !== undefined && event.step - last < cooldownSteps) return false;
+
+        this.lastNotable.set(key, event.step);
+        if (this.lastNotable.size > 256) {
+            for (const [pair, step] of this.lastNotable) {
+                if (event.step - step >= cooldownSteps) this.lastNotable.delete(pair);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Send an impact to every client that can see either entity (so it can play a crash effect)
+     */
+    broadcastImpact(event) {
+        this.instance.sendToObservers([event.entityA, event.entityB], {
+            type: CONFIG.messageTypes.GAME_EVENT,
+            event: 'collision',
+            kind: event.kind,
+            entityA: event.entityA,
+            entityB: event.entityB,
+            impactSpeed: Math.round(event.impactSpeed * 10) / 10,
+            position: event.position
+        });
+    }
+}
+
+module.exports = CollisionManager;
@@ -0,0 +1,425 @@
+/**
+ * Config Loader
+ * Layers server settings over the defaults in shared/config.js: an optional JSON or YAML file,
+ * then CYBERIA_* environment variables, then command-line flags (later layers win)
+ * Every override is checked against the type of the default it replaces and the RULES below
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const CONFIG = require('../shared/config.js');
+
+// Protocol constants and lookup tables the client shares; not configurable
+const FIXED_SECTIONS = new Set(['messageTypes', 'entityTypes', 'vehicleTypes', 'biomes']);
+
+// Sections taken as given (their keys are not known in advance)
+const FREE_FORM = new Set(['plugins.options']);
+
+// Environment variables and the flags that set the same thing
+const SHORTCUTS = [
+    { env: 'CYBERIA_PORT', flag: '--port', path: 'network.port' },
+    { env: 'CYBERIA_SEED', flag: '--seed', path: 'world.seed' },
+    { env: 'CYBERIA_TICK_RATE', flag: '--tick-rate', path: 'network.tickRate' },
+    { env: 'CYBERIA_SHARD', flag: '--shard', path: 'sharding.shardId' },
+    { env: 'CYBERIA_SHARD_SECRET', flag: null, path: 'sharding.secret' },    // Kept out of process listings
+    { env: 'CYBERIA_METRICS_PORT', flag: '--metrics-port', path: 'metrics.port' }
+];
+
+// Settings left out of publicOverrides() (and so out of recordings)
+const SECRET_PATHS = ['sharding.secret'];
+
+// Constraints beyond "same type as the default"
+const RULES = {
+    'world.seed': { integer: true },
+    'world.chunkSize': { min: 1 },
+    'world.terrainResolution': { integer: true, min: 2 },
+    'world.renderResolution': { integer: true, min: 2 },
+    'world.serverChunkRadius': { integer: true, min: 1, max: 16 },
+    'world.clientChunkRadius': { integer: true, min: 0, max: 16 },
+    'physics.timestep': { min: 0.001, max: 0.1 },
+    'physics.maxSubsteps': { integer: true, min: 1 },
+    'physics.collisions.notableImpactSpeed': { min: 0 },
+    'physics.collisions.pairCooldown': { min: 0 },
+    'projectiles.maxActive': { integer: true, min: 0 },
+    'items.maxActive': { integer: true, min: 0 },
+    'items.pickupRadius': { min: 0 },
+    'items.inventoryCapacity': { integer: true, min: 0 },
+    'items.maxStack': { integer: true, min: 1 },
+    'items.size': { min: 0.05 },
+    'buildings.healthPerCubicMeter': { min: 0 },
+    'buildings.impactEnergyPerDamage': { min: 1 },
+    'buildings.debrisPieces': { integer: true, min: 0 },
+    'buildings.maxDebris': { integer: true, min: 0 },
+    'buildings.debrisMaxSize': { min: 0.1 },
+    'water.player.buoyancy': { min: 0 },
+    'water.player.drag': { min: 0 },
+    'water.player.swimDepth': { min: 0, max: 1 },
+    'water.player.swimSpeed': { min: 0 },
+    'water.player.swimUpSpeed': { min: 0 },
+    'water.player.acceleration': { min: 0 },
+    'water.vehicle.buoyancy': { min: 0 },
+    'water.vehicle.drag': { min: 0 },
+    'water.vehicle.angularDrag': { min: 0 },
+    'water.vehicle.stallDepth': { min: 0, max: 1 },
+    'network.port': { integer: true, min: 1, max: 65535 },
+    'network.tickRate': { integer: true, min: 1, max: 120 },  // Same bounds as the admin tickrate command
+    'network.clientSendRate': { min: 1, max: 240 },
+    'network.interestRadius': { min: 1 },
+    'network.interestHysteresis': { min: 0 },
+    'network.sessionGracePeriod': { integer: true, min: 0 },
+    'network.snapshotFormats': { oneOf: ['binary', 'json'], nonEmpty: true },
+    'network.chunkStreaming.bytesPerSecond': { min: 1 },
+    'network.chunkStreaming.burstBytes': { min: 1 },
+    'network.chunkStreaming.maxChunksPerTick': { integer: true, min: 1 },
+    'network.chunkStreaming.aheadBias': { min: 0, max: 1 },
+    'metrics.port': { integer: true, min: 1, max: 65535 },
+    'persistence.saveInterval': { integer: true, min: 1000 },
+    'instances.maxPlayers': { integer: true, min: 1 },
+    'instances.worlds': { nonEmpty: true, entries: { id: 'string' } },
+    'zones.hazardDamagePerSecond': { min: 0 },
+    'zones.hazardInterval': { integer: true, min: 1 },
+    'spectators.maxPerInstance': { integer: true, min: 0 },
+    'sharding.regionSize': { integer: true, min: 1 },
+    'sharding.shards': { entries: { id: 'string', url: 'string' } }
+};
+
+/**
+ * A configuration layer that could not be applied (lists every problem found)
+ */
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+class ConfigLoader {
+    /**
+     * @param {Object} config - Object to layer onto (the shared CONFIG, changed in place)
+     */
+    constructor(config = CONFIG) {
+        this.config = config;
+        this.overrides = {};             // Everything applied, merged (recorded so replays match)
+        this.sources = [];               // Layers applied, e.g. "file config/east.yaml"
+    }
+
+    /**
+     * Apply every layer for this process
+     * @param {string[]} argv - Command-line arguments (without node and the script)
+     * @param {Object} env - Environment variables
+     * @returns {Object} The merged overrides
+     * @throws {ConfigError}
+     */
+    load(argv = [], env = {}) {
+        const flags = this.parseArgs(argv);
+
+        const file = flags.config || env.CYBERIA_CONFIG;
+        if (file) {
+            this.apply(this.readFile(file), `file ${file}`);
+        }
+
+        this.apply(this.fromEnv(env), 'environment');
+        this.apply(flags.overrides, 'command line');
+
+        return this.overrides;
+    }
+
+    /**
+     * Split flags into the config file path and setting overrides
+     * Accepts --config <file>, the SHORTCUTS flags and --set <path>=<value> (repeatable)
+     */
+    parseArgs(argv) {
+        const overrides = {};
+        let config = null;
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            const [flag, inline] = arg.startsWith('--') && arg.includes('=') && !arg.startsWith('--set=')
+                ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+                : [arg, null];
+            const takeValue = () => {
+                if (inline !== null) return inline;
+                if (i + 1 >= argv.length) throw new ConfigError([`${flag} needs a value`]);
+                return argv[++i];
+            };
+
+            if (flag === '--config') {
+                config = takeValue();
+            } else if (flag === '--set' || flag.startsWith('--set=')) {
+                const assignment = flag === '--set' ? takeValue() : flag.slice('--set='.length);
+                const separator = assignment.indexOf('=');
+                if (separator <= 0) {
+                    throw new ConfigError([`--set expects <path>=<value>, got "${assignment}"`]);
+                }
+                this.setPath(overrides, assignment.slice(0, separator), assignment.slice(separator + 1));
+            } else {
+                const shortcut = SHORTCUTS.find(entry => entry.flag === flag);
+                if (!shortcut) {
+                    throw new ConfigError([`unknown option ${arg}`]);
+                }
+                this.setPath(overrides, shortcut.path, takeValue());
+            }
+        }
+
+        return { config, overrides };
+    }
+
+    /**
+     * Overrides from the environment (values are strings, converted when validated)
+     */
+    fromEnv(env) {
+        const overrides = {};
+        for (const { env: name, path: settingPath } of SHORTCUTS) {
+            if (env[name] !== undefined && env[name] !== '') {
+                this.setPath(overrides, settingPath, env[name]);
+            }
+        }
+        return overrides;
+    }
+
+    /**
+     * Parse a config file (.json, or .yaml/.yml)
+     */
+    readFile(file) {
+        let text;
+        try {
+            text = fs.readFileSync(path.resolve(file), 'utf8');
+        } catch (e) {
+            throw new ConfigError([`cannot read config file ${file}: ${e.message}`]);
+        }
+
+        const ext = path.extname(file).toLowerCase();
+        try {
+            if (ext === '.yaml' || ext === '.yml') {
+                // An empty (or comment-only) file sets nothing
+                return YAML.parse(text) ?? {};
+            }
+            return JSON.parse(text);
+        } catch (e) {
+            throw new ConfigError([`cannot parse config file ${file}: ${e.message}`]);
+        }
+    }
+
+    /**
+     * Validate one layer and deep-merge it into the config (nothing is applied if any setting is invalid)
+     */
+    apply(layer, source) {
+        if (!isPlainObject(layer)) {
+            throw new ConfigError([`${source}: expected an object of settings`]);
+        }
+
+        const problems = [];
+        const checked = this.check(layer, this.config, '', source, problems);
+        if (problems.length > 0) {
+            throw new ConfigError(problems);
+        }
+
+        if (Object.keys(checked).length > 0) {
+            mergeInto(this.config, checked);
+            mergeInto(this.overrides, checked);
+            this.sources.push(source);
+        }
+    }
+
+    /**
+     * Check a layer against the defaults, converting strings from the environment and flags
+     * @returns {Object} The layer with converted values
+     */
+    check(layer, defaults, prefix, source, problems) {
+        const result = {};
+
+        for (const [key, value] of Object.entries(layer)) {
+            const settingPath = prefix ? `${prefix}.${key}` : key;
+
+            if (!prefix && FIXED_SECTIONS.has(key)) {
+                problems.push(`${settingPath} (${source}): cannot be configured`);
+                continue;
+            }
+            if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+                problems.push(`${settingPath} (${source}): unknown setting`);
+                continue;
+            }
+
+            const fallback = defaults[key];
+            if (FREE_FORM.has(settingPath)) {
+                const section = typeof value === 'string' ? parseJson(value) : value;
+                if (!isPlainObject(section)) {
+                    problems.push(`${settingPath} (${source}): must be a section of settings, got ${describe(value)}`);
+                    continue;
+                }
+                result[key] = section;
+                continue;
+            }
+            if (isPlainObject(fallback)) {
+                if (!isPlainObject(value)) {
+                    problems.push(`${settingPath} (${source}): must be a section of settings, got ${describe(value)}`);
+                    continue;
+                }
+                result[key] = this.check(value, fallback, settingPath, source, problems);
+                continue;
+            }
+
+            const converted = convert(value, fallback);
+            const problem = converted.error || checkRule(converted.value, RULES[settingPath]);
+            if (problem) {
+                problems.push(`${settingPath} (${source}): ${problem}`);
+                continue;
+            }
+            result[key] = converted.value;
+        }
+
+        return result;
+    }
+
+    /**
+     * Set a dotted path in a nested object
+     */
+    setPath(target, settingPath, value) {
+        const keys = settingPath.split('.');
+        let node = target;
+        for (const key of keys.slice(0, -1)) {
+            if (!isPlainObject(node[key])) node[key] = {};
+            node = node[key];
+        }
+        node[keys[keys.length - 1]] = value;
+    }
+
+    /**
+     * The merged overrides without secrets
+     */
+    publicOverrides() {
+        const overrides = mergeInto({}, this.overrides);
+        for (const secretPath of SECRET_PATHS) {
+            const keys = secretPath.split('.');
+            const parent = keys.slice(0, -1).reduce((node, key) => (node ? node[key] : undefined), overrides);
+            if (parent) delete parent[keys[keys.length - 1]];
+        }
+        return overrides;
+    }
+
+    /**
+     * Setting sources applied, for the startup log
+     */
+    describe() {
+        return this.sources.length > 0 ? this.sources.join(', ') : 'defaults only';
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'a list';
+    return typeof value === 'string' ? `"${value}"` : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Merge a checked layer into a target: sections merge, lists and values replace
+ */
+function mergeInto(target, layer) {
+    for (const [key, value] of Object.entries(layer)) {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeInto(target[key], value);
+        } else {
+            target[key] = isPlainObject(value) ? mergeInto({}, value) : value;
+        }
+    }
+    return target;
+}
+
+/**
+ * Convert a value to the type of the default it replaces
+ * Strings (from the environment, flags or YAML) are parsed; settings that default to null take a string
+ * @returns {Object} { value } or { error }
+ */
+function convert(value, fallback) {
+    const text = typeof value === 'string' ? value.trim() : null;
+
+    if (fallback === null) {
+        if (value === null || typeof value === 'string') return { value };
+        return { error: `must be a string or null, got ${describe(value)}` };
+    }
+
+    switch (typeof fallback) {
+        case 'number': {
+            const number = text !== null && text !== '' ? Number(text) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return { error: `must be a number, got ${describe(value)}` };
+            }
+            return { value: number };
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return { value };
+            if (text === 'true' || text === '1') return { value: true };
+            if (text === 'false' || text === '0') return { value: false };
+            return { error: `must be true or false, got ${describe(value)}` };
+        }
+        case 'string':
+            if (typeof value !== 'string') return { error: `must be a string, got ${describe(value)}` };
+            return { value };
+    }
+
+    if (Array.isArray(fallback)) {
+        let list = value;
+        if (text !== null) {
+            try {
+                list = JSON.parse(text);
+            } catch (e) {
+                list = text.split(',').map(item => item.trim()).filter(Boolean);
+            }
+        }
+        if (!Array.isArray(list)) return { error: `must be a list, got ${describe(value)}` };
+        return { value: list };
+    }
+
+    return { value };
+}
+
+/**
+ * Check a converted value against its RULES entry
+ * @returns {string|null} What is wrong, or null
+ */
+function checkRule(value, rule) {
+    if (!rule) return null;
+
+    if (typeof value === 'number') {
+        if (rule.integer && !Number.isInteger(value)) return `must be a whole number, got ${value}`;
+        if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}, got ${value}`;
+        if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}, got ${value}`;
+    }
+
+    if (Array.isArray(value)) {
+        if (rule.nonEmpty && value.length === 0) return 'must not be empty';
+        if (rule.oneOf) {
+            const unknown = value.filter(item => !rule.oneOf.includes(item));
+            if (unknown.length > 0) return `unknown entries ${unknown.join(', ')} (expected ${rule.oneOf.join(', ')})`;
+        }
+        if (rule.entries) {
+            for (let i = 0; i < value.length; i++) {
+                if (!isPlainObject(value[i])) return `entry ${i} must be an object`;
+                for (const [field, type] of Object.entries(rule.entries)) {
+                    if (typeof value[i][field] !== type) return `entry ${i} needs a ${type} "${field}"`;
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+ConfigLoader.ConfigError = ConfigError;
+ConfigLoader.SHORTCUTS = SHORTCUTS;
+
+module.exports = ConfigLoader;
@@ -0,0 +1,155 @@
+/**
+ * Server-side Interest Manager
+ * Decides which entities each client is told about, using a chunk-aligned spatial grid
+ */
+
+const CONFIG = require('../shared/config.js');
+
+class InterestManager {
+    constructor(terrainManager) {
+        this.terrainManager = terrainManager;
+
+        // Spatial grid, rebuilt every tick
+        this.grid = new Map();           // "chunkX,chunkZ" -> [{ entityId, x, z }]
+
+        // Per-client visibility
+        this.visibleSets = new Map();    // clientId -> Set of entityIds
+
+        // Configuration
+        this.radius = CONFIG.network.interestRadius;
+        this.hysteresis = CONFIG.network.interestHysteresis;
+    }
+
+    /**
+     * Rebuild the spatial grid from entity positions
+     * @param {Array} entities - Array of { entityId, x, z }
+     */
+    rebuild(entities) {
+        this.grid.clear();
+
+        for (const entity of entities) {
+            const { chunkX, chunkZ } = this.terrainManager.worldToChunk(entity.x, entity.z);
+            const key = `${chunkX},${chunkZ}`;
+
+            let cell = this.grid.get(key);
+            if (!cell) {
+                cell = [];
+                this.grid.set(key, cell);
+            }
+            cell.push(entity);
+        }
+    }
+
+    /**
+     * Find entity IDs within radius of a position
+     */
+    query(x, z, radius) {
+        const result = new Set();
+        const chunkSize = this.terrainManager.chunkSize;
+        const radiusSq = radius * radius;
+
+        const min = this.terrainManager.worldToChunk(x - radius, z - radius);
+        const max = this.terrainManager.worldToChunk(x + radius, z + radius);
+
+        for (let chunkX = min.chunkX; chunkX <= max.chunkX; chunkX++) {
+            for (let chunkZ = min.chunkZ; chunkZ <= max.chunkZ; chunkZ++) {
+                const cell = this.grid.get(`${chunkX},${chunkZ}`);
+                if (!cell) continue;
+
+                for (const entity of cell) {
+                    const dx = entity.x - x;
+                    const dz = entity.z - z;
+                    if (dx * dx + dz * dz <= radiusSq) {
+                        result.add(entity.entityId);
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Update a client's visible set around its viewpoint
+     * @param {string} clientId
+     * @param {Object} viewpoint - { x, z }
+     * @param {Array} alwaysVisible - Entity IDs the client always knows about (e.g. its own player)
+     * @returns {{ visible: Set, entered: Array, left: Array }}
+     */
+    updateClient(clientId, viewpoint, alwaysVisible = []) {
+        const previous = this.visibleSets.get(clientId) || new Set();
+
+        // Entities already visible stay visible until they pass the outer (hysteresis) radius
+        const inner = this.query(viewpoint.x, viewpoint.z, this.radius);
+        const outer = this.query(viewpoint.x, viewpoint.z, this.radius + this.hysteresis);
+
+        const visible = new Set(alwaysVisible);
+        for (const entityId of inner) visible.add(entityId);
+        for (const entityId of previous) {
+            if (outer.has(entityId)) visible.add(entityId);
+        }
+
+        const entered = [];
+        for (const entityId of visible) {
+            if (!previous.has(entityId)) entered.push(entityId);
+        }
+
+        const left = [];
+        for (const entityId of previous) {
+            if (!visible.has(entityId)) left.push(entityId);
+        }
+
+        this.visibleSets.set(clientId, visible);
+        return { visible, entered, left };
+    }
+
+    /**
+     * Mark an entity as already known to a client (e.g. sent explicitly on spawn)
+     */
+    markVisible(clientId, entityId) {
+        let visible = this.visibleSets.get(clientId);
+        if (!visible) {
+            visible = new Set();
+            this.visibleSets.set(clientId, visible);
+        }
+        visible.add(entityId);
+    }
+
+    /**
+     * Get the entities a client currently sees
+     */
+    getVisibleSet(clientId) {
+        return this.visibleSets.get(clientId) || null;
+    }
+
+    /**
+     * Get clients that currently see an entity
+     */
+    getObservers(entityId) {
+        const observers = [];
+        for (const [clientId, visible] of this.visibleSets) {
+            if (visible.has(entityId)) observers.push(clientId);
+        }
+        return observers;
+    }
+
+    /**
+     * Forget an entity for every client (returns the clients that saw it)
+     */
+    removeEntity(entityId) {
+        const observers = this.getObservers(entityId);
+        for (const clientId of observers) {
+            this.visibleSets.get(clientId).delete(entityId);
+        }
+        return observers;
+    }
+
+    /**
+     * Forget a client
+     */
+    removeClient(clientId) {
+        this.visibleSets.delete(clientId);
+    }
+}
+
+module.exports = InterestManager;
@@ -0,0 +1,200 @@
+/**
+ * Server-side Item System
+ * Dropped items are small bodies resting on the terrain, carrying an item ID from the item registry
+ * and a quantity; players pick them up by walking over them, and the server decides who gets them
+ */
+
+const CONFIG = require('../shared/config.js');
+const { INTERACTIVE_OBJECTS } = require('../js/interactive-objects.js');
+
+// Item registry (the same definitions the client's ItemRegistry loads)
+const ITEM_DEFINITIONS = new Map(INTERACTIVE_OBJECTS.map(item => [item.id, item]));
+
+class ItemPhysicsManager {
+    constructor(physicsWorld, playerManager) {
+        this.physicsWorld = physicsWorld;
+        this.playerManager = playerManager;
+
+        // Item tracking
+        this.items = new Map();          // entityId -> { entityId, itemId, quantity, droppedBy, pickupAfter, expiresAt }
+        this.nextItemNumber = 1;
+        this.stepCount = 0;              // Clock for despawn and pickup delays
+
+        // Pickups in the last step: { itemEntityId, itemId, quantity, clientId, remaining }
+        this.pickups = [];
+
+        // Configuration
+        this.settings = CONFIG.items;
+    }
+
+    /**
+     * Look up an item definition in the registry
+     */
+    getItemDefinition(itemId) {
+        return ITEM_DEFINITIONS.get(itemId) || null;
+    }
+
+    /**
+     * Put an item in the world
+     * @param {string|null} droppedBy - Client ID of the player who dropped it (can't pick it straight back up)
+     * @returns {string|null} Item entity ID, or null for unknown items or when the world is full
+     */
+    spawnItem(itemId, quantity, position, velocity = { x: 0, y: 0, z: 0 }, droppedBy = null) {
+        if (!ITEM_DEFINITIONS.has(itemId)) return null;
+        if (this.items.size >= this.settings.maxActive) return null;
+
+        const entityId = `item_${this.nextItemNumber++}`;
+        this.physicsWorld.createItemBody(entityId, position, velocity);
+
+        this.items.set(entityId, {
+            entityId,
+            itemId,
+            quantity: Math.min(quantity, this.settings.maxStack),
+            droppedBy,
+            pickupAfter: this.stepCount + this.physicsWorld.msToSteps(this.settings.pickupDelay),
+            expiresAt: this.stepCount + this.physicsWorld.msToSteps(this.settings.despawnTime)
+        });
+
+        return entityId;
+    }
+
+    /**
+     * Remove an item from the world
+     */
+    removeItem(entityId) {
+        if (!this.items.has(entityId)) return false;
+
+        this.physicsWorld.removeEntity(entityId);
+        this.items.delete(entityId);
+        return true;
+    }
+
+    /**
+     * Despawn expired items and hand items to the players standing on them
+     */
+    update() {
+        this.stepCount++;
+        this.pickups = [];
+
+        for (const [entityId, item] of this.items) {
+            if (this.stepCount >= item.expiresAt) {
+                this.removeItem(entityId);
+            }
+        }
+
+        if (this.items.size === 0) return;
+
+        const collectors = this.getCollectors();
+        if (collectors.length === 0) return;
+
+        for (const [entityId, item] of this.items) {
+            this.updatePickup(entityId, item, collectors);
+        }
+    }
+
+    /**
+     * Players able to pick items up: on foot, alive and with room in their inventory
+     */
+    getCollectors() {
+        const collectors = [];
+        for (const player of this.playerManager.players.values()) {
+            if (player.vehicleId !== null || player.health <= 0) continue;
+
+            const body = this.physicsWorld.bodies.get(player.entityId);
+            if (!body) continue;
+
+            collectors.push({ player, position: body.translation() });
+        }
+        return collectors;
+    }
+
+    /**
+     * Give an item to the nearest eligible player in reach. Players are checked in join order,
+     * so when two are exactly as close the one who joined first wins.
+     */
+    updatePickup(entityId, item, collectors) {
+        const body = this.physicsWorld.bodies.get(entityId);
+        if (!body) return;
+
+        const position = body.translation();
+        const reach = this.settings.pickupRadius;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const collector of collectors) {
+            const { player } = collector;
+            if (player.clientId === item.droppedBy && this.stepCount < item.pickupAfter) continue;
+            if (this.playerManager.getInventorySpace(player.clientId) <= 0) continue;
+
+            const distance = Math.hypot(
+                collector.position.x - position.x,
+                collector.position.y - position.y,
+                collector.position.z - position.z
+            );
+            if (distance <= reach && distance < nearestDistance) {
+                nearest = player;
+                nearestDistance = distance;
+            }
+        }
+        if (!nearest) return;
+
+        // Players short on room take what fits and leave the rest lying
+        const taken = this.playerManager.addToInventory(nearest.clientId, item.itemId, item.quantity);
+        if (taken <= 0) return;
+
+        item.quantity -= taken;
+        if (item.quantity <= 0) {
+            this.removeItem(entityId);
+        }
+
+        this.pickups.push({
+            itemEntityId: entityId,
+            itemId: item.itemId,
+            quantity: taken,
+            clientId: nearest.clientId,
+            remaining: item.quantity
+        });
+    }
+
+    /**
+     * Get item state for networking
+     */
+    getItemState(entityId) {
+        const item = this.items.get(entityId);
+        const body = this.physicsWorld.bodies.get(entityId);
+        if (!item || !body) return null;
+
+        const pos = body.translation();
+        const rot = body.rotation();
+
+        return {
+            entityId,
+            type: CONFIG.entityTypes.ITEM,
+            itemId: item.itemId,
+            quantity: item.quantity,
+            position: { x: pos.x, y: pos.y, z: pos.z },
+            rotation: { x: rot.x, y: rot.y, z: rot.z, w: rot.w }
+        };
+    }
+
+    /**
+     * Get all item states
+     */
+    getAllItemStates() {
+        const states = [];
+        for (const entityId of this.items.keys()) {
+            const state = this.getItemState(entityId);
+            if (state) states.push(state);
+        }
+        return states;
+    }
+
+    /**
+     * Get item count
+     */
+    getItemCount() {
+        return this.items.size;
+    }
+}
+
+module.exports = ItemPhysicsManager;
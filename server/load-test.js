@@ -0,0 +1,304 @@
+/**
+ * Load Test
+ * Launches N headless bots against a server and reports snapshot rate, latency, bandwidth and tick overruns
+ *
+ * Usage: node load-test.js [--url ws://localhost:8080] [--bots 10] [--behaviour wander|drive|follow|idle|mix]
+ *                          [--duration 60] [--ramp 100] [--format binary|json] [--chat 0] [--report 5]
+ *                          [--metrics http://127.0.0.1:9464/metrics] [--instance main]
+ */
+
+const CONFIG = require('../shared/config.js');
+const BotClient = require('./bot-client.js');
+const { BEHAVIOUR_NAMES } = require('./bot-behaviours.js');
+
+const DEFAULTS = {
+    url: `ws://localhost:${CONFIG.network.port}`,
+    bots: 10,
+    behaviour: 'mix',                // 'mix' cycles through all behaviours
+    duration: 60,                    // Seconds (0 = until Ctrl+C)
+    ramp: 100,                       // ms between bot connections
+    format: 'binary',
+    chat: 0,                         // Seconds between chat messages per bot (0 = no chat)
+    report: 5,                       // Seconds between reports
+    metrics: null,                   // Server /metrics URL, for server-side tick overruns
+    instance: null                   // World instance to join (server default if not given)
+};
+
+/**
+ * Parse --key value arguments over the defaults
+ */
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+
+        const key = arg.replace(/^--/, '');
+        if (!arg.startsWith('--') || !(key in DEFAULTS) || i + 1 >= argv.length) {
+            throw new Error(`Unknown or incomplete argument: ${arg}`);
+        }
+
+        const value = argv[++i];
+        options[key] = typeof DEFAULTS[key] === 'number' ? Number(value) : value;
+        if (Number.isNaN(options[key])) {
+            throw new Error(`--${key} expects a number`);
+        }
+    }
+
+    if (options.behaviour !== 'mix' && !BEHAVIOUR_NAMES.includes(options.behaviour)) {
+        throw new Error(`--behaviour must be mix or one of ${BEHAVIOUR_NAMES.join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Value at a percentile of a sorted array
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Read the server's dropped-step and over-budget-tick counters from its Prometheus endpoint
+ * (summed over world instances, or for one instance if given)
+ */
+async function scrapeServerMetrics(url, instanceId = null) {
+    const response = await fetch(url);
+    const text = await response.text();
+
+    // Per-instance samples of a metric: instance ID -> value
+    const samples = (name) => {
+        const values = new Map();
+        for (const match of text.matchAll(new RegExp(`^${name}\\{instance="([^"]+)"\\} (\\S+)$`, 'gm'))) {
+            if (!instanceId || match[1] === instanceId) {
+                values.set(match[1], Number(match[2]));
+            }
+        }
+        return values;
+    };
+
+    const tickRates = samples('cyberia_tick_rate_hz');
+    const tickCounts = samples('cyberia_tick_duration_seconds_count');
+    let droppedSteps = 0;
+    let slowTicks = 0;
+
+    for (const value of samples('cyberia_physics_dropped_steps_total').values()) {
+        droppedSteps += value;
+    }
+
+    // Ticks slower than the tick interval: total minus the largest bucket within budget
+    for (const [id, count] of tickCounts) {
+        const budget = 1 / tickRates.get(id);
+        let withinBudget = 0;
+        for (const match of text.matchAll(/^cyberia_tick_duration_seconds_bucket\{instance="([^"]+)",le="([^"]+)"\} (\S+)$/gm)) {
+            if (match[1] === id && match[2] !== '+Inf' && Number(match[2]) <= budget) {
+                withinBudget = Number(match[3]);
+            }
+        }
+        slowTicks += count - withinBudget;
+    }
+
+    return { droppedSteps, slowTicks };
+}
+
+class LoadTest {
+    constructor(options) {
+        this.options = options;
+        this.bots = [];
+        this.failed = 0;
+        this.startTime = 0;
+
+        // Whole-run totals
+        this.totals = { snapshots: 0, lateSnapshots: 0, bytesIn: 0, bytesOut: 0, rttSamples: [] };
+        this.serverBaseline = null;
+        this.serverLatest = null;
+
+        this.reportTimer = null;
+    }
+
+    async run() {
+        const { options } = this;
+        console.log(`[LoadTest] ${options.bots} ${options.behaviour} bots -> ${options.url}${options.instance ? ` (${options.instance})` : ''} (${options.format} snapshots)`);
+
+        this.startTime = Date.now();
+        if (options.metrics) {
+            this.serverBaseline = await this.scrape();
+            this.serverLatest = this.serverBaseline;
+        }
+
+        this.reportTimer = setInterval(() => this.report(), options.report * 1000);
+
+        for (let i = 0; i < options.bots; i++) {
+            const behaviour = options.behaviour === 'mix' ? BEHAVIOUR_NAMES[i % BEHAVIOUR_NAMES.length] : options.behaviour;
+            const bot = new BotClient({
+                url: options.url,
+                username: `bot_${i}`,
+                behaviour,
+                snapshotFormat: options.format,
+                chatInterval: options.chat,
+                instance: options.instance
+            });
+
+            bot.connect().catch((error) => {
+                this.failed++;
+                console.error(`[LoadTest] ${bot.username} failed: ${error.message}`);
+            });
+            this.bots.push(bot);
+
+            await new Promise(resolve => setTimeout(resolve, options.ramp));
+        }
+
+        if (options.duration > 0) {
+            const remaining = options.duration * 1000 - (Date.now() - this.startTime);
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, remaining)));
+            await this.finish();
+        }
+    }
+
+    async scrape() {
+        try {
+            return await scrapeServerMetrics(this.options.metrics, this.options.instance);
+        } catch (e) {
+            console.warn(`[LoadTest] Metrics scrape failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Print stats for the last interval and fold them into the totals
+     */
+    async report() {
+        const interval = this.options.report;
+        const connected = this.bots.filter(bot => bot.playing && !bot.closed);
+
+        const period = { snapshots: 0, lateSnapshots: 0, bytesIn: 0, bytesOut: 0, rttSamples: [] };
+        for (const bot of this.bots) {
+            const stats = bot.takeStats();
+            period.snapshots += stats.snapshots;
+            period.lateSnapshots += stats.lateSnapshots;
+            period.bytesIn += stats.bytesIn;
+            period.bytesOut += stats.bytesOut;
+            period.rttSamples.push(...stats.rttSamples);
+        }
+
+        this.totals.snapshots += period.snapshots;
+        this.totals.lateSnapshots += period.lateSnapshots;
+        this.totals.bytesIn += period.bytesIn;
+        this.totals.bytesOut += period.bytesOut;
+        this.totals.rttSamples.push(...period.rttSamples);
+
+        const perBot = Math.max(connected.length, 1);
+        let line = `[LoadTest] ${connected.length}/${this.bots.length} bots` +
+            ` | ${(period.snapshots / interval / perBot).toFixed(1)} snapshots/s/bot` +
+            ` | RTT ${this.formatLatency(period.rttSamples)}` +
+            ` | in ${formatBytes(period.bytesIn / interval / perBot)}/s/bot (${formatBytes(period.bytesIn / interval)}/s)` +
+            ` | out ${formatBytes(period.bytesOut / interval / perBot)}/s/bot` +
+            ` | late ${this.formatLate(period)}`;
+
+        if (this.options.metrics) {
+            const latest = await this.scrape();
+            if (latest && this.serverLatest) {
+                line += ` | server: +${latest.droppedSteps - this.serverLatest.droppedSteps} dropped steps, +${latest.slowTicks - this.serverLatest.slowTicks} slow ticks`;
+            }
+            this.serverLatest = latest || this.serverLatest;
+            this.serverBaseline = this.serverBaseline || latest;
+        }
+
+        console.log(line);
+    }
+
+    formatLatency(samples) {
+        if (samples.length === 0) return 'n/a';
+        const sorted = [...samples].sort((a, b) => a - b);
+        return `p50 ${percentile(sorted, 0.5)}ms p90 ${percentile(sorted, 0.9)}ms p99 ${percentile(sorted, 0.99)}ms max ${sorted[sorted.length - 1]}ms`;
+    }
+
+    formatLate(stats) {
+        return stats.snapshots > 0 ? `${(stats.lateSnapshots / stats.snapshots * 100).toFixed(1)}%` : 'n/a';
+    }
+
+    /**
+     * Tick rates of the worlds the bots joined (from INSTANCE_JOINED, so the server's, not our config's)
+     */
+    getServerTickRates() {
+        const rates = new Set(this.bots.filter(bot => bot.entityId).map(bot => bot.tickRate));
+        return Array.from(rates).sort((a, b) => a - b);
+    }
+
+    /**
+     * Disconnect all bots and print the run summary
+     */
+    async finish() {
+        clearInterval(this.reportTimer);
+        await this.report();
+
+        for (const bot of this.bots) {
+            bot.disconnect();
+        }
+
+        const seconds = (Date.now() - this.startTime) / 1000;
+        const { totals } = this;
+        const kicked = this.bots.filter(bot => bot.kickReason).length;
+        const tickRates = this.getServerTickRates();
+        const tickRateText = tickRates.length > 0 ? `${tickRates.join('/')} Hz` : 'unknown';
+        const tickBudgetText = tickRates.length === 1 ? `${(1000 / tickRates[0]).toFixed(0)} ms` : 'their tick interval';
+
+        console.log('[LoadTest] Summary');
+        console.log(`  Duration:        ${seconds.toFixed(0)}s, ${this.bots.length} bots (${this.failed} failed to spawn, ${kicked} kicked)`);
+        console.log(`  Snapshots:       ${(totals.snapshots / seconds / Math.max(this.bots.length, 1)).toFixed(1)}/s per bot (server tick rate ${tickRateText})`);
+        console.log(`  RTT:             ${this.formatLatency(totals.rttSamples)}`);
+        console.log(`  Bandwidth in:    ${formatBytes(totals.bytesIn)} total, ${formatBytes(totals.bytesIn / seconds)}/s`);
+        console.log(`  Bandwidth out:   ${formatBytes(totals.bytesOut)} total, ${formatBytes(totals.bytesOut / seconds)}/s`);
+        console.log(`  Late snapshots:  ${this.formatLate(totals)}`);
+
+        if (this.serverBaseline && this.serverLatest) {
+            console.log(`  Server overruns: ${this.serverLatest.droppedSteps - this.serverBaseline.droppedSteps} dropped physics steps, ${this.serverLatest.slowTicks - this.serverBaseline.slowTicks} ticks over ${tickBudgetText}`);
+        }
+    }
+}
+
+// Run if invoked directly
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log('Usage: node load-test.js [--url ws://localhost:8080] [--bots 10] [--behaviour wander|drive|follow|idle|mix]');
+        console.log('                         [--duration 60] [--ramp 100] [--format binary|json] [--chat 0] [--report 5]');
+        console.log('                         [--metrics http://127.0.0.1:9464/metrics] [--instance main]');
+        process.exit(0);
+    }
+
+    const loadTest = new LoadTest(options);
+
+    process.on('SIGINT', async () => {
+        await loadTest.finish();
+        process.exit(0);
+    });
+
+    loadTest.run()
+        .then(() => {
+            if (options.duration > 0) process.exit(0);
+        })
+        .catch((error) => {
+            console.error('[LoadTest] Failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = LoadTest;
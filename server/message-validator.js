@@ -0,0 +1,222 @@
+/**
+ * Inbound Message Validator
+ * Schema validation and clamping for every client -> server message type
+ */
+
+const CONFIG = require('../shared/config.js');
+
+const MT = CONFIG.messageTypes;
+
+// Field helpers
+const axis = (min = -1) => ({ type: 'number', min, max: 1, clamp: true, optional: true });
+const flag = () => ({ type: 'boolean', optional: true });
+const chunkCoord = () => ({ type: 'integer', min: -100000, max: 100000 });
+const worldCoord = () => ({ type: 'number', min: -1e7, max: 1e7, clamp: true });
+const unitComponent = () => ({ type: 'number', min: -1, max: 1, clamp: true });
+
+class MessageValidator {
+    constructor() {
+        // Message type -> field schema. Fields not listed are dropped.
+        this.schemas = new Map([
+            [MT.HANDSHAKE, {
+                username: { type: 'string', maxLength: 24, optional: true },
+                appearance: { type: 'object', maxSize: 1024, optional: true },
+                snapshotFormat: { type: 'string', maxLength: 16, optional: true },
+                sessionToken: { type: 'string', maxLength: 64, optional: true },
+                instance: { type: 'string', maxLength: 32, optional: true },
+                role: { type: 'string', maxLength: 16, optional: true }
+            }],
+            [MT.PING, {
+                clientTime: { type: 'number' }
+            }],
+            [MT.PONG_ACK, {
+                nonce: { type: 'integer', min: 0 }
+            }],
+            [MT.SNAPSHOT_ACK, {
+                tick: { type: 'integer', min: 0 }
+            }],
+            [MT.PLAYER_INPUT, {
+                input: {
+                    type: 'object',
+                    fields: {
+                        forward: axis(),
+                        right: axis(),
+                        jump: flag(),
+                        run: flag(),
+                        crouch: flag(),
+                        yaw: { type: 'number', wrapAngle: true },
+                        seq: { type: 'integer', min: 1 }
+                    }
+                }
+            }],
+            [MT.VEHICLE_INPUT, {
+                input: {
+                    type: 'object',
+                    fields: {
+                        throttle: axis(),
+                        brake: axis(0),
+                        steering: axis(),
+                        handbrake: flag(),
+                        collective: axis(0),
+                        pitch: axis(),
+                        roll: axis(),
+                        yaw: axis()
+                    }
+                }
+            }],
+            [MT.VEHICLE_ENTER, {}],
+            [MT.VEHICLE_EXIT, {}],
+            [MT.CHUNK_REQUEST, {
+                chunkX: chunkCoord(),
+                chunkZ: chunkCoord()
+            }],
+            [MT.FIRE, {
+                direction: {                   // Aim; the server normalizes it
+                    type: 'object',
+                    fields: { x: unitComponent(), y: unitComponent(), z: unitComponent() }
+                }
+            }],
+            [MT.ITEM_DROP, {
+                itemId: { type: 'string', maxLength: 64 },
+                quantity: { type: 'integer', min: 1, max: CONFIG.items.maxStack, clamp: true }
+            }],
+            [MT.CHAT_MESSAGE, {
+                message: { type: 'string', maxLength: 256 }
+            }],
+            [MT.SPECTATOR_CAMERA, {
+                position: {
+                    type: 'object',
+                    optional: true,
+                    fields: { x: worldCoord(), y: worldCoord(), z: worldCoord() }
+                },
+                follow: { type: 'string', maxLength: 64, optional: true }   // Entity to follow (omitted = free camera)
+            }]
+        ]);
+    }
+
+    /**
+     * Register (or replace) the schema for a message type
+     */
+    setSchema(type, schema) {
+        this.schemas.set(type, schema);
+    }
+
+    /**
+     * Check whether a message type has a schema
+     */
+    hasSchema(type) {
+        return this.schemas.has(type);
+    }
+
+    /**
+     * Validate a message against its schema
+     * @returns {{ valid: boolean, message?: Object, clamped?: Array, error?: string }}
+     */
+    validate(message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return { valid: false, error: 'message is not an object' };
+        }
+
+        const schema = this.schemas.get(message.type);
+        if (!schema) {
+            return { valid: false, error: `no schema for message type: ${message.type}` };
+        }
+
+        const clamped = [];
+        const result = this.validateFields(message, schema, '', clamped);
+        if (result.error) {
+            return { valid: false, error: result.error };
+        }
+
+        result.value.type = message.type;
+        return { valid: true, message: result.value, clamped };
+    }
+
+    /**
+     * Validate an object's fields, keeping only those in the schema
+     */
+    validateFields(object, schema, path, clamped) {
+        const value = {};
+
+        for (const [key, rule] of Object.entries(schema)) {
+            const fieldPath = path ? `${path}.${key}` : key;
+            const raw = object[key];
+
+            if (raw === undefined || raw === null) {
+                if (rule.optional) continue;
+                return { error: `missing field: ${fieldPath}` };
+            }
+
+            const result = this.validateValue(raw, rule, fieldPath, clamped);
+            if (result.error) return result;
+            value[key] = result.value;
+        }
+
+        return { value };
+    }
+
+    /**
+     * Validate a single value against its rule
+     */
+    validateValue(raw, rule, path, clamped) {
+        switch (rule.type) {
+            case 'number':
+            case 'integer': {
+                if (typeof raw !== 'number' || !Number.isFinite(raw)) {
+                    return { error: `${path} must be a finite number` };
+                }
+                if (rule.type === 'integer' && !Number.isInteger(raw)) {
+                    return { error: `${path} must be an integer` };
+                }
+
+                let value = raw;
+                if (rule.wrapAngle) {
+                    value = Math.atan2(Math.sin(value), Math.cos(value));
+                }
+
+                if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                    if (!rule.clamp) {
+                        return { error: `${path} out of range: ${value}` };
+                    }
+                    value = Math.max(rule.min ?? value, Math.min(rule.max ?? value, value));
+                    clamped.push(path);
+                }
+
+                return { value };
+            }
+
+            case 'boolean':
+                if (typeof raw !== 'boolean') {
+                    return { error: `${path} must be a boolean` };
+                }
+                return { value: raw };
+
+            case 'string':
+                if (typeof raw !== 'string') {
+                    return { error: `${path} must be a string` };
+                }
+                if (rule.maxLength !== undefined && raw.length > rule.maxLength) {
+                    return { error: `${path} longer than ${rule.maxLength} characters` };
+                }
+                return { value: raw };
+
+            case 'object': {
+                if (typeof raw !== 'object' || Array.isArray(raw)) {
+                    return { error: `${path} must be an object` };
+                }
+                if (rule.fields) {
+                    return this.validateFields(raw, rule.fields, path, clamped);
+                }
+                if (rule.maxSize !== undefined && JSON.stringify(raw).length > rule.maxSize) {
+                    return { error: `${path} larger than ${rule.maxSize} bytes` };
+                }
+                return { value: raw };
+            }
+
+            default:
+                return { error: `${path} has unknown rule type: ${rule.type}` };
+        }
+    }
+}
+
+module.exports = MessageValidator;
@@ -0,0 +1,257 @@
+/**
+ * Server Metrics
+ * Collects tick timings and traffic counters, served as /healthz and Prometheus /metrics over HTTP
+ */
+
+const http = require('http');
+const CONFIG = require('../shared/config.js');
+
+// Histogram buckets (seconds)
+const TICK_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.02, 0.033, 0.05, 0.1, 0.25];
+const STEP_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.0167, 0.025, 0.05, 0.1];
+
+/**
+ * Cumulative histogram in Prometheus layout
+ */
+class Histogram {
+    constructor(buckets) {
+        this.buckets = buckets;
+        this.counts = new Array(buckets.length).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) this.counts[i]++;
+        }
+        this.sum += value;
+        this.count++;
+    }
+}
+
+class ServerMetrics {
+    constructor(server) {
+        this.server = server;
+        this.httpServer = null;
+        this.startTime = Date.now();
+
+        // Loop timings per world instance
+        this.instanceTimings = new Map(); // instanceId -> { tickDuration, stepDuration }
+
+        // Traffic per message type
+        this.inbound = new Map();        // messageType -> { messages, bytes }
+        this.outbound = new Map();       // messageType -> { messages, bytes }
+    }
+
+    /**
+     * Loop timing histograms for a world instance
+     */
+    forInstance(instanceId) {
+        let timings = this.instanceTimings.get(instanceId);
+        if (!timings) {
+            timings = {
+                tickDuration: new Histogram(TICK_BUCKETS),
+                stepDuration: new Histogram(STEP_BUCKETS)
+            };
+            this.instanceTimings.set(instanceId, timings);
+        }
+        return timings;
+    }
+
+    /**
+     * Record a received message
+     */
+    recordInbound(type, bytes) {
+        this.addTraffic(this.inbound, type, bytes, 1);
+    }
+
+    /**
+     * Record sent message(s) of the same size
+     */
+    recordOutbound(type, bytes, count = 1) {
+        this.addTraffic(this.outbound, type, bytes * count, count);
+    }
+
+    addTraffic(table, type, bytes, messages) {
+        let entry = table.get(type);
+        if (!entry) {
+            entry = { messages: 0, bytes: 0 };
+            table.set(type, entry);
+        }
+        entry.messages += messages;
+        entry.bytes += bytes;
+    }
+
+    /**
+     * Start the HTTP listener (local-only by default)
+     */
+    listen() {
+        const { host, port } = CONFIG.metrics;
+
+        this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+        this.httpServer.on('error', (error) => {
+            console.error('[Metrics] HTTP server error:', error);
+        });
+        this.httpServer.listen(port, host, () => {
+            console.log(`[Metrics] Serving /healthz and /metrics on http://${host}:${port}`);
+        });
+    }
+
+    /**
+     * Handle an HTTP request
+     */
+    handleRequest(req, res) {
+        const path = req.url.split('?')[0];
+
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Content-Type': 'text/plain' });
+            res.end('Method Not Allowed\n');
+            return;
+        }
+
+        if (path === '/healthz') {
+            const health = this.getHealth();
+            res.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(health));
+            return;
+        }
+
+        if (path === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+            res.end(this.render());
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found\n');
+    }
+
+    /**
+     * Healthy while every instance's game loop keeps running
+     */
+    getHealth() {
+        const server = this.server;
+        const now = performance.now();
+
+        const instances = {};
+        let running = server.instances.size > 0;
+        for (const instance of server.instances.values()) {
+            const loopAge = now - instance.lastLoopTime;
+            const instanceRunning = instance.tickInterval !== null && loopAge < CONFIG.metrics.stallThreshold;
+            running = running && instanceRunning;
+
+            instances[instance.id] = {
+                status: instanceRunning ? 'ok' : 'stalled',
+                tick: instance.tickNumber,
+                players: instance.playerManager ? instance.playerManager.getPlayerCount() : 0
+            };
+        }
+
+        return {
+            status: running ? 'ok' : 'stalled',
+            uptime: Math.floor((Date.now() - this.startTime) / 1000),
+            clients: server.clients.size,
+            instances
+        };
+    }
+
+    /**
+     * Render all metrics in Prometheus text exposition format
+     */
+    render() {
+        const server = this.server;
+        const lines = [];
+
+        const metric = (name, type, help) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+        };
+
+        const instances = Array.from(server.instances.values());
+        const label = (instance) => `instance="${escapeLabel(instance.id)}"`;
+
+        const histogram = (name, help, field) => {
+            metric(name, 'histogram', help);
+            for (const instance of instances) {
+                const hist = this.forInstance(instance.id)[field];
+                hist.buckets.forEach((le, i) => {
+                    lines.push(`${name}_bucket{${label(instance)},le="${le}"} ${hist.counts[i]}`);
+                });
+                lines.push(`${name}_bucket{${label(instance)},le="+Inf"} ${hist.count}`);
+                lines.push(`${name}_sum{${label(instance)}} ${hist.sum}`);
+                lines.push(`${name}_count{${label(instance)}} ${hist.count}`);
+            }
+        };
+
+        const gauge = (name, help, value) => {
+            metric(name, 'gauge', help);
+            lines.push(`${name} ${value}`);
+        };
+
+        // One sample per instance
+        const perInstance = (name, type, help, value) => {
+            metric(name, type, help);
+            for (const instance of instances) {
+                lines.push(`${name}{${label(instance)}} ${value(instance)}`);
+            }
+        };
+
+        const traffic = (name, help, table, field) => {
+            metric(name, 'counter', help);
+            for (const [type, entry] of table) {
+                lines.push(`${name}{type="${escapeLabel(type)}"} ${entry[field]}`);
+            }
+        };
+
+        // Loop timings
+        histogram('cyberia_tick_duration_seconds', 'Time spent in a network tick (terrain, chunks, snapshots)', 'tickDuration');
+        histogram('cyberia_physics_step_duration_seconds', 'Time spent in one fixed physics step', 'stepDuration');
+
+        perInstance('cyberia_physics_steps_total', 'counter', 'Fixed physics steps taken', instance => instance.stepNumber);
+        perInstance('cyberia_physics_dropped_steps_total', 'counter', 'Physics steps skipped because the instance fell behind', instance => instance.droppedSteps);
+        perInstance('cyberia_ticks_total', 'counter', 'Network ticks sent', instance => instance.tickNumber);
+        perInstance('cyberia_tick_rate_hz', 'gauge', 'Configured network tick rate', instance => instance.tickRate);
+
+        // World
+        perInstance('cyberia_rapier_bodies', 'gauge', 'Rapier rigid bodies', instance => instance.physicsWorld ? instance.physicsWorld.getBodyCounts().bodies : 0);
+        perInstance('cyberia_rapier_colliders', 'gauge', 'Rapier colliders', instance => instance.physicsWorld ? instance.physicsWorld.getBodyCounts().colliders : 0);
+        perInstance('cyberia_chunks_loaded', 'gauge', 'Terrain chunks with physics loaded', instance => instance.terrainManager ? instance.terrainManager.loadedChunks.size : 0);
+        perInstance('cyberia_players', 'gauge', 'Players in the world (including disconnected players awaiting resume)', instance => instance.playerManager ? instance.playerManager.getPlayerCount() : 0);
+        perInstance('cyberia_vehicles', 'gauge', 'Vehicles in the world', instance => instance.vehicleManager ? instance.vehicleManager.vehicles.size : 0);
+
+        // Network
+        gauge('cyberia_connected_clients', 'Open client connections', server.clients.size);
+        traffic('cyberia_messages_received_total', 'Messages received by type', this.inbound, 'messages');
+        traffic('cyberia_message_bytes_received_total', 'Bytes received by message type', this.inbound, 'bytes');
+        traffic('cyberia_messages_sent_total', 'Messages sent by type', this.outbound, 'messages');
+        traffic('cyberia_message_bytes_sent_total', 'Bytes sent by message type', this.outbound, 'bytes');
+
+        metric('cyberia_client_latency_seconds', 'gauge', 'Client one-way latency (half the measured PONG round trip)');
+        for (const clientData of server.clients.values()) {
+            if (clientData.state !== 'playing') continue;
+            lines.push(`cyberia_client_latency_seconds{client_id="${escapeLabel(clientData.clientId)}",username="${escapeLabel(clientData.username)}",${label(clientData.instance)}} ${clientData.latency / 1000}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Stop the HTTP listener
+     */
+    stop() {
+        if (this.httpServer) {
+            this.httpServer.close();
+            this.httpServer = null;
+        }
+    }
+}
+
+/**
+ * Escape a Prometheus label value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+module.exports = ServerMetrics;
@@ -1,77 +1,180 @@
 /**
  * Main Physics Server
  * Server-authoritative networked physics with Rapier
+ * Hosts one or more world instances; owns connections, sessions and protocol validation
+ * With CONFIG.sharding enabled it runs one shard of a world split across several processes
  */
 
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const CONFIG = require('../shared/config.js');
-const PhysicsWorld = require('./physics-world.js');
-const TerrainPhysicsManager = require('./terrain-physics.js');
-const VehiclePhysicsManager = require('./vehicle-physics.js');
-const PlayerPhysicsManager = require('./player-physics.js');
+const WorldInstance = require('./world-instance.js');
+const SnapshotEncoder = require('./snapshot-encoder.js');
+const MessageValidator = require('./message-validator.js');
+const ClientGuard = require('./client-guard.js');
+const AdminConsole = require('./admin-console.js');
+const ServerMetrics = require('./metrics.js');
+const ChatManager = require('./chat-manager.js');
+const ShardManager = require('./shard-manager.js');
+const ConfigLoader = require('./config-loader.js');
+const PluginManager = require('./plugin-manager.js');
+
+// Message types accepted before a client has joined a world instance
+const LOBBY_MESSAGES = new Set([CONFIG.messageTypes.HANDSHAKE, CONFIG.messageTypes.PING, CONFIG.messageTypes.PONG_ACK]);
 
 class PhysicsServer {
-    constructor(port = CONFIG.network.port) {
-        this.port = port;
+    constructor(port = null) {
         this.wss = null;
 
-        // Managers
-        this.physicsWorld = null;
-        this.terrainManager = null;
-        this.vehicleManager = null;
-        this.playerManager = null;
+        // Sharding: which shard this process runs (the port then comes from its URL)
+        this.shardId = CONFIG.sharding.enabled ? CONFIG.sharding.shardId : null;
+        this.shardManager = null;
+        this.port = port || this.getShardPort() || CONFIG.network.port;
+
+        // Settings layered over shared/config.js at startup (ConfigLoader, secrets removed), recorded for replays
+        this.configOverrides = {};
+
+        // World instances
+        this.instances = new Map();      // instanceId -> WorldInstance
+        this.defaultInstanceId = null;   // Joined when a handshake names no instance
+        this.adminConsole = null;
 
         // Client tracking
         this.clients = new Map();        // ws -> clientData
         this.clientsById = new Map();    // clientId -> ws
+        this.nextConnectionId = 1;       // Per-connection number (client IDs change on session resume)
 
-        // Game state
-        this.tickNumber = 0;
-        this.lastTickTime = 0;
-        this.tickInterval = null;
+        // Resumable sessions
+        this.sessions = new Map();       // sessionToken -> { token, clientId, ws, instance, expiryTimer }
 
-        // Chunk requests
-        this.chunkRequestQueue = new Map(); // clientId -> Set of chunk keys
+        // Metrics (served over HTTP when CONFIG.metrics.enabled)
+        this.metrics = new ServerMetrics(this);
 
         // Message handlers
         this.messageHandlers = new Map();
+        this.messageValidator = new MessageValidator();
         this.setupMessageHandlers();
+
+        // Game-mode plugins (loaded in start(); add message handlers and per-world hooks)
+        this.plugins = new PluginManager(this);
     }
 
     /**
      * Initialize and start the server
      */
     async start() {
-        console.log('[Server] Initializing Rapier physics...');
+        if (CONFIG.sharding.enabled) {
+            this.checkShardSettings();
+        }
+
+        this.plugins.load();
 
-        // Initialize physics world
-        this.physicsWorld = new PhysicsWorld();
-        await this.physicsWorld.init();
+        for (const options of CONFIG.instances.worlds) {
+            await this.createInstance(options);
+        }
 
-        // Initialize managers
-        this.terrainManager = new TerrainPhysicsManager(this.physicsWorld);
-        this.vehicleManager = new VehiclePhysicsManager(this.physicsWorld, this.terrainManager);
-        this.playerManager = new PlayerPhysicsManager(this.physicsWorld, this.terrainManager);
+        if (this.shardId) {
+            const instance = this.instances.get(this.defaultInstanceId);
+            this.shardManager = new ShardManager(this, instance);
+            instance.shard = this.shardManager;
+        }
 
-        // Spawn some initial vehicles
-        this.spawnInitialVehicles();
+        for (const instance of this.instances.values()) {
+            instance.start();
+        }
 
         // Start WebSocket server
         this.wss = new WebSocket.Server({ port: this.port });
         this.setupWebSocket();
 
-        // Start game loop
-        this.startGameLoop();
+        if (this.shardManager) {
+            this.shardManager.start();
+        }
+
+        // Operator commands
+        this.adminConsole = new AdminConsole(this);
+        this.adminConsole.start();
+
+        if (CONFIG.metrics.enabled) {
+            this.metrics.listen();
+        }
+
+        console.log(`[Server] Physics server running on port ${this.port} with ${this.instances.size} world instance(s)`);
+        console.log(`[Server] Physics timestep: ${(CONFIG.physics.timestep * 1000).toFixed(1)} ms`);
+    }
+
+    /**
+     * Refuse to start a shard that could not link up with its peers
+     */
+    checkShardSettings() {
+        const { shards, secret } = CONFIG.sharding;
+
+        if (!this.shardId) {
+            throw new Error('sharding is enabled but no shard was chosen (set sharding.shardId or CYBERIA_SHARD)');
+        }
+        if (!shards.some(shard => shard.id === this.shardId)) {
+            throw new Error(`shard ${this.shardId} is not in sharding.shards`);
+        }
+        if (!secret) {
+            throw new Error('sharding.secret must be set so shards can authenticate each other');
+        }
+        if (CONFIG.instances.worlds.length !== 1) {
+            throw new Error('a sharded server hosts exactly one world instance');
+        }
+    }
+
+    /**
+     * Port from this shard's URL in CONFIG.sharding.shards
+     * @returns {number|null}
+     */
+    getShardPort() {
+        const shard = this.shardId && CONFIG.sharding.shards.find(entry => entry.id === this.shardId);
+        if (!shard) return null;
+
+        const port = Number(new URL(shard.url).port);
+        return port || null;
+    }
+
+    /**
+     * Create and initialize a world instance (started separately; session replay never starts it)
+     * @param {Object} options - { id, name, seed, maxPlayers, persistent }
+     * @returns {WorldInstance}
+     */
+    async createInstance(options) {
+        if (!options.id || this.instances.has(options.id)) {
+            throw new Error(`World instance needs a unique id (got ${JSON.stringify(options.id)})`);
+        }
+
+        const instance = new WorldInstance(this, options);
+        await instance.init();
+
+        this.instances.set(instance.id, instance);
+        if (!this.defaultInstanceId) {
+            this.defaultInstanceId = instance.id;
+        }
+        return instance;
+    }
 
-        console.log(`[Server] Physics server running on port ${this.port}`);
-        console.log(`[Server] Tick rate: ${CONFIG.network.tickRate} Hz`);
+    /**
+     * Summaries of all instances (sent in HANDSHAKE_ACK so clients can pick one)
+     */
+    getInstanceList() {
+        return Array.from(this.instances.values()).map(instance => instance.getInfo());
     }
 
     /**
      * Setup WebSocket event handlers
      */
     setupWebSocket() {
-        this.wss.on('connection', (ws) => {
+        this.wss.on('connection', (ws, req) => {
+            if (this.adminConsole.isAdminRequest(req)) {
+                this.adminConsole.attachSocket(ws, req);
+                return;
+            }
+            if (this.shardManager && this.shardManager.link.isLinkRequest(req)) {
+                this.shardManager.link.attachSocket(ws, req);
+                return;
+            }
             this.handleConnection(ws);
         });
 
@@ -81,19 +184,29 @@ class PhysicsServer {
     }
 
     /**
-     * Handle new client connection
+     * Handle new client connection (it joins a world instance on HANDSHAKE)
+     * @param {Object} identity - { clientId, sessionToken } to reuse (session replay only)
      */
-    handleConnection(ws) {
-        const clientId = this.generateClientId();
+    handleConnection(ws, identity = null) {
+        const clientId = identity ? identity.clientId : this.generateClientId();
 
         const clientData = {
+            connectionId: this.nextConnectionId++,
             clientId,
             ws,
+            instance: null,              // WorldInstance once joined
             username: 'Player',
             state: 'connected',
             lastPing: Date.now(),
-            latency: 0,
-            chunkRequests: new Set()
+            latency: 0,                  // ms one way, half the round trip of our last PONG
+            pongNonce: 0,                // Nonce of the last PONG sent
+            pongSentAt: null,            // When it went out (null once echoed)
+            chunkRequests: new Set(),
+            snapshotFormat: 'json',
+            snapshotEncoder: null,
+            spectator: null,             // { position, follow, target } for spectators
+            sessionToken: this.createSession(clientId, ws, identity ? identity.sessionToken : undefined),
+            guard: new ClientGuard()
         };
 
         this.clients.set(ws, clientData);
@@ -103,12 +216,24 @@ class PhysicsServer {
 
         // Setup message handler
         ws.on('message', (data) => {
+            if (data.length > CONFIG.security.maxMessageSize) {
+                this.reportViolation(ws, 'malformed', `oversized message (${data.length} bytes)`);
+                return;
+            }
+
+            let message;
             try {
-                const message = JSON.parse(data);
-                this.handleMessage(ws, message);
+                message = JSON.parse(data);
             } catch (e) {
-                console.error('[Server] Invalid message:', e);
+                this.reportViolation(ws, 'malformed', 'unparseable message');
+                return;
             }
+
+            // Unknown types are lumped together to keep metric labels bounded
+            const type = message && this.messageHandlers.has(message.type) ? message.type : 'unknown';
+            this.metrics.recordInbound(type, data.length);
+
+            this.handleMessage(ws, message);
         });
 
         ws.on('close', () => {
@@ -123,48 +248,267 @@ class PhysicsServer {
         this.send(ws, {
             type: CONFIG.messageTypes.HANDSHAKE_ACK,
             clientId,
+            sessionToken: clientData.sessionToken,
             serverTime: Date.now(),
             tickRate: CONFIG.network.tickRate,
-            config: {
-                world: CONFIG.world,
-                physics: {
-                    gravity: CONFIG.physics.gravity,
-                    player: CONFIG.physics.player
-                },
-                movement: CONFIG.movement
-            }
+            snapshotFormats: CONFIG.network.snapshotFormats,
+            instances: this.getInstanceList(),
+            defaultInstance: this.defaultInstanceId,
+            config: this.getClientConfig()
         });
     }
 
+    /**
+     * Effective settings the client needs to predict and render like the server
+     * (merged over the client's copy of shared/config.js)
+     */
+    getClientConfig() {
+        const { network } = CONFIG;
+        return {
+            world: CONFIG.world,
+            physics: {
+                gravity: CONFIG.physics.gravity,
+                player: CONFIG.physics.player,
+                vehicle: CONFIG.physics.vehicle
+            },
+            movement: CONFIG.movement,
+            network: {
+                tickRate: network.tickRate,
+                clientSendRate: network.clientSendRate,
+                interpolationDelay: network.interpolationDelay,
+                maxPredictionTime: network.maxPredictionTime,
+                snapshotBufferSize: network.snapshotBufferSize,
+                inputBufferSize: network.inputBufferSize,
+                interestRadius: network.interestRadius
+            }
+        };
+    }
+
     /**
      * Handle client disconnect
+     * Playing clients keep their player (and vehicle seat) for the session grace period
      */
     handleDisconnect(ws) {
         const clientData = this.clients.get(ws);
         if (!clientData) return;
 
-        const { clientId } = clientData;
+        const { clientId, instance } = clientData;
         console.log(`[Server] Client disconnected: ${clientId}`);
 
-        // Remove player from physics
-        this.playerManager.removePlayer(clientId);
+        // Cleanup connection state
+        this.clients.delete(ws);
+        this.clientsById.delete(clientId);
+
+        if (instance) {
+            instance.record({ e: 'd', s: instance.stepNumber, id: clientData.connectionId, k: clientData.guard.kicked });
+            instance.removeClient(ws);
+        }
+
+        const session = this.sessions.get(clientData.sessionToken);
+        if (session && instance && !clientData.guard.kicked && clientData.state === 'playing' && instance.playerManager.hasPlayer(clientId)) {
+            this.detachSession(session);
+            return;
+        }
+
+        this.sessions.delete(clientData.sessionToken);
+        if (instance && !clientData.spectator) {
+            instance.removePlayer(clientId);
+        }
+    }
+
+    /**
+     * Create a resumable session for a connection
+     * @returns {string} Session token
+     */
+    createSession(clientId, ws, token = crypto.randomBytes(24).toString('hex')) {
+        this.sessions.set(token, {
+            token,
+            clientId,
+            ws,
+            instance: null,
+            expiryTimer: null
+        });
+        return token;
+    }
+
+    /**
+     * Find the session (connected or held) belonging to a client ID
+     */
+    getSessionByClientId(clientId) {
+        for (const session of this.sessions.values()) {
+            if (session.clientId === clientId) return session;
+        }
+        return null;
+    }
+
+    /**
+     * Keep a disconnected client's player alive until the grace period runs out
+     */
+    detachSession(session) {
+        const { clientId, instance } = session;
+        session.ws = null;
 
-        // Exit any vehicle
-        const vehicleId = this.vehicleManager.getVehicleByDriver(clientId);
+        // Stop acting on the last inputs received
+        instance.playerManager.clearPlayerInput(clientId);
+        const vehicleId = instance.vehicleManager.getVehicleByDriver(clientId);
         if (vehicleId) {
-            this.vehicleManager.exitVehicle(vehicleId, clientId);
+            instance.vehicleManager.clearVehicleInput(vehicleId);
         }
 
-        // Cleanup
-        this.clients.delete(ws);
-        this.clientsById.delete(clientId);
-        this.chunkRequestQueue.delete(clientId);
+        session.expiryTimer = setTimeout(() => {
+            this.expireSession(session.token);
+        }, CONFIG.network.sessionGracePeriod);
 
-        // Notify other clients
-        this.broadcast({
-            type: CONFIG.messageTypes.ENTITY_DESTROY,
-            entityId: `player_${clientId}`
-        }, ws);
+        console.log(`[Server] Holding session for ${clientId} (${CONFIG.network.sessionGracePeriod / 1000}s)`);
+    }
+
+    /**
+     * Grace period over: remove the player for good
+     */
+    expireSession(token) {
+        const session = this.sessions.get(token);
+        if (!session || session.ws) return;
+
+        const { instance } = session;
+        instance.record({ e: 'x', s: instance.stepNumber, cid: session.clientId });
+
+        this.sessions.delete(token);
+        instance.removePlayer(session.clientId);
+        console.log(`[Server] Session expired: ${session.clientId}`);
+    }
+
+    /**
+     * Reattach a connection to a held (or still open) session
+     */
+    resumeSession(ws, clientData, session) {
+        const MT = CONFIG.messageTypes;
+        const { instance } = session;
+
+        // A client that reconnects before we noticed the old socket die takes over from it
+        if (session.ws && session.ws !== ws) {
+            const oldWs = session.ws;
+            this.handleDisconnect(oldWs);
+            oldWs.terminate();
+        }
+
+        if (session.expiryTimer) {
+            clearTimeout(session.expiryTimer);
+            session.expiryTimer = null;
+        }
+
+        // Drop the session and ID minted for this connection in favour of the resumed ones
+        this.sessions.delete(clientData.sessionToken);
+        this.clientsById.delete(clientData.clientId);
+
+        const clientId = session.clientId;
+        const player = instance.playerManager.getPlayer(clientId);
+
+        clientData.clientId = clientId;
+        clientData.sessionToken = session.token;
+        clientData.username = player.username;
+        clientData.state = 'playing';
+        session.ws = ws;
+        this.clientsById.set(clientId, ws);
+        instance.addClient(ws, clientData);
+
+        // Position of the player, or of the vehicle they are still sitting in
+        const entityId = `player_${clientId}`;
+        const vehicleId = player.vehicleId;
+        const state = vehicleId ? instance.vehicleManager.getVehicleState(vehicleId) : instance.playerManager.getPlayerState(clientId);
+
+        this.send(ws, {
+            type: MT.SESSION_RESUMED,
+            clientId,
+            sessionToken: session.token,
+            entityId,
+            vehicleId
+        });
+
+        this.sendInstanceJoined(ws, instance);
+
+        this.send(ws, {
+            type: MT.ENTITY_SPAWN,
+            entityId,
+            entityType: CONFIG.entityTypes.PLAYER,
+            position: state ? state.position : null,
+            appearance: player.appearance,
+            isLocal: true
+        });
+
+        if (vehicleId) {
+            this.send(ws, {
+                type: MT.VEHICLE_ENTER,
+                vehicleId,
+                playerId: clientId
+            });
+        }
+
+        instance.interestManager.markVisible(clientId, entityId);
+        instance.sendInventory(clientId);
+
+        console.log(`[Server] Player ${clientData.username} resumed session ${clientId} in ${instance.id}${vehicleId ? ` (${vehicleId})` : ''} [${clientData.snapshotFormat} snapshots]`);
+    }
+
+    /**
+     * Take over a player or vehicle from a neighbouring shard
+     * A player arrives with its session held, ready for the client to resume once redirected here
+     * @returns {boolean} False if the handoff is refused (world full, or a duplicate)
+     */
+    adoptHandoff(instance, handoff) {
+        if (handoff.kind === 'vehicle') {
+            if (instance.vehicleManager.vehicles.has(handoff.vehicle.entityId)) return false;
+
+            instance.record({ e: 'h', s: instance.stepNumber, h: handoff });
+            instance.adoptVehicle(handoff.vehicle);
+            return true;
+        }
+
+        if (!handoff.sessionToken || instance.isFull() || instance.playerManager.hasPlayer(handoff.clientId) ||
+            this.sessions.has(handoff.sessionToken)) {
+            return false;
+        }
+
+        instance.record({ e: 'h', s: instance.stepNumber, h: handoff });
+
+        this.createSession(handoff.clientId, null, handoff.sessionToken);
+        const session = this.sessions.get(handoff.sessionToken);
+        session.instance = instance;
+
+        instance.adoptPlayer(handoff);
+        this.detachSession(session);
+
+        console.log(`[Server] Adopted ${handoff.username} (${handoff.clientId}) from shard ${handoff.from}`);
+        return true;
+    }
+
+    /**
+     * Hand a player over to another shard: tell its client where to reconnect and drop it here
+     * @param {string} url - The new shard's address (sent as SHARD_REDIRECT)
+     */
+    releasePlayer(instance, clientId, url = null) {
+        const ws = this.clientsById.get(clientId);
+        if (ws) {
+            const clientData = this.clients.get(ws);
+            this.send(ws, {
+                type: CONFIG.messageTypes.SHARD_REDIRECT,
+                url
+            });
+
+            // Detach before closing so the close isn't treated as a disconnect
+            this.clients.delete(ws);
+            this.clientsById.delete(clientId);
+            instance.removeClient(ws);
+            this.sessions.delete(clientData.sessionToken);
+            ws.close(1000, 'Moved to another shard');
+        }
+
+        const session = this.getSessionByClientId(clientId);
+        if (session) {
+            clearTimeout(session.expiryTimer);
+            this.sessions.delete(session.token);
+        }
+
+        instance.releasePlayer(clientId);
     }
 
     /**
@@ -175,47 +519,182 @@ class PhysicsServer {
 
         this.messageHandlers.set(MT.HANDSHAKE, this.handleHandshake.bind(this));
         this.messageHandlers.set(MT.PING, this.handlePing.bind(this));
+        this.messageHandlers.set(MT.PONG_ACK, this.handlePongAck.bind(this));
+        this.messageHandlers.set(MT.SNAPSHOT_ACK, this.handleSnapshotAck.bind(this));
         this.messageHandlers.set(MT.PLAYER_INPUT, this.handlePlayerInput.bind(this));
         this.messageHandlers.set(MT.VEHICLE_INPUT, this.handleVehicleInput.bind(this));
         this.messageHandlers.set(MT.VEHICLE_ENTER, this.handleVehicleEnter.bind(this));
         this.messageHandlers.set(MT.VEHICLE_EXIT, this.handleVehicleExit.bind(this));
         this.messageHandlers.set(MT.CHUNK_REQUEST, this.handleChunkRequest.bind(this));
         this.messageHandlers.set(MT.CHAT_MESSAGE, this.handleChatMessage.bind(this));
+        this.messageHandlers.set(MT.SPECTATOR_CAMERA, this.handleSpectatorCamera.bind(this));
+        this.messageHandlers.set(MT.FIRE, this.handleFire.bind(this));
+        this.messageHandlers.set(MT.ITEM_DROP, this.handleItemDrop.bind(this));
     }
 
     /**
      * Handle incoming message
+     * Messages are rate limited and validated against their schema before reaching a handler
      */
     handleMessage(ws, message) {
-        const handler = this.messageHandlers.get(message.type);
-        if (handler) {
-            handler(ws, message);
-        } else {
-            console.warn(`[Server] Unknown message type: ${message.type}`);
+        const clientData = this.clients.get(ws);
+        if (!clientData || clientData.guard.kicked) return;
+
+        const type = message && message.type;
+        const handler = this.messageHandlers.get(type);
+        if (!handler) {
+            this.reportViolation(ws, 'unknownType', `unknown message type: ${type}`);
+            return;
+        }
+
+        // Nothing but the handshake until the client is in a world
+        if (!clientData.instance && !LOBBY_MESSAGES.has(type)) {
+            return;
+        }
+
+        const { guard } = clientData;
+        const tickRate = clientData.instance ? clientData.instance.tickRate : CONFIG.network.tickRate;
+        if (!guard.consumeRate(type, Date.now(), tickRate)) {
+            this.reportViolation(ws, 'rateLimited', `rate limit exceeded for ${type}`);
+            return;
+        }
+
+        // While throttled only connection upkeep gets through
+        if (guard.isThrottled() && type !== CONFIG.messageTypes.PING && type !== CONFIG.messageTypes.PONG_ACK &&
+            type !== CONFIG.messageTypes.SNAPSHOT_ACK) {
+            return;
+        }
+
+        const result = this.messageValidator.validate(message);
+        if (!result.valid) {
+            this.reportViolation(ws, 'malformed', `invalid ${type}: ${result.error}`);
+            return;
+        }
+
+        if (result.clamped.length > 0) {
+            this.reportViolation(ws, 'clamped', `${type} out of range: ${result.clamped.join(', ')}`);
+            if (guard.kicked) return;
+        }
+
+        // Joins are recorded by the handshake, with the instance they went to
+        const { instance } = clientData;
+        if (instance) {
+            instance.record({ e: 'm', s: instance.stepNumber, id: clientData.connectionId, m: result.message });
+        }
+
+        handler(ws, result.message);
+    }
+
+    /**
+     * Score a protocol violation, throttling or kicking the client as it accumulates
+     * @param {string} kind - Key into CONFIG.security.violationWeights
+     */
+    reportViolation(ws, kind, detail) {
+        const clientData = this.clients.get(ws);
+        if (!clientData || clientData.guard.kicked) return;
+
+        const { guard, clientId } = clientData;
+        const action = guard.addViolation(CONFIG.security.violationWeights[kind]);
+
+        switch (action) {
+            case 'kick':
+                console.warn(`[Server] Kicking ${clientId} (score ${guard.score.toFixed(0)}): ${detail}`);
+                this.kickClient(ws, 'Too many invalid messages');
+                break;
+            case 'throttle':
+                console.warn(`[Server] Throttling ${clientId} for ${CONFIG.security.throttleDuration} ms (score ${guard.score.toFixed(0)}): ${detail}`);
+                break;
+            case 'warn':
+                console.warn(`[Server] Violation by ${clientId} (score ${guard.score.toFixed(0)}): ${detail}`);
+                break;
         }
     }
 
     /**
-     * Handle handshake (player spawn)
+     * Kick a player by client ID, whether connected or held for a session resume
+     * @returns {boolean} True if the player was found
+     */
+    kickPlayer(clientId, reason) {
+        const ws = this.clientsById.get(clientId);
+        if (ws) {
+            this.kickClient(ws, reason);
+            return true;
+        }
+
+        for (const session of this.sessions.values()) {
+            if (session.clientId === clientId && !session.ws) {
+                clearTimeout(session.expiryTimer);
+                this.sessions.delete(session.token);
+                session.instance.removePlayer(clientId);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Disconnect a client with a reason; its player is removed without a resume grace period
+     */
+    kickClient(ws, reason) {
+        const clientData = this.clients.get(ws);
+        if (clientData) {
+            clientData.guard.kicked = true;
+        }
+
+        this.send(ws, {
+            type: CONFIG.messageTypes.DISCONNECT,
+            reason
+        });
+        ws.close(4000, reason);
+    }
+
+    /**
+     * Handle handshake (join a world instance and spawn, or resume a session)
      */
     handleHandshake(ws, message) {
         const clientData = this.clients.get(ws);
-        if (!clientData) return;
+        if (!clientData || clientData.instance) return;
+
+        // Negotiate snapshot encoding (JSON unless the client asks for a format we offer)
+        const supportedFormats = CONFIG.network.snapshotFormats;
+        clientData.snapshotFormat = supportedFormats.includes(message.snapshotFormat) ? message.snapshotFormat : 'json';
+        clientData.snapshotEncoder = clientData.snapshotFormat === 'binary' ? new SnapshotEncoder() : null;
+
+        // Reclaim a previous player if the client presents a live session token (in whichever world it is in)
+        const session = message.sessionToken ? this.sessions.get(message.sessionToken) : null;
+        if (session && session.token !== clientData.sessionToken && session.instance && session.instance.playerManager.hasPlayer(session.clientId)) {
+            this.recordJoin(session.instance, clientData, message);
+            this.resumeSession(ws, clientData, session);
+            return;
+        }
+
+        const instanceId = message.instance || this.defaultInstanceId;
+        const instance = this.instances.get(instanceId);
+        if (!instance) {
+            this.kickClient(ws, `Unknown world: ${instanceId}`);
+            return;
+        }
+        if (message.role === 'spectator') {
+            this.joinAsSpectator(ws, clientData, instance, message);
+            return;
+        }
+        if (instance.isFull()) {
+            this.kickClient(ws, `${instance.name} is full`);
+            return;
+        }
+
+        this.recordJoin(instance, clientData, message);
 
         const { username, appearance } = message;
-        clientData.username = username || 'Player';
+        clientData.username = ChatManager.sanitizeText(username || '') || 'Player';
         clientData.state = 'playing';
 
-        // Find spawn point
-        const spawnPoint = this.terrainManager.findSpawnPoint();
+        instance.addClient(ws, clientData);
+        this.sessions.get(clientData.sessionToken).instance = instance;
+        this.sendInstanceJoined(ws, instance);
 
-        // Spawn player
-        this.playerManager.spawnPlayer(
-            clientData.clientId,
-            spawnPoint,
-            clientData.username,
-            appearance || {}
-        );
+        const spawnPoint = instance.spawnPlayer(clientData, appearance);
 
         // Send spawn confirmation
         this.send(ws, {
@@ -225,42 +704,72 @@ class PhysicsServer {
             position: spawnPoint,
             isLocal: true
         });
+        instance.sendInventory(clientData.clientId);
 
-        // Notify other clients of new player
-        this.broadcast({
-            type: CONFIG.messageTypes.ENTITY_SPAWN,
-            entityId: `player_${clientData.clientId}`,
-            entityType: CONFIG.entityTypes.PLAYER,
-            position: spawnPoint,
-            username: clientData.username,
-            appearance: appearance || {},
-            isLocal: false
-        }, ws);
-
-        // Send existing players to new client
-        for (const [otherWs, otherData] of this.clients) {
-            if (otherWs !== ws && otherData.state === 'playing') {
-                const playerState = this.playerManager.getPlayerState(otherData.clientId);
-                if (playerState) {
-                    this.send(ws, {
-                        type: CONFIG.messageTypes.ENTITY_SPAWN,
-                        ...playerState,
-                        isLocal: false
-                    });
-                }
-            }
-        }
+        instance.chat.playerJoined(clientData.clientId);
+        instance.runPlugins('onPlayerJoin', clientData.clientId);
 
-        // Send existing vehicles to new client
-        for (const vehicleState of this.vehicleManager.getAllVehicleStates()) {
-            this.send(ws, {
-                type: CONFIG.messageTypes.ENTITY_SPAWN,
-                ...vehicleState,
-                entityType: CONFIG.entityTypes.VEHICLE
-            });
+        console.log(`[Server] Player ${clientData.username} joined ${instance.id} at (${spawnPoint.x.toFixed(1)}, ${spawnPoint.y.toFixed(1)}, ${spawnPoint.z.toFixed(1)}) [${clientData.snapshotFormat} snapshots]`);
+    }
+
+    /**
+     * Join an instance as a spectator: no player body, just a camera the client moves
+     */
+    joinAsSpectator(ws, clientData, instance, message) {
+        if (!CONFIG.spectators.enabled) {
+            this.kickClient(ws, 'Spectating is disabled');
+            return;
+        }
+        if (instance.getSpectatorCount() >= CONFIG.spectators.maxPerInstance) {
+            this.kickClient(ws, `${instance.name} has no room for more spectators`);
+            return;
         }
 
-        console.log(`[Server] Player ${clientData.username} spawned at (${spawnPoint.x.toFixed(1)}, ${spawnPoint.y.toFixed(1)}, ${spawnPoint.z.toFixed(1)})`);
+        this.recordJoin(instance, clientData, message);
+
+        clientData.username = ChatManager.sanitizeText(message.username || '') || 'Spectator';
+        instance.addClient(ws, clientData);
+        this.sessions.get(clientData.sessionToken).instance = instance;
+        this.sendInstanceJoined(ws, instance);
+
+        const position = instance.addSpectator(clientData);
+
+        this.send(ws, {
+            type: CONFIG.messageTypes.SPECTATOR_CAMERA,
+            position,
+            follow: null
+        });
+
+        console.log(`[Server] Spectator ${clientData.username} joined ${instance.id}`);
+    }
+
+    /**
+     * Record a client joining an instance (the connection identity plus its handshake, for replay)
+     */
+    recordJoin(instance, clientData, message) {
+        instance.record({
+            e: 'c',
+            s: instance.stepNumber,
+            id: clientData.connectionId,
+            cid: clientData.clientId,
+            tok: clientData.sessionToken,
+            m: message
+        });
+    }
+
+    /**
+     * Tell a client which world it is in (terrain seed and tick rate are per instance)
+     */
+    sendInstanceJoined(ws, instance) {
+        this.send(ws, {
+            type: CONFIG.messageTypes.INSTANCE_JOINED,
+            instance: {
+                id: instance.id,
+                name: instance.name,
+                seed: instance.seed
+            },
+            tickRate: instance.tickRate
+        });
     }
 
     /**
@@ -272,10 +781,62 @@ class PhysicsServer {
 
         clientData.lastPing = Date.now();
 
+        // The client echoes the nonce straight back (PONG_ACK), so we time the round trip ourselves
+        clientData.pongNonce++;
+        clientData.pongSentAt = Date.now();
+
         this.send(ws, {
             type: CONFIG.messageTypes.PONG,
             clientTime: message.clientTime,
-            serverTime: Date.now()
+            serverTime: clientData.pongSentAt,
+            nonce: clientData.pongNonce
+        });
+    }
+
+    /**
+     * Handle the echo of our last PONG: half the round trip is the latency hit checks are rewound by
+     * (measured here, so a client can't claim whatever latency suits it)
+     */
+    handlePongAck(ws, message) {
+        const clientData = this.clients.get(ws);
+        if (!clientData || message.nonce !== clientData.pongNonce || clientData.pongSentAt === null) return;
+
+        const roundTrip = Date.now() - clientData.pongSentAt;
+        clientData.pongSentAt = null;
+        clientData.latency = Math.min(roundTrip / 2, CONFIG.lagCompensation.maxRewind);
+    }
+
+    /**
+     * Handle binary snapshot acknowledgment
+     */
+    handleSnapshotAck(ws, message) {
+        const clientData = this.clients.get(ws);
+        if (!clientData || !clientData.snapshotEncoder) return;
+
+        clientData.snapshotEncoder.acknowledge(message.tick);
+    }
+
+    /**
+     * Get the server time a client is currently seeing
+     * (its latency plus the interpolation delay behind now, capped at maxRewind)
+     */
+    getClientViewTime(clientData) {
+        const now = Date.now();
+        const rewind = clientData.latency + CONFIG.network.interpolationDelay;
+        return now - Math.min(rewind, CONFIG.lagCompensation.maxRewind);
+    }
+
+    /**
+     * Lag-compensated raycast from a client's point of view (ignores the client's own player)
+     */
+    raycastForClient(clientId, origin, direction, maxDistance, filterMask) {
+        const ws = this.clientsById.get(clientId);
+        const clientData = ws ? this.clients.get(ws) : null;
+        if (!clientData || !clientData.instance) return { hit: false };
+
+        return clientData.instance.physicsWorld.raycastAtTime(origin, direction, maxDistance, this.getClientViewTime(clientData), {
+            filterMask,
+            excludeEntityId: `player_${clientId}`
         });
     }
 
@@ -286,7 +847,13 @@ class PhysicsServer {
         const clientData = this.clients.get(ws);
         if (!clientData || clientData.state !== 'playing') return;
 
-        this.playerManager.setPlayerInput(clientData.clientId, message.input);
+        // Drop replayed, reordered or implausibly far-ahead inputs
+        if (!clientData.guard.acceptSequence(message.input.seq)) {
+            this.reportViolation(ws, 'sequence', `bad input sequence ${message.input.seq} (last ${clientData.guard.lastInputSeq})`);
+            return;
+        }
+
+        clientData.instance.playerManager.setPlayerInput(clientData.clientId, message.input);
 
         // Acknowledge input
         this.send(ws, {
@@ -300,11 +867,12 @@ class PhysicsServer {
      */
     handleVehicleInput(ws, message) {
         const clientData = this.clients.get(ws);
-        if (!clientData) return;
+        if (!clientData || !clientData.instance) return;
 
-        const vehicleId = this.vehicleManager.getVehicleByDriver(clientData.clientId);
+        const { vehicleManager } = clientData.instance;
+        const vehicleId = vehicleManager.getVehicleByDriver(clientData.clientId);
         if (vehicleId) {
-            this.vehicleManager.setVehicleInput(vehicleId, message.input);
+            vehicleManager.setVehicleInput(vehicleId, message.input);
         }
     }
 
@@ -313,26 +881,9 @@ class PhysicsServer {
      */
     handleVehicleEnter(ws, message) {
         const clientData = this.clients.get(ws);
-        if (!clientData) return;
+        if (!clientData || !clientData.instance) return;
 
-        const playerState = this.playerManager.getPlayerState(clientData.clientId);
-        if (!playerState || playerState.inVehicle) return;
-
-        // Find nearest vehicle
-        const nearest = this.vehicleManager.findNearestVehicle(playerState.position, 5);
-        if (nearest && !nearest.occupied) {
-            // Enter vehicle
-            if (this.vehicleManager.enterVehicle(nearest.entityId, clientData.clientId)) {
-                this.playerManager.playerEnterVehicle(clientData.clientId, nearest.entityId);
-
-                // Notify all clients
-                this.broadcast({
-                    type: CONFIG.messageTypes.VEHICLE_ENTER,
-                    vehicleId: nearest.entityId,
-                    playerId: clientData.clientId
-                });
-            }
-        }
+        clientData.instance.enterNearestVehicle(clientData.clientId);
     }
 
     /**
@@ -340,34 +891,9 @@ class PhysicsServer {
      */
     handleVehicleExit(ws, message) {
         const clientData = this.clients.get(ws);
-        if (!clientData) return;
-
-        const vehicleId = this.vehicleManager.getVehicleByDriver(clientData.clientId);
-        if (!vehicleId) return;
-
-        const vehicleState = this.vehicleManager.getVehicleState(vehicleId);
-        if (!vehicleState) return;
-
-        // Calculate exit position (beside vehicle)
-        const exitOffset = 3;
-        const exitPosition = {
-            x: vehicleState.position.x + exitOffset,
-            y: vehicleState.position.y,
-            z: vehicleState.position.z
-        };
-
-        // Exit vehicle
-        if (this.vehicleManager.exitVehicle(vehicleId, clientData.clientId)) {
-            this.playerManager.playerExitVehicle(clientData.clientId, exitPosition);
+        if (!clientData || !clientData.instance) return;
 
-            // Notify all clients
-            this.broadcast({
-                type: CONFIG.messageTypes.VEHICLE_EXIT,
-                vehicleId: vehicleId,
-                playerId: clientData.clientId,
-                exitPosition
-            });
-        }
+        clientData.instance.exitPlayerFromVehicle(clientData.clientId);
     }
 
     /**
@@ -380,186 +906,86 @@ class PhysicsServer {
         const { chunkX, chunkZ } = message;
         const key = `${chunkX},${chunkZ}`;
 
-        // Queue chunk request
-        if (!clientData.chunkRequests.has(key)) {
+        // Queue chunk request (the streamer decides when it is sent)
+        if (clientData.chunkRequests.size < CONFIG.network.chunkStreaming.maxPendingRequests) {
             clientData.chunkRequests.add(key);
         }
     }
 
     /**
-     * Handle chat message
+     * Handle a player firing their weapon (or their vehicle's)
      */
-    handleChatMessage(ws, message) {
+    handleFire(ws, message) {
         const clientData = this.clients.get(ws);
-        if (!clientData) return;
+        if (!clientData || clientData.state !== 'playing') return;
 
-        // Broadcast chat message
-        this.broadcast({
-            type: CONFIG.messageTypes.CHAT_MESSAGE,
-            clientId: clientData.clientId,
-            username: clientData.username,
-            message: message.message,
-            timestamp: Date.now()
-        });
+        clientData.instance.fireWeapon(clientData.clientId, message.direction);
     }
 
     /**
-     * Start the game loop
+     * Handle a player dropping items from their inventory
      */
-    startGameLoop() {
-        const tickMs = 1000 / CONFIG.network.tickRate;
-        this.lastTickTime = Date.now();
+    handleItemDrop(ws, message) {
+        const clientData = this.clients.get(ws);
+        if (!clientData || clientData.state !== 'playing') return;
 
-        this.tickInterval = setInterval(() => {
-            this.tick();
-        }, tickMs);
+        clientData.instance.dropItem(clientData.clientId, message.itemId, message.quantity);
     }
 
     /**
-     * Main game tick
+     * Handle a spectator moving its camera or choosing what to follow
      */
-    tick() {
-        const now = Date.now();
-        const deltaTime = (now - this.lastTickTime) / 1000;
-        this.lastTickTime = now;
-        this.tickNumber++;
-
-        // Update terrain based on player positions
-        const playerPositions = this.playerManager.getPlayerPositions();
-        this.terrainManager.updateForPlayers(playerPositions);
-
-        // Update player physics
-        this.playerManager.update(deltaTime);
-
-        // Update vehicle physics
-        this.vehicleManager.update(deltaTime);
-
-        // Step physics world
-        this.physicsWorld.step(deltaTime);
-
-        // Process chunk requests
-        this.processChunkRequests();
-
-        // Send world snapshot
-        this.sendWorldSnapshot();
+    handleSpectatorCamera(ws, message) {
+        const clientData = this.clients.get(ws);
+        if (!clientData || clientData.state !== 'spectating') return;
 
-        // Periodic status
-        if (this.tickNumber % (CONFIG.network.tickRate * 30) === 0) {
-            this.logStatus();
-        }
+        clientData.instance.moveSpectator(clientData, message.position, message.follow);
     }
 
     /**
-     * Process pending chunk requests
+     * Handle chat message
      */
-    processChunkRequests() {
-        const maxChunksPerTick = 2;
-
-        for (const [ws, clientData] of this.clients) {
-            let sent = 0;
-            for (const key of clientData.chunkRequests) {
-                if (sent >= maxChunksPerTick) break;
-
-                const [chunkX, chunkZ] = key.split(',').map(Number);
-                const chunkData = this.terrainManager.getChunkDataForClient(chunkX, chunkZ);
-
-                this.send(ws, {
-                    type: CONFIG.messageTypes.CHUNK_DATA,
-                    ...chunkData
-                });
+    handleChatMessage(ws, message) {
+        const clientData = this.clients.get(ws);
+        if (!clientData || clientData.state !== 'playing') return;
 
-                clientData.chunkRequests.delete(key);
-                sent++;
-            }
-        }
+        clientData.instance.chat.handleMessage(clientData.clientId, message.message);
     }
 
     /**
-     * Send world snapshot to all clients
+     * Send message to client
      */
-    sendWorldSnapshot() {
-        const playerStates = this.playerManager.getAllPlayerStates();
-        const vehicleStates = this.vehicleManager.getAllVehicleStates();
-
-        const snapshot = {
-            type: CONFIG.messageTypes.WORLD_SNAPSHOT,
-            tick: this.tickNumber,
-            serverTime: Date.now(),
-            players: playerStates,
-            vehicles: vehicleStates
-        };
-
-        // Send to each client with their specific lastInputSeq
-        for (const [ws, clientData] of this.clients) {
-            if (clientData.state !== 'playing') continue;
-
-            // Find this client's player state
-            const myPlayerState = playerStates.find(p => p.clientId === clientData.clientId);
-
-            this.send(ws, {
-                ...snapshot,
-                yourLastInputSeq: myPlayerState?.lastInputSeq || 0
-            });
+    send(ws, message) {
+        if (ws.readyState === WebSocket.OPEN) {
+            const data = JSON.stringify(message);
+            ws.send(data);
+            this.metrics.recordOutbound(message.type, Buffer.byteLength(data));
         }
     }
 
     /**
-     * Spawn initial vehicles around spawn areas
-     */
-    spawnInitialVehicles() {
-        // Wait a bit for terrain to initialize, then spawn vehicles
-        setTimeout(() => {
-            const vehicleTypes = ['car', 'car', 'truck', 'motorcycle', 'hovercraft', 'helicopter', 'tank'];
-
-            // Spawn some vehicles at spawn point
-            const spawnPoint = this.terrainManager.findSpawnPoint();
-
-            for (let i = 0; i < vehicleTypes.length; i++) {
-                const type = vehicleTypes[i];
-                const angle = (i / vehicleTypes.length) * Math.PI * 2;
-                const radius = 20 + i * 10;
-
-                const x = spawnPoint.x + Math.cos(angle) * radius;
-                const z = spawnPoint.z + Math.sin(angle) * radius;
-                const y = this.terrainManager.getHeightAt(x, z) + 2;
-
-                this.vehicleManager.spawnVehicle(type, { x, y, z }, angle);
-            }
-
-            console.log(`[Server] Spawned ${vehicleTypes.length} initial vehicles`);
-        }, 1000);
-    }
-
-    /**
-     * Log server status
+     * Send binary data to client (recorded in metrics under the given message type)
      */
-    logStatus() {
-        const playerCount = this.playerManager.getPlayerCount();
-        const vehicleCount = this.vehicleManager.vehicles.size;
-        const chunkCount = this.terrainManager.loadedChunks.size;
-
-        console.log(`[Server] Status - Players: ${playerCount}, Vehicles: ${vehicleCount}, Chunks: ${chunkCount}, Tick: ${this.tickNumber}`);
-    }
-
-    /**
-     * Send message to client
-     */
-    send(ws, message) {
+    sendBinary(ws, data, type = CONFIG.messageTypes.WORLD_SNAPSHOT) {
         if (ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(message));
+            ws.send(data, { binary: true });
+            this.metrics.recordOutbound(type, data.length);
         }
     }
 
     /**
-     * Broadcast message to all clients (optionally excluding one)
+     * Broadcast message to all clients in every instance (optionally excluding one)
      */
     broadcast(message, excludeWs = null) {
         const data = JSON.stringify(message);
+        let recipients = 0;
         for (const [ws] of this.clients) {
             if (ws !== excludeWs && ws.readyState === WebSocket.OPEN) {
                 ws.send(data);
+                recipients++;
             }
         }
+        this.metrics.recordOutbound(message.type, Buffer.byteLength(data), recipients);
     }
 
     /**
@@ -573,28 +999,57 @@ class PhysicsServer {
      * Stop the server
      */
     stop() {
-        if (this.tickInterval) {
-            clearInterval(this.tickInterval);
-            this.tickInterval = null;
+        for (const session of this.sessions.values()) {
+            clearTimeout(session.expiryTimer);
         }
+        this.sessions.clear();
+
+        if (this.shardManager) {
+            this.shardManager.stop();
+            this.shardManager = null;
+        }
+
+        for (const instance of this.instances.values()) {
+            instance.stop();
+        }
+
+        if (this.adminConsole) {
+            this.adminConsole.stop();
+            this.adminConsole = null;
+        }
+
+        this.metrics.stop();
 
         if (this.wss) {
             this.wss.close();
             this.wss = null;
         }
 
-        if (this.physicsWorld) {
-            this.physicsWorld.destroy();
-            this.physicsWorld = null;
-        }
-
         console.log('[Server] Physics server stopped');
     }
 }
 
 // Start server if run directly
 if (require.main === module) {
+    const args = process.argv.slice(2);
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log('Usage: node physics-server.js [--config <file.json|file.yaml>] [--port <n>] [--seed <n>] [--tick-rate <n>]');
+        console.log('                              [--shard <id>] [--metrics-port <n>] [--set <path>=<value> ...]');
+        console.log('Environment: CYBERIA_CONFIG, ' + ConfigLoader.SHORTCUTS.map(entry => entry.env).join(', '));
+        process.exit(0);
+    }
+
+    const loader = new ConfigLoader();
+    try {
+        loader.load(args, process.env);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+    console.log(`[Server] Settings: ${loader.describe()}`);
+
     const server = new PhysicsServer();
+    server.configOverrides = loader.publicOverrides();
     server.start().catch(console.error);
 
     // Handle shutdown
@@ -3,6 +3,7 @@
  * Manages the authoritative physics simulation
  */
 
+const crypto = require('crypto');
 const RAPIER = require('@dimforge/rapier3d-compat');
 const CONFIG = require('../shared/config.js');
 
@@ -14,22 +15,33 @@ class PhysicsWorld {
         // Entity tracking
         this.bodies = new Map();         // entityId -> rigidBody
         this.colliders = new Map();      // entityId -> collider[]
+        this.colliderEntities = new Map(); // collider handle -> entityId
         this.entityData = new Map();     // entityId -> { type, ownerId, ... }
 
         // Terrain chunks
         this.terrainChunks = new Map();  // "chunkX,chunkZ" -> { collider, heightmap }
 
-        // Event queues
+        // Transform history for lag compensation (ring buffer of per-tick frames; a network tick
+        // comes at most once per physics step, so this holds at least historyDuration of them)
+        this.historySize = Math.ceil(CONFIG.lagCompensation.historyDuration / 1000 / CONFIG.physics.timestep);
+        this.transformHistory = new Array(this.historySize);
+        this.historyHead = 0;            // Index of the next frame to write
+        this.historyCount = 0;
+
+        // Collisions that started or stopped in the last step: { entityA, entityB, started, impactSpeed }
         this.collisionEvents = [];
-        this.contactEvents = [];
+        // Entities that entered or left a sensor in the last step: { sensorId, entityId, started }
+        this.sensorEvents = [];
+        this.sensorContacts = new Map(); // Player/vehicle entityId -> Set of sensor entityIds its centre is inside
         this.eventQueue = null;
+        this.preStepVelocities = new Map(); // entityId -> linear velocity before the last step
 
         // Physics groups
         this.COLLISION_GROUPS = {
             TERRAIN: 0x0001,
             PLAYER: 0x0002,
             VEHICLE: 0x0004,
-            BUILDING: 0x0008,
+            BUILDING: 0x0008, // Buildings and their debris
             PROJECTILE: 0x0010,
             ITEM: 0x0020,
             SENSOR: 0x0040
@@ -43,7 +55,7 @@ class PhysicsWorld {
             BUILDING: 0x001F, // Everything except sensors
             PROJECTILE: 0x001F,
             ITEM: 0x0001,     // Just terrain
-            SENSOR: 0x0000    // No physical collisions
+            SENSOR: 0x0006    // No physical collisions (players and vehicles are found by point queries, see updateSensorContacts)
         };
     }
 
@@ -65,26 +77,99 @@ class PhysicsWorld {
     }
 
     /**
-     * Step the physics simulation
+     * Step the physics simulation by a fixed timestep
      */
     step(deltaTime) {
         if (!this.initialized) return;
 
         // Clear event queues
         this.collisionEvents = [];
-        this.contactEvents = [];
+        this.sensorEvents = [];
+
+        // Impacts are measured with the velocities bodies had going into the step
+        this.preStepVelocities.clear();
+        for (const [entityId, body] of this.bodies) {
+            const vel = body.linvel();
+            this.preStepVelocities.set(entityId, { x: vel.x, y: vel.y, z: vel.z });
+        }
 
         // Step physics
+        this.world.timestep = deltaTime;
         this.world.step(this.eventQueue);
 
-        // Collect contact events through the Rapier event queue
-        this.eventQueue.drainContactEvents((handle1, handle2, started) => {
-            this.contactEvents.push({
-                handle1,
-                handle2,
-                started
+        // Collect collision events through the Rapier event queue, resolved to entities (null = terrain)
+        this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+            const entityA = this.getEntityIdByCollider(handle1);
+            const entityB = this.getEntityIdByCollider(handle2);
+
+            this.collisionEvents.push({
+                entityA,
+                entityB,
+                started,
+                impactSpeed: started ? this.getClosingSpeed(entityA, entityB) : 0
             });
         });
+
+        this.updateSensorContacts();
+    }
+
+    /**
+     * Whole fixed steps nearest to a duration, for timers that must replay exactly (wall time would not)
+     */
+    msToSteps(ms) {
+        return Math.round(ms / 1000 / CONFIG.physics.timestep);
+    }
+
+    /**
+     * Work out which sensors each player and vehicle is in, and record who entered and left them.
+     * An entity is inside a sensor when its centre is: a point query is exact, where Rapier's sensor
+     * intersection events flicker for capsules and boxes deep inside boxes and cylinders.
+     */
+    updateSensorContacts() {
+        const G = this.COLLISION_GROUPS;
+        const groups = this.makeCollisionGroups(G.PLAYER | G.VEHICLE, G.SENSOR);
+        const previousContacts = this.sensorContacts;
+        this.sensorContacts = new Map();
+
+        for (const [entityId, body] of this.bodies) {
+            const type = this.entityData.get(entityId)?.type;
+            if (type !== CONFIG.entityTypes.PLAYER && type !== CONFIG.entityTypes.VEHICLE) continue;
+            if (!body.isEnabled()) continue; // Players riding in vehicles
+
+            const inside = new Set();
+            this.world.intersectionsWithPoint(body.translation(), (collider) => {
+                const sensorId = this.getEntityIdByCollider(collider.handle);
+                if (sensorId) inside.add(sensorId);
+                return true;
+            }, undefined, groups);
+
+            if (inside.size > 0) this.sensorContacts.set(entityId, inside);
+        }
+
+        for (const [entityId, inside] of this.sensorContacts) {
+            const before = previousContacts.get(entityId);
+            for (const sensorId of inside) {
+                if (!before || !before.has(sensorId)) this.sensorEvents.push({ sensorId, entityId, started: true });
+            }
+        }
+
+        // Left a sensor, or left the world (or the sensor was removed) while inside one
+        for (const [entityId, before] of previousContacts) {
+            const inside = this.sensorContacts.get(entityId);
+            for (const sensorId of before) {
+                if (!inside || !inside.has(sensorId)) this.sensorEvents.push({ sensorId, entityId, started: false });
+            }
+        }
+    }
+
+    /**
+     * Speed at which two entities were approaching each other before the last step
+     */
+    getClosingSpeed(entityA, entityB) {
+        const zero = { x: 0, y: 0, z: 0 };
+        const a = (entityA && this.preStepVelocities.get(entityA)) || zero;
+        const b = (entityB && this.preStepVelocities.get(entityB)) || zero;
+        return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
     }
 
     /**
@@ -107,13 +192,14 @@ class PhysicsWorld {
             .setMass(config.mass)
             .setFriction(config.friction)
             .setRestitution(config.restitution)
-            .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.PLAYER, this.COLLISION_MASKS.PLAYER));
+            .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.PLAYER, this.COLLISION_MASKS.PLAYER))
+            .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS);
 
         const collider = this.world.createCollider(colliderDesc, body);
 
         // Store references
         this.bodies.set(entityId, body);
-        this.colliders.set(entityId, [collider]);
+        this.setColliders(entityId, [collider]);
         this.entityData.set(entityId, {
             type: CONFIG.entityTypes.PLAYER,
             ownerId: ownerId,
@@ -151,7 +237,8 @@ class PhysicsWorld {
                 .setMass(vehicleConfig.mass)
                 .setFriction(0.5)
                 .setRestitution(0.2)
-                .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.VEHICLE, this.COLLISION_MASKS.VEHICLE));
+                .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.VEHICLE, this.COLLISION_MASKS.VEHICLE))
+                .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS);
 
             colliders.push(this.world.createCollider(colliderDesc, body));
 
@@ -170,7 +257,8 @@ class PhysicsWorld {
                 .setMass(vehicleConfig.chassisMass)
                 .setFriction(vehicleConfig.friction)
                 .setRestitution(0.1)
-                .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.VEHICLE, this.COLLISION_MASKS.VEHICLE));
+                .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.VEHICLE, this.COLLISION_MASKS.VEHICLE))
+                .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS);
 
             colliders.push(this.world.createCollider(colliderDesc, body));
 
@@ -190,7 +278,8 @@ class PhysicsWorld {
                 .setMass(vehicleConfig.mass)
                 .setFriction(vehicleConfig.friction)
                 .setRestitution(0.2)
-                .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.VEHICLE, this.COLLISION_MASKS.VEHICLE));
+                .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.VEHICLE, this.COLLISION_MASKS.VEHICLE))
+                .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS);
 
             colliders.push(this.world.createCollider(colliderDesc, body));
 
@@ -210,14 +299,15 @@ class PhysicsWorld {
                 .setMass(vehicleConfig.chassisMass)
                 .setFriction(0.5)
                 .setRestitution(0.2)
-                .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.VEHICLE, this.COLLISION_MASKS.VEHICLE));
+                .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.VEHICLE, this.COLLISION_MASKS.VEHICLE))
+                .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS);
 
             colliders.push(this.world.createCollider(chassisColliderDesc, body));
         }
 
         // Store references
         this.bodies.set(entityId, body);
-        this.colliders.set(entityId, colliders);
+        this.setColliders(entityId, colliders);
         this.entityData.set(entityId, {
             type: CONFIG.entityTypes.VEHICLE,
             vehicleType: vehicleType,
@@ -260,6 +350,81 @@ class PhysicsWorld {
         }));
     }
 
+    /**
+     * Create a dropped item body (small box that only collides with terrain)
+     */
+    createItemBody(entityId, position, velocity) {
+        const config = CONFIG.items;
+        const half = config.size / 2;
+
+        const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+            .setTranslation(position.x, position.y, position.z)
+            .setLinvel(velocity.x, velocity.y, velocity.z)
+            .setLinearDamping(0.5)
+            .setAngularDamping(0.5)
+            .setCcdEnabled(true); // Small and light enough to tunnel through the heightfield otherwise
+
+        const body = this.world.createRigidBody(bodyDesc);
+
+        const colliderDesc = RAPIER.ColliderDesc.cuboid(half, half, half)
+            .setMass(config.mass)
+            .setFriction(0.8)
+            .setRestitution(0.2)
+            .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.ITEM, this.COLLISION_MASKS.ITEM));
+
+        const collider = this.world.createCollider(colliderDesc, body);
+
+        this.bodies.set(entityId, body);
+        this.setColliders(entityId, [collider]);
+        this.entityData.set(entityId, {
+            type: CONFIG.entityTypes.ITEM
+        });
+
+        return body;
+    }
+
+    /**
+     * Create a sensor: a fixed trigger volume reporting players and vehicles entering and leaving it (sensorEvents)
+     * @param {Object} shape - { type: 'box', halfExtents: { x, y, z } } | { type: 'sphere', radius } | { type: 'cylinder', halfHeight, radius }
+     * @param {Object} position - Centre of the volume
+     * @param {number} rotation - Yaw (radians)
+     * @param {Object} metadata - Kept with the sensor for whoever handles its events
+     */
+    createSensor(entityId, shape, position, rotation = 0, metadata = {}) {
+        let colliderDesc;
+        switch (shape.type) {
+            case 'box':
+                colliderDesc = RAPIER.ColliderDesc.cuboid(shape.halfExtents.x, shape.halfExtents.y, shape.halfExtents.z);
+                break;
+            case 'sphere':
+                colliderDesc = RAPIER.ColliderDesc.ball(shape.radius);
+                break;
+            case 'cylinder':
+                colliderDesc = RAPIER.ColliderDesc.cylinder(shape.halfHeight, shape.radius);
+                break;
+            default:
+                throw new Error(`unknown sensor shape: ${shape.type}`);
+        }
+
+        colliderDesc
+            .setTranslation(position.x, position.y, position.z)
+            .setRotation({ x: 0, y: Math.sin(rotation / 2), z: 0, w: Math.cos(rotation / 2) })
+            .setSensor(true)
+            .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.SENSOR, this.COLLISION_MASKS.SENSOR));
+
+        const collider = this.world.createCollider(colliderDesc);
+        this.setColliders(entityId, [collider]);
+        this.entityData.set(entityId, {
+            type: CONFIG.entityTypes.SENSOR,
+            shape,
+            position,
+            rotation,
+            metadata
+        });
+
+        return collider;
+    }
+
     /**
      * Create terrain chunk collider
      */
@@ -268,14 +433,23 @@ class PhysicsWorld {
         if (this.terrainChunks.has(key)) return;
 
         const chunkSize = CONFIG.world.chunkSize;
-        const scale = { x: chunkSize / resolution, y: 1, z: chunkSize / resolution };
+        const scale = { x: chunkSize, y: 1, z: chunkSize };   // Size of the whole field, not of a cell
         const worldX = chunkX * chunkSize;
         const worldZ = chunkZ * chunkSize;
 
+        // Rapier wants heights column-major (x-major); the heightmap is stored row by row along z
+        const size = resolution + 1;
+        const heights = new Float32Array(heightmap.length);
+        for (let z = 0; z < size; z++) {
+            for (let x = 0; x < size; x++) {
+                heights[x * size + z] = heightmap[z * size + x];
+            }
+        }
+
         // Create heightfield collider
         const heightfieldDesc = RAPIER.ColliderDesc.heightfield(
             resolution, resolution,
-            heightmap,
+            heights,
             scale
         )
             .setTranslation(worldX + chunkSize / 2, 0, worldZ + chunkSize / 2)
@@ -316,19 +490,71 @@ class PhysicsWorld {
             .setRotation({ x: 0, y: Math.sin(rotation / 2), z: 0, w: Math.cos(rotation / 2) })
             .setFriction(CONFIG.physics.building.friction)
             .setRestitution(CONFIG.physics.building.restitution)
-            .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.BUILDING, this.COLLISION_MASKS.BUILDING));
+            .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.BUILDING, this.COLLISION_MASKS.BUILDING))
+            .setActiveEvents(RAPIER.ActiveEvents.COLLISION_EVENTS);
 
         const collider = this.world.createCollider(colliderDesc);
-        this.colliders.set(entityId, [collider]);
+        this.setColliders(entityId, [collider]);
         this.entityData.set(entityId, {
             type: CONFIG.entityTypes.BUILDING,
             position: position,
-            size: size
+            size: size,
+            rotation
         });
 
         return collider;
     }
 
+    /**
+     * Create a piece of building debris (dynamic box colliding like a building)
+     * @param {Object} halfExtents - { x, y, z }
+     * @param {number} rotation - Yaw (radians)
+     */
+    createDebrisBody(entityId, position, halfExtents, rotation, velocity) {
+        const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+            .setTranslation(position.x, position.y, position.z)
+            .setRotation({ x: 0, y: Math.sin(rotation / 2), z: 0, w: Math.cos(rotation / 2) })
+            .setLinvel(velocity.x, velocity.y, velocity.z)
+            .setLinearDamping(0.2)
+            .setAngularDamping(0.5);
+
+        const body = this.world.createRigidBody(bodyDesc);
+
+        const colliderDesc = RAPIER.ColliderDesc.cuboid(halfExtents.x, halfExtents.y, halfExtents.z)
+            .setDensity(CONFIG.buildings.debrisDensity)
+            .setFriction(CONFIG.physics.building.friction)
+            .setRestitution(CONFIG.physics.building.restitution)
+            .setCollisionGroups(this.makeCollisionGroups(this.COLLISION_GROUPS.BUILDING, this.COLLISION_MASKS.BUILDING));
+
+        const collider = this.world.createCollider(colliderDesc, body);
+
+        this.bodies.set(entityId, body);
+        this.setColliders(entityId, [collider]);
+        this.entityData.set(entityId, {
+            type: CONFIG.entityTypes.DEBRIS,
+            halfExtents
+        });
+
+        return body;
+    }
+
+    /**
+     * Track an entity's colliders, indexed by handle
+     */
+    setColliders(entityId, colliders) {
+        this.colliders.set(entityId, colliders);
+        for (const collider of colliders) {
+            this.colliderEntities.set(collider.handle, entityId);
+        }
+    }
+
+    /**
+     * Entity owning a collider (null for terrain and unknown colliders)
+     */
+    getEntityIdByCollider(handle) {
+        return this.colliderEntities.get(handle) ?? null;
+    }
+
     /**
      * Remove entity from physics world
      */
@@ -345,6 +571,7 @@ class PhysicsWorld {
             if (!body) {
                 colliders.forEach(c => this.world.removeCollider(c, false));
             }
+            colliders.forEach(c => this.colliderEntities.delete(c.handle));
             this.colliders.delete(entityId);
         }
 
@@ -474,36 +701,255 @@ class PhysicsWorld {
         }
     }
 
+    // Scene queries
+    // Each takes options { filterMask, excludeEntityId }: the collision groups to hit
+    // (everything by default) and an entity to ignore, usually the one asking
+
     /**
-     * Perform raycast
+     * Closest hit along a ray
+     * @returns {Object} { hit, point, normal, distance, entityId } (entityId null for terrain)
      */
-    raycast(origin, direction, maxDistance, filterMask = 0xFFFF) {
+    raycast(origin, direction, maxDistance, options = {}) {
         const ray = new RAPIER.Ray(origin, direction);
-        const hit = this.world.castRay(ray, maxDistance, true, filterMask);
-
-        if (hit) {
-            const hitPoint = ray.pointAt(hit.toi);
-            const hitCollider = hit.collider;
-
-            // Find entity that owns this collider
-            let hitEntityId = null;
-            for (const [id, colliders] of this.colliders) {
-                if (colliders.includes(hitCollider)) {
-                    hitEntityId = id;
-                    break;
-                }
+        const filter = this.makeQueryFilter(options);
+        const hit = this.world.castRayAndGetNormal(ray, maxDistance, true, undefined, filter.groups, undefined, filter.excludeBody, filter.predicate);
+
+        return hit ? this.makeRayHit(ray, hit.collider, hit.toi, hit.normal) : { hit: false };
+    }
+
+    /**
+     * Every hit along a ray, nearest first
+     * @returns {Array} { hit, point, normal, distance, entityId }
+     */
+    intersectionsWithRay(origin, direction, maxDistance, options = {}) {
+        const ray = new RAPIER.Ray(origin, direction);
+        const filter = this.makeQueryFilter(options);
+        const hits = [];
+
+        this.world.intersectionsWithRay(ray, maxDistance, true, (hit) => {
+            hits.push(this.makeRayHit(ray, hit.collider, hit.toi, hit.normal));
+            return true;
+        }, undefined, filter.groups, undefined, filter.excludeBody, filter.predicate);
+
+        return hits.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Sweep a shape along a direction and report the first thing it would touch
+     * @param {Object} shape - { type: 'ball', radius } | { type: 'cuboid', halfExtents: { x, y, z } } | { type: 'capsule', halfHeight, radius }
+     * @param {Object} direction - Unit vector (distances are along it)
+     * @returns {Object} { hit, distance, position (of the shape at impact), entityId }
+     */
+    castShape(shape, position, rotation, direction, maxDistance, options = {}) {
+        const filter = this.makeQueryFilter(options);
+        const hit = this.world.castShape(
+            position, rotation, direction, this.makeShape(shape), maxDistance, true,
+            undefined, filter.groups, undefined, filter.excludeBody, filter.predicate
+        );
+        if (!hit) return { hit: false };
+
+        return {
+            hit: true,
+            distance: hit.toi,
+            position: {
+                x: position.x + direction.x * hit.toi,
+                y: position.y + direction.y * hit.toi,
+                z: position.z + direction.z * hit.toi
+            },
+            entityId: this.getEntityIdByCollider(hit.collider.handle)
+        };
+    }
+
+    /**
+     * Rapier query filter arguments for { filterMask, excludeEntityId }
+     */
+    makeQueryFilter({ filterMask = 0xFFFF, excludeEntityId = null } = {}) {
+        const filter = {
+            groups: this.makeCollisionGroups(0xFFFF, filterMask & ~this.COLLISION_GROUPS.SENSOR), // Trigger volumes are never hit
+            excludeBody: undefined,
+            predicate: undefined
+        };
+
+        if (excludeEntityId) {
+            // Bodies are excluded whole; body-less entities (buildings) collider by collider
+            filter.excludeBody = this.bodies.get(excludeEntityId);
+            if (!filter.excludeBody && this.colliders.has(excludeEntityId)) {
+                filter.predicate = (collider) => this.getEntityIdByCollider(collider.handle) !== excludeEntityId;
             }
+        }
 
-            return {
-                hit: true,
-                point: { x: hitPoint.x, y: hitPoint.y, z: hitPoint.z },
-                normal: hit.normal ? { x: hit.normal.x, y: hit.normal.y, z: hit.normal.z } : null,
-                distance: hit.toi,
-                entityId: hitEntityId
-            };
+        return filter;
+    }
+
+    makeShape(shape) {
+        switch (shape.type) {
+            case 'ball':
+                return new RAPIER.Ball(shape.radius);
+            case 'cuboid':
+                return new RAPIER.Cuboid(shape.halfExtents.x, shape.halfExtents.y, shape.halfExtents.z);
+            case 'capsule':
+                return new RAPIER.Capsule(shape.halfHeight, shape.radius);
+            default:
+                throw new Error(`unknown query shape: ${shape.type}`);
         }
+    }
 
-        return { hit: false };
+    makeRayHit(ray, collider, toi, normal) {
+        const hitPoint = ray.pointAt(toi);
+        return {
+            hit: true,
+            point: { x: hitPoint.x, y: hitPoint.y, z: hitPoint.z },
+            normal: normal ? { x: normal.x, y: normal.y, z: normal.z } : null,
+            distance: toi,
+            entityId: this.getEntityIdByCollider(collider.handle)
+        };
+    }
+
+    /**
+     * Record player and vehicle transforms as sent in a snapshot
+     * @param {number} time - The snapshot's serverTime (ms)
+     */
+    recordHistory(time) {
+        const transforms = new Map();
+
+        for (const [entityId, body] of this.bodies) {
+            const data = this.entityData.get(entityId);
+            if (!data || !body.isEnabled()) continue;
+            if (data.type !== CONFIG.entityTypes.PLAYER && data.type !== CONFIG.entityTypes.VEHICLE) continue;
+
+            const pos = body.translation();
+            const rot = body.rotation();
+            transforms.set(entityId, {
+                position: { x: pos.x, y: pos.y, z: pos.z },
+                rotation: { x: rot.x, y: rot.y, z: rot.z, w: rot.w }
+            });
+        }
+
+        this.transformHistory[this.historyHead] = { time, transforms };
+        this.historyHead = (this.historyHead + 1) % this.historySize;
+        this.historyCount = Math.min(this.historyCount + 1, this.historySize);
+    }
+
+    /**
+     * Get a history frame by age (0 = newest)
+     */
+    getHistoryFrame(age) {
+        const index = (this.historyHead - 1 - age + this.historySize * 2) % this.historySize;
+        return this.transformHistory[index];
+    }
+
+    /**
+     * Get player and vehicle transforms interpolated to a past server time
+     * @returns {Map} entityId -> { position, rotation }, or null if no history is recorded
+     */
+    getTransformsAtTime(serverTime) {
+        if (this.historyCount === 0) return null;
+
+        const newest = this.getHistoryFrame(0);
+        if (serverTime >= newest.time) return newest.transforms;
+
+        const oldest = this.getHistoryFrame(this.historyCount - 1);
+        if (serverTime <= oldest.time) return oldest.transforms;
+
+        // Find the frames bracketing the requested time
+        let newer = newest;
+        let older = newest;
+        for (let age = 1; age < this.historyCount; age++) {
+            older = this.getHistoryFrame(age);
+            if (older.time <= serverTime) break;
+            newer = older;
+        }
+
+        const span = newer.time - older.time;
+        const t = span > 0 ? (serverTime - older.time) / span : 1;
+
+        const transforms = new Map();
+        for (const [entityId, to] of newer.transforms) {
+            const from = older.transforms.get(entityId);
+            transforms.set(entityId, from ? this.interpolateTransform(from, to, t) : to);
+        }
+        for (const [entityId, from] of older.transforms) {
+            if (!transforms.has(entityId)) transforms.set(entityId, from);
+        }
+
+        return transforms;
+    }
+
+    /**
+     * Interpolate between two transforms (lerp position, nlerp rotation)
+     */
+    interpolateTransform(from, to, t) {
+        const a = from.rotation;
+        let b = to.rotation;
+        if (a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w < 0) {
+            b = { x: -b.x, y: -b.y, z: -b.z, w: -b.w };
+        }
+
+        const rot = {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            z: a.z + (b.z - a.z) * t,
+            w: a.w + (b.w - a.w) * t
+        };
+        const len = Math.sqrt(rot.x * rot.x + rot.y * rot.y + rot.z * rot.z + rot.w * rot.w) || 1;
+
+        return {
+            position: {
+                x: from.position.x + (to.position.x - from.position.x) * t,
+                y: from.position.y + (to.position.y - from.position.y) * t,
+                z: from.position.z + (to.position.z - from.position.z) * t
+            },
+            rotation: { x: rot.x / len, y: rot.y / len, z: rot.z / len, w: rot.w / len }
+        };
+    }
+
+    /**
+     * Raycast against the world as it was at a past server time.
+     * Terrain and buildings are tested as they are now; player and vehicle
+     * colliders are rewound to their recorded transforms.
+     * @param {Object} options - { filterMask, excludeEntityId }
+     */
+    raycastAtTime(origin, direction, maxDistance, serverTime, options = {}) {
+        const G = this.COLLISION_GROUPS;
+        const filterMask = options.filterMask ?? (G.TERRAIN | G.BUILDING | G.PLAYER | G.VEHICLE);
+        const rewoundMask = filterMask & (G.PLAYER | G.VEHICLE);
+        const ray = new RAPIER.Ray(origin, direction);
+
+        let best = null;
+
+        // Static geometry at its current state
+        const staticMask = filterMask & ~rewoundMask;
+        if (staticMask) {
+            const filter = this.makeQueryFilter({ filterMask: staticMask, excludeEntityId: options.excludeEntityId });
+            const hit = this.world.castRayAndGetNormal(ray, maxDistance, true, undefined, filter.groups, undefined, filter.excludeBody, filter.predicate);
+            if (hit) {
+                best = { collider: hit.collider, toi: hit.toi, normal: hit.normal };
+            }
+        }
+
+        // Players and vehicles at their historical transforms
+        const transforms = rewoundMask ? this.getTransformsAtTime(serverTime) : null;
+        if (transforms) {
+            for (const [entityId, transform] of transforms) {
+                if (entityId === options.excludeEntityId) continue;
+
+                const data = this.entityData.get(entityId);
+                if (!data) continue;
+
+                const group = data.type === CONFIG.entityTypes.PLAYER ? G.PLAYER : G.VEHICLE;
+                if (!(rewoundMask & group)) continue;
+
+                const maxToi = best ? best.toi : maxDistance;
+                for (const collider of this.colliders.get(entityId) || []) {
+                    const hit = collider.shape.castRayAndGetNormal(ray, transform.position, transform.rotation, maxToi, true);
+                    if (hit && (!best || hit.toi < best.toi)) {
+                        best = { collider, toi: hit.toi, normal: hit.normal };
+                    }
+                }
+            }
+        }
+
+        return best ? this.makeRayHit(ray, best.collider, best.toi, best.normal) : { hit: false };
     }
 
     /**
@@ -522,7 +968,10 @@ class PhysicsWorld {
         const rayDir = { x: 0, y: -1, z: 0 };
         const rayLength = config.height / 2 + 0.2; // Slightly longer than half height
 
-        const result = this.raycast(rayOrigin, rayDir, rayLength, this.COLLISION_GROUPS.TERRAIN | this.COLLISION_GROUPS.BUILDING);
+        const result = this.raycast(rayOrigin, rayDir, rayLength, {
+            filterMask: this.COLLISION_GROUPS.TERRAIN | this.COLLISION_GROUPS.BUILDING | this.COLLISION_GROUPS.VEHICLE,
+            excludeEntityId: entityId
+        });
 
         data.grounded = result.hit && result.distance < (config.height / 2 + 0.1);
         if (result.normal) {
@@ -563,6 +1012,38 @@ class PhysicsWorld {
         return this.terrainChunks.has(`${chunkX},${chunkZ}`);
     }
 
+    /**
+     * Hash of every body's transform and velocities, for comparing a replay against its recording
+     * (entity IDs are left out since they are regenerated on replay; bodies are hashed in creation order)
+     */
+    getStateHash() {
+        const hash = crypto.createHash('sha1');
+        const values = new Float64Array(13);
+
+        for (const body of this.bodies.values()) {
+            const t = body.translation();
+            const r = body.rotation();
+            const v = body.linvel();
+            const w = body.angvel();
+            values.set([t.x, t.y, t.z, r.x, r.y, r.z, r.w, v.x, v.y, v.z, w.x, w.y, w.z]);
+            hash.update(values);
+        }
+
+        return hash.digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Get Rapier rigid body and collider counts
+     */
+    getBodyCounts() {
+        if (!this.world) return { bodies: 0, colliders: 0 };
+
+        return {
+            bodies: this.world.bodies.len(),
+            colliders: this.world.colliders.len()
+        };
+    }
+
     /**
      * Cleanup
      */
@@ -573,8 +1054,12 @@ class PhysicsWorld {
         }
         this.bodies.clear();
         this.colliders.clear();
+        this.colliderEntities.clear();
         this.entityData.clear();
         this.terrainChunks.clear();
+        this.transformHistory = new Array(this.historySize);
+        this.historyHead = 0;
+        this.historyCount = 0;
         this.initialized = false;
     }
 }
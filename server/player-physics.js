@@ -18,6 +18,7 @@ class PlayerPhysicsManager {
         // Configuration
         this.movementConfig = CONFIG.movement;
         this.physicsConfig = CONFIG.physics.player;
+        this.waterConfig = CONFIG.water.player;
     }
 
     /**
@@ -46,8 +47,12 @@ class PlayerPhysicsManager {
             stamina: this.movementConfig.maxStamina,
             isRunning: false,
             isCrouching: false,
+            inWater: false,    // Partly under water
+            isSwimming: false, // Deep enough to swim
             yaw: 0,           // Horizontal look direction
             vehicleId: null,  // If in a vehicle
+            inventory: new Map(), // itemId -> quantity
+            inSafeZone: false, // Takes no damage (set by the ZoneManager)
             lastInputSeq: 0   // Last processed input sequence
         });
 
@@ -116,6 +121,25 @@ class PlayerPhysicsManager {
         }
     }
 
+    /**
+     * Reset player input to idle (keeps look direction and sequence)
+     */
+    clearPlayerInput(clientId) {
+        const entityId = `player_${clientId}`;
+        const input = this.playerInputs.get(entityId);
+        if (!input) return;
+
+        this.playerInputs.set(entityId, {
+            forward: 0,
+            right: 0,
+            jump: false,
+            run: false,
+            crouch: false,
+            yaw: input.yaw,
+            seq: input.seq
+        });
+    }
+
     /**
      * Update all player physics
      */
@@ -147,6 +171,11 @@ class PlayerPhysicsManager {
         const pos = body.translation();
         const vel = body.linvel();
 
+        // How much of the body is under water (0 to 1)
+        const submerged = this.getSubmersion(pos);
+        player.inWater = submerged > 0;
+        player.isSwimming = submerged >= this.waterConfig.swimDepth;
+
         // Calculate movement direction (based on player yaw)
         const yaw = player.yaw;
         const cos = Math.cos(yaw);
@@ -171,10 +200,15 @@ class PlayerPhysicsManager {
 
         // Determine movement speed
         player.isRunning = input.run && player.stamina > 0;
-        player.isCrouching = input.crouch;
+        player.isCrouching = input.crouch && !player.isSwimming;  // Crouching in deep water dives instead
 
         let targetSpeed;
-        if (player.isCrouching) {
+        if (player.isSwimming) {
+            targetSpeed = this.waterConfig.swimSpeed;
+            if (player.isRunning) {
+                targetSpeed *= this.movementConfig.runSpeed / this.movementConfig.walkSpeed;
+            }
+        } else if (player.isCrouching) {
             targetSpeed = this.movementConfig.crouchSpeed;
         } else if (player.isRunning) {
             targetSpeed = this.movementConfig.runSpeed;
@@ -186,15 +220,27 @@ class PlayerPhysicsManager {
         const targetVelX = moveX * targetSpeed;
         const targetVelZ = moveZ * targetSpeed;
 
-        // Apply movement (different acceleration on ground vs air)
-        const accel = isGrounded ? 20 : 20 * this.movementConfig.airControl;
+        // Apply movement (different acceleration on ground, in the air and in water)
+        let accel = isGrounded ? 20 : 20 * this.movementConfig.airControl;
+        if (player.isSwimming) {
+            accel = this.waterConfig.acceleration;
+        }
 
         const newVelX = this.approach(vel.x, targetVelX, accel * deltaTime);
         const newVelZ = this.approach(vel.z, targetVelZ, accel * deltaTime);
 
         // Handle jumping
         let newVelY = vel.y;
-        if (input.jump && isGrounded && !player.isCrouching) {
+        if (submerged > 0) {
+            newVelY = this.applyWater(newVelY, submerged, deltaTime);
+        }
+        if (player.isSwimming) {
+            // Swim up (jump) or dive (crouch); otherwise buoyancy brings us to the surface
+            const stroke = (input.jump ? 1 : 0) - (input.crouch ? 1 : 0);
+            if (stroke !== 0) {
+                newVelY = this.approach(newVelY, stroke * this.waterConfig.swimUpSpeed, this.waterConfig.acceleration * deltaTime);
+            }
+        } else if (input.jump && isGrounded && !player.isCrouching) {
             newVelY = this.movementConfig.jumpForce;
             // Small horizontal boost in movement direction
             // newVelX += moveX * 2;
@@ -230,6 +276,30 @@ class PlayerPhysicsManager {
         }
     }
 
+    /**
+     * Fraction of a player's body under water (0 on land)
+     * @param {Object} pos - Body centre
+     */
+    getSubmersion(pos) {
+        if (!CONFIG.water.enabled) return 0;
+
+        const waterLevel = this.terrainManager.getWaterLevelAt(pos.x, pos.z);
+        if (waterLevel === null) return 0;
+
+        const height = this.physicsConfig.height;
+        const bottom = pos.y - height / 2;
+        return Math.max(0, Math.min(1, (waterLevel - bottom) / height));
+    }
+
+    /**
+     * Buoyancy and drag on vertical velocity (the physics step adds gravity afterwards)
+     */
+    applyWater(velY, submerged, deltaTime) {
+        const gravity = Math.abs(CONFIG.physics.gravity.y);
+        velY += this.waterConfig.buoyancy * submerged * gravity * deltaTime;
+        return velY * Math.max(0, 1 - this.waterConfig.drag * submerged * deltaTime);
+    }
+
     /**
      * Move value toward target at rate
      */
@@ -314,6 +384,7 @@ class PlayerPhysicsManager {
         const entityId = `player_${clientId}`;
         const player = this.players.get(entityId);
         if (!player) return false;
+        if (player.inSafeZone) return player.health;
 
         player.health = Math.max(0, player.health - damage);
 
@@ -337,6 +408,60 @@ class PlayerPhysicsManager {
         return player.health;
     }
 
+    /**
+     * Add items to a player's inventory, as many as fit
+     * @returns {number} Quantity added
+     */
+    addToInventory(clientId, itemId, quantity) {
+        const player = this.players.get(`player_${clientId}`);
+        if (!player) return 0;
+
+        const added = Math.min(quantity, this.getInventorySpace(clientId));
+        if (added <= 0) return 0;
+
+        player.inventory.set(itemId, (player.inventory.get(itemId) || 0) + added);
+        return added;
+    }
+
+    /**
+     * Take items out of a player's inventory
+     * @returns {boolean} False if the player doesn't have that many
+     */
+    removeFromInventory(clientId, itemId, quantity) {
+        const player = this.players.get(`player_${clientId}`);
+        if (!player) return false;
+
+        const current = player.inventory.get(itemId) || 0;
+        if (current < quantity) return false;
+
+        if (current === quantity) {
+            player.inventory.delete(itemId);
+        } else {
+            player.inventory.set(itemId, current - quantity);
+        }
+        return true;
+    }
+
+    /**
+     * Room left in a player's inventory (total item count)
+     */
+    getInventorySpace(clientId) {
+        const player = this.players.get(`player_${clientId}`);
+        if (!player) return 0;
+
+        let total = 0;
+        for (const quantity of player.inventory.values()) total += quantity;
+        return Math.max(0, CONFIG.items.inventoryCapacity - total);
+    }
+
+    /**
+     * A player's inventory as [itemId, quantity] pairs (the client Inventory's serialized form)
+     */
+    getInventory(clientId) {
+        const player = this.players.get(`player_${clientId}`);
+        return player ? Array.from(player.inventory) : [];
+    }
+
     /**
      * Get player state for networking
      */
@@ -374,6 +499,8 @@ class PlayerPhysicsManager {
             yaw: player.yaw,
             isRunning: player.isRunning,
             isCrouching: player.isCrouching,
+            inWater: player.inWater,
+            isSwimming: player.isSwimming,
             inVehicle: false,
             vehicleId: null,
             lastInputSeq: player.lastInputSeq
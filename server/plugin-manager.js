@@ -0,0 +1,117 @@
+/**
+ * Plugin Manager
+ * Loads game-mode plugins from CONFIG.plugins.directory, registers the client messages they handle
+ * and gives every world instance its own instance of each plugin
+ *
+ * A plugin module exports a class:
+ *   static messages = { type: { schema, rateLimit } }   client -> server messages it handles (optional)
+ *   constructor(world, options)                          world = WorldInstance, options = CONFIG.plugins.options[name]
+ * and any of the hooks in HOOKS, called with the world's clients' IDs, plus handleMessage(clientId, message)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../shared/config.js');
+
+// Hooks a plugin may implement (see WorldInstance.runPlugins)
+const HOOKS = [
+    'onPlayerJoin',      // (clientId) player spawned in (or was handed over to) this world
+    'onPlayerLeave',     // (clientId) player removed from (or handed over out of) this world
+    'onTick',            // (tickNumber) every network tick, before snapshots are sent
+    'onVehicleEnter',    // (clientId, vehicleId)
+    'onVehicleExit',     // (clientId, vehicleId)
+    'onCollision',       // ({ kind, entityA, entityB, started, impactSpeed, ... }) see CollisionManager; null entity = terrain
+    'onProjectileHit',   // ({ projectileId, projectileType, ownerId, entityId, entityType, position, damage, health }) see ProjectilePhysicsManager
+    'onItemDrop',        // (clientId, itemEntityId, itemId, quantity)
+    'onItemPickup',      // ({ itemEntityId, itemId, quantity, clientId, remaining }) see ItemPhysicsManager
+    'onZoneEnter',       // ({ zoneId, kind, metadata, entityId, entityType, clientId, step }) see ZoneManager
+    'onZoneExit',        // (same as onZoneEnter)
+    'onBuildingCollapse', // ({ buildingId, chunkX, chunkZ, index, position, cause, debris }) see BuildingPhysicsManager
+    'snapshotFields'     // (state) -> extra fields for a player or vehicle snapshot state, or null
+];
+
+class PluginManager {
+    constructor(server) {
+        this.server = server;
+        this.plugins = [];               // { name, Plugin } in load order
+    }
+
+    /**
+     * Load every plugin in the configured directory (in name order)
+     * @throws {Error} If a plugin is missing, malformed or claims a message type already in use
+     */
+    load() {
+        const { directory, enabled } = CONFIG.plugins;
+        if (!directory) return;
+
+        const root = path.resolve(__dirname, directory);
+        const entries = fs.readdirSync(root, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            let name = null;
+            if (entry.isFile() && entry.name.endsWith('.js')) {
+                name = entry.name.slice(0, -3);
+            } else if (entry.isDirectory() && fs.existsSync(path.join(root, entry.name, 'index.js'))) {
+                name = entry.name;
+            }
+            if (!name || (enabled.length > 0 && !enabled.includes(name))) continue;
+
+            const Plugin = require(path.join(root, entry.name));
+            if (typeof Plugin !== 'function') {
+                throw new Error(`plugin ${name} must export a class`);
+            }
+
+            this.registerMessages(name, Plugin.messages || {});
+            this.plugins.push({ name, Plugin });
+            console.log(`[Plugins] Loaded ${name}`);
+        }
+
+        const missing = enabled.filter(name => !this.plugins.some(plugin => plugin.name === name));
+        if (missing.length > 0) {
+            throw new Error(`plugins.enabled lists ${missing.join(', ')}, not found in ${root}`);
+        }
+    }
+
+    /**
+     * Route a plugin's client messages to it, validated and rate limited like the built-in ones
+     */
+    registerMessages(name, messages) {
+        for (const [type, { schema = {}, rateLimit = null }] of Object.entries(messages)) {
+            if (this.server.messageHandlers.has(type)) {
+                throw new Error(`plugin ${name} handles message type ${type}, which is already taken`);
+            }
+
+            this.server.messageValidator.setSchema(type, schema);
+            if (rateLimit && !CONFIG.security.rateLimits[type]) {
+                CONFIG.security.rateLimits[type] = rateLimit;
+            }
+
+            this.server.messageHandlers.set(type, (ws, message) => {
+                const clientData = this.server.clients.get(ws);
+                if (!clientData || !clientData.instance || clientData.state !== 'playing') return;
+
+                clientData.instance.runPlugin(name, 'handleMessage', clientData.clientId, message);
+            });
+        }
+    }
+
+    /**
+     * One instance of every plugin for a world
+     * @returns {Array} { name, plugin }
+     */
+    createForWorld(world) {
+        return this.plugins.map(({ name, Plugin }) => ({
+            name,
+            plugin: new Plugin(world, CONFIG.plugins.options[name] || {})
+        }));
+    }
+
+    getNames() {
+        return this.plugins.map(plugin => plugin.name);
+    }
+}
+
+PluginManager.HOOKS = HOOKS;
+
+module.exports = PluginManager;
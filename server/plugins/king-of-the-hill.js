@@ -0,0 +1,82 @@
+/**
+ * King of the Hill (example game mode)
+ * Players on foot inside the hill score a point per second; scores ride along in player snapshots
+ * Load with plugins.directory = 'plugins'; settings go in plugins.options['king-of-the-hill']
+ */
+
+const CONFIG = require('../../shared/config.js');
+
+class KingOfTheHill {
+    static messages = {
+        // Client asks for the current standings (answered with a GAME_EVENT)
+        hill_standings: { schema: {}, rateLimit: { rate: 1, burst: 3 } }
+    };
+
+    /**
+     * @param {WorldInstance} world
+     * @param {Object} options - { center: { x, z }, radius }
+     */
+    constructor(world, options) {
+        this.world = world;
+        this.center = options.center || { x: 0, z: 0 };
+        this.radius = options.radius || 30;
+
+        this.scores = new Map();         // clientId -> seconds held
+        this.drivers = new Set();        // Players in vehicles don't score
+    }
+
+    onPlayerJoin(clientId) {
+        this.scores.set(clientId, 0);
+    }
+
+    onPlayerLeave(clientId) {
+        this.scores.delete(clientId);
+        this.drivers.delete(clientId);
+    }
+
+    onVehicleEnter(clientId) {
+        this.drivers.add(clientId);
+    }
+
+    onVehicleExit(clientId) {
+        this.drivers.delete(clientId);
+    }
+
+    onTick() {
+        const seconds = 1 / this.world.tickRate;
+
+        for (const [clientId, score] of this.scores) {
+            if (this.drivers.has(clientId)) continue;
+
+            const position = this.world.getPlayerPosition(clientId);
+            if (position && Math.hypot(position.x - this.center.x, position.z - this.center.z) <= this.radius) {
+                this.scores.set(clientId, score + seconds);
+            }
+        }
+    }
+
+    snapshotFields(state) {
+        if (state.type !== CONFIG.entityTypes.PLAYER || !this.scores.has(state.clientId)) return null;
+        return { hillScore: Math.floor(this.scores.get(state.clientId)) };
+    }
+
+    handleMessage(clientId, message) {
+        if (message.type !== 'hill_standings') return;
+
+        const standings = Array.from(this.scores, ([id, score]) => ({
+            clientId: id,
+            username: this.world.playerManager.getPlayer(id)?.username,
+            score: Math.floor(score)
+        })).sort((a, b) => b.score - a.score);
+
+        this.world.sendToPlayer(clientId, {
+            type: CONFIG.messageTypes.GAME_EVENT,
+            event: 'hill_standings',
+            center: this.center,
+            radius: this.radius,
+            standings
+        });
+    }
+}
+
+module.exports = KingOfTheHill;
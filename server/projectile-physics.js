@@ -0,0 +1,213 @@
+/**
+ * Server-side Projectile System
+ * Swept-ray projectiles with gravity drop: each step a projectile's path is ray- or shape-cast
+ * against players, vehicles, buildings and terrain, and the first thing on it takes the hit
+ */
+
+const CONFIG = require('../shared/config.js');
+
+const IDENTITY = { x: 0, y: 0, z: 0, w: 1 };
+
+class ProjectilePhysicsManager {
+    constructor(physicsWorld, playerManager, vehicleManager, buildingManager) {
+        this.physicsWorld = physicsWorld;
+        this.playerManager = playerManager;
+        this.vehicleManager = vehicleManager;
+        this.buildingManager = buildingManager;
+
+        // Projectile tracking
+        this.projectiles = new Map();    // entityId -> projectile data
+        this.nextProjectileNumber = 1;
+        this.nextFireSteps = new Map();  // Source entityId -> first step it may fire again
+        this.stepCount = 0;              // Clock for lifetimes and fire intervals
+
+        // Hits in the last step: { projectileId, projectileType, ownerId, entityId, entityType, position, damage, health }
+        this.hits = [];
+
+        // Configuration
+        this.settings = CONFIG.projectiles;
+        const G = this.physicsWorld.COLLISION_GROUPS;
+        this.hitMask = G.TERRAIN | G.PLAYER | G.VEHICLE | G.BUILDING;
+    }
+
+    /**
+     * Fire a projectile
+     * @param {string} sourceId - Entity firing it (never hit by its own shots; its velocity is inherited)
+     * @param {string} ownerId - Player entity credited with the hits
+     * @param {Object} direction - Unit vector
+     * @returns {string|null} Projectile entity ID, or null while the source reloads or the world is full
+     */
+    spawnProjectile(projectileType, sourceId, ownerId, position, direction) {
+        const type = this.settings.types[projectileType];
+        if (!type) return null;
+
+        if (this.stepCount < (this.nextFireSteps.get(sourceId) || 0)) return null;
+        if (this.projectiles.size >= this.settings.maxActive) return null;
+
+        const body = this.physicsWorld.bodies.get(sourceId);
+        const sourceVelocity = body ? body.linvel() : { x: 0, y: 0, z: 0 };
+
+        const entityId = `projectile_${this.nextProjectileNumber++}`;
+        this.projectiles.set(entityId, {
+            entityId,
+            projectileType,
+            sourceId,
+            ownerId,
+            position: { x: position.x, y: position.y, z: position.z },
+            velocity: {
+                x: direction.x * type.speed + sourceVelocity.x,
+                y: direction.y * type.speed + sourceVelocity.y,
+                z: direction.z * type.speed + sourceVelocity.z
+            },
+            expiresAt: this.stepCount + this.physicsWorld.msToSteps(type.lifetime)
+        });
+
+        this.nextFireSteps.set(sourceId, this.stepCount + this.physicsWorld.msToSteps(type.fireInterval));
+        return entityId;
+    }
+
+    /**
+     * Remove a projectile
+     */
+    removeProjectile(entityId) {
+        this.projectiles.delete(entityId);
+    }
+
+    /**
+     * Move every projectile one step through the (already stepped) physics world
+     */
+    update(deltaTime) {
+        this.stepCount++;
+        this.hits = [];
+
+        for (const [entityId, projectile] of this.projectiles) {
+            if (this.stepCount >= projectile.expiresAt) {
+                this.projectiles.delete(entityId);
+                continue;
+            }
+
+            this.updateProjectile(projectile, deltaTime);
+        }
+
+        // Forget sources that can fire again
+        for (const [sourceId, step] of this.nextFireSteps) {
+            if (step <= this.stepCount) this.nextFireSteps.delete(sourceId);
+        }
+    }
+
+    /**
+     * Apply gravity and sweep the projectile's path for this step
+     */
+    updateProjectile(projectile, deltaTime) {
+        const type = this.settings.types[projectile.projectileType];
+        const { position, velocity } = projectile;
+        const gravity = CONFIG.physics.gravity;
+
+        // Semi-implicit Euler, as Rapier integrates bodies
+        velocity.x += gravity.x * type.gravityScale * deltaTime;
+        velocity.y += gravity.y * type.gravityScale * deltaTime;
+        velocity.z += gravity.z * type.gravityScale * deltaTime;
+
+        const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+        if (speed === 0) return;
+
+        const direction = { x: velocity.x / speed, y: velocity.y / speed, z: velocity.z / speed };
+        const distance = speed * deltaTime;
+        const options = { filterMask: this.hitMask, excludeEntityId: projectile.sourceId };
+
+        const hit = type.radius > 0
+            ? this.physicsWorld.castShape({ type: 'ball', radius: type.radius }, position, IDENTITY, direction, distance, options)
+            : this.physicsWorld.raycast(position, direction, distance, options);
+
+        if (hit.hit) {
+            this.resolveHit(projectile, type, hit.entityId, hit.point || hit.position, direction);
+            this.projectiles.delete(projectile.entityId);
+            return;
+        }
+
+        position.x += velocity.x * deltaTime;
+        position.y += velocity.y * deltaTime;
+        position.z += velocity.z * deltaTime;
+    }
+
+    /**
+     * Damage and push what a projectile hit, and record the hit
+     * @param {string|null} entityId - Null for terrain
+     */
+    resolveHit(projectile, type, entityId, position, direction) {
+        const data = entityId ? this.physicsWorld.entityData.get(entityId) : null;
+        const entityType = data ? data.type : 'terrain';
+
+        let damage = 0;
+        let health = null;
+        if (entityType === CONFIG.entityTypes.PLAYER) {
+            const player = this.playerManager.players.get(entityId);
+            if (player) {
+                damage = type.damage;
+                health = this.playerManager.damagePlayer(player.clientId, damage);
+            }
+        } else if (entityType === CONFIG.entityTypes.VEHICLE) {
+            damage = type.damage;
+            health = this.vehicleManager.damageVehicle(entityId, damage);
+        } else if (entityType === CONFIG.entityTypes.BUILDING) {
+            health = this.buildingManager.damageBuilding(entityId, type.buildingDamage || 0, projectile.ownerId);
+            damage = health === null ? 0 : type.buildingDamage || 0;
+        }
+
+        if (entityId && type.impulse > 0) {
+            this.physicsWorld.applyImpulse(entityId, {
+                x: direction.x * type.impulse,
+                y: direction.y * type.impulse,
+                z: direction.z * type.impulse
+            }, position);
+        }
+
+        this.hits.push({
+            projectileId: projectile.entityId,
+            projectileType: projectile.projectileType,
+            ownerId: projectile.ownerId,
+            entityId,
+            entityType,
+            position: { x: position.x, y: position.y, z: position.z },
+            damage,
+            health
+        });
+    }
+
+    /**
+     * Get projectile state for networking
+     */
+    getProjectileState(entityId) {
+        const projectile = this.projectiles.get(entityId);
+        if (!projectile) return null;
+
+        return {
+            entityId,
+            type: CONFIG.entityTypes.PROJECTILE,
+            projectileType: projectile.projectileType,
+            ownerId: projectile.ownerId,
+            position: { ...projectile.position },
+            velocity: { ...projectile.velocity }
+        };
+    }
+
+    /**
+     * Get all projectile states
+     */
+    getAllProjectileStates() {
+        const states = [];
+        for (const entityId of this.projectiles.keys()) {
+            states.push(this.getProjectileState(entityId));
+        }
+        return states;
+    }
+
+    /**
+     * Get projectile count
+     */
+    getProjectileCount() {
+        return this.projectiles.size;
+    }
+}
+
+module.exports = ProjectilePhysicsManager;
@@ -0,0 +1,250 @@
+/**
+ * Session Replay
+ * Re-runs a recorded world instance session headlessly and compares the physics state hash at every network tick
+ *
+ * Usage: node replay.js <recording.ndjson.gz> [--verbose]
+ * Exits with status 1 if the replay diverges from the recording.
+ */
+
+const CONFIG = require('../shared/config.js');
+const AdminConsole = require('./admin-console.js');
+const ConfigLoader = require('./config-loader.js');
+const PhysicsServer = require('./physics-server.js');
+const SessionRecorder = require('./session-recorder.js');
+const WorldPersistence = require('./world-persistence.js');
+
+/**
+ * Stand-in socket for a recorded connection (closed, so nothing is ever sent)
+ */
+function createReplaySocket() {
+    return {
+        readyState: 3,
+        on() {},
+        send() {},
+        close() {},
+        terminate() {}
+    };
+}
+
+class SessionReplayer {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.verbose = Boolean(options.verbose);
+
+        this.server = null;
+        this.world = null;               // The recorded world instance
+        this.sockets = new Map();        // Recorded connection number -> replay socket
+
+        // Results
+        this.ticks = 0;
+        this.divergence = null;          // { tick, step, expected, actual }
+    }
+
+    /**
+     * Replay the whole log, stopping at the first divergent tick
+     * @returns {Object} { ticks, steps, divergence }
+     */
+    async run() {
+        const { header, events } = SessionRecorder.read(this.filePath);
+        console.log(`[Replay] ${this.filePath}: ${events.length} events, instance ${header.instance.id}, seed ${header.seed}, recorded ${header.startedAt}`);
+
+        // Settings the server was started with (file, environment and flags)
+        new ConfigLoader().apply(header.config, 'recording');
+
+        if (header.timestep !== CONFIG.physics.timestep) {
+            console.warn(`[Replay] Recorded with timestep ${header.timestep}, replaying with ${CONFIG.physics.timestep}`);
+        }
+
+        // Server noise would bury the report
+        const log = console.log;
+        if (!this.verbose) {
+            console.log = () => {};
+        }
+
+        try {
+            await this.setup(header, events);
+
+            for (const event of events) {
+                this.apply(event);
+                if (this.divergence) break;
+            }
+        } finally {
+            console.log = log;
+            if (this.world) this.world.physicsWorld.destroy();
+        }
+
+        return { ticks: this.ticks, steps: this.world.stepNumber, divergence: this.divergence };
+    }
+
+    /**
+     * Build the world the recording started from
+     */
+    async setup(header, events) {
+        this.server = new PhysicsServer();
+
+        // Game modes change the simulation, so the same plugins must run
+        this.server.plugins.load();
+        const plugins = this.server.plugins.getNames();
+        if (plugins.join() !== header.plugins.join()) {
+            throw new Error(`recorded with plugins [${header.plugins.join(', ')}], loaded [${plugins.join(', ')}]`);
+        }
+
+        // A shard's recording only makes sense with the region layout it ran with
+        if (header.shard) {
+            this.server.shardId = header.shard.id;
+            CONFIG.sharding.regionSize = header.shard.regionSize;
+            CONFIG.sharding.shards = header.shard.shards;
+        }
+
+        this.world = await this.server.createInstance({ ...header.instance, seed: header.seed, persistent: false });
+        this.world.tickRate = header.tickRate;
+
+        // Seeded decisions happen in the same order, so seeds are handed back in log order
+        this.world.replaySeeds = events.filter(event => event.e === 'r').map(event => event.seed);
+
+        if (header.world) {
+            const persistence = new WorldPersistence(this.world);
+            persistence.writable = false;
+            persistence.loadData(header.world);
+            this.world.persistence = persistence;
+            persistence.restoreVehicles();
+        }
+    }
+
+    /**
+     * Advance the simulation to an event's physics step and apply it
+     */
+    apply(event) {
+        const { server, world } = this;
+
+        if (event.s !== undefined) {
+            while (world.stepNumber < event.s) {
+                world.stepPhysics(CONFIG.physics.timestep);
+            }
+        }
+
+        switch (event.e) {
+            case 'c': {
+                const ws = createReplaySocket();
+                this.sockets.set(event.id, ws);
+                server.handleConnection(ws, { clientId: event.cid, sessionToken: event.tok });
+                server.handleHandshake(ws, event.m);
+                break;
+            }
+
+            case 'm': {
+                const ws = this.sockets.get(event.id);
+                const handler = server.messageHandlers.get(event.m.type);
+                if (ws && handler) handler(ws, event.m);
+                break;
+            }
+
+            case 'd': {
+                const ws = this.sockets.get(event.id);
+                const clientData = ws ? server.clients.get(ws) : null;
+                if (clientData) {
+                    clientData.guard.kicked = event.k;
+                    server.handleDisconnect(ws);
+                }
+                this.sockets.delete(event.id);
+                this.clearSessionTimers();
+                break;
+            }
+
+            case 'x': {
+                for (const session of server.sessions.values()) {
+                    if (session.clientId === event.cid) {
+                        server.expireSession(session.token);
+                        break;
+                    }
+                }
+                break;
+            }
+
+            case 'a':
+                server.adminConsole = server.adminConsole || new AdminConsole(server);
+                server.adminConsole.execute(event.cmd);
+                break;
+
+            case 'v':
+                world.spawnVehicleSet();
+                break;
+
+            case 'h':
+                server.adoptHandoff(world, event.h);
+                this.clearSessionTimers();
+                break;
+
+            case 'o':
+                if (event.cid) {
+                    server.releasePlayer(world, event.cid);
+                } else {
+                    world.releaseVehicle(event.vid);
+                }
+                break;
+
+            case 't':
+                this.checkTick(event);
+                break;
+        }
+    }
+
+    /**
+     * Compare the state hash at the start of a tick, then run the tick's simulation work
+     */
+    checkTick(event) {
+        const { world } = this;
+        world.tickNumber = event.n;
+
+        const actual = world.physicsWorld.getStateHash();
+        if (actual !== event.h) {
+            this.divergence = { tick: event.n, step: event.s, expected: event.h, actual };
+            return;
+        }
+
+        this.ticks++;
+        world.updateTerrain();
+        world.runPlugins('onTick', world.tickNumber);
+    }
+
+    /**
+     * Expiry comes from the log, not from timers
+     */
+    clearSessionTimers() {
+        for (const session of this.server.sessions.values()) {
+            clearTimeout(session.expiryTimer);
+            session.expiryTimer = null;
+        }
+    }
+}
+
+// Run if invoked directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const filePath = args.find(arg => !arg.startsWith('--'));
+
+    if (!filePath || args.includes('--help') || args.includes('-h')) {
+        console.log('Usage: node replay.js <recording.ndjson.gz> [--verbose]');
+        process.exit(filePath ? 0 : 1);
+    }
+
+    const replayer = new SessionReplayer(filePath, { verbose: args.includes('--verbose') });
+
+    replayer.run()
+        .then(({ ticks, steps, divergence }) => {
+            if (divergence) {
+                console.log(`[Replay] Diverged at tick ${divergence.tick} (physics step ${divergence.step}): expected state ${divergence.expected}, got ${divergence.actual}`);
+                console.log(`[Replay] ${ticks} ticks matched before the divergence`);
+                process.exit(1);
+            }
+
+            console.log(`[Replay] ${ticks} ticks (${steps} physics steps) replayed, no divergence`);
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('[Replay] Failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = SessionReplayer;
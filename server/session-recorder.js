@@ -0,0 +1,148 @@
+/**
+ * Session Recorder
+ * Logs everything that feeds one world instance's simulation (validated client messages, joins,
+ * disconnects, admin commands and random seeds, each stamped with its physics step) so replay.js can re-run it
+ *
+ * Format: gzipped NDJSON, a header line then one event per line:
+ *   { e: 'c', s, id, cid, tok, m } client joined with handshake m (id = connection number, cid = client ID)
+ *   { e: 'm', s, id, m }          validated message delivered to its handler
+ *   { e: 'd', s, id, k }          client disconnected (k = kicked)
+ *   { e: 'x', s, cid }            detached session expired
+ *   { e: 'a', s, cmd }            admin command
+ *   { e: 'v', s }                 initial vehicles spawned
+ *   { e: 'h', s, h }              player or vehicle handed over by another shard (h = handoff)
+ *   { e: 'o', s, cid | vid }      player or vehicle handed over to another shard
+ *   { e: 'r', p, seed }           random seed used by the next seeded decision (p = purpose)
+ *   { e: 't', s, n, h }           network tick n started, h = physics state hash
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const CONFIG = require('../shared/config.js');
+
+const FORMAT_VERSION = 5;
+
+// Buffered bytes before a flush; each flush appends one gzip member
+const FLUSH_SIZE = 64 * 1024;
+const FLUSH_INTERVAL = 1000;
+
+class SessionRecorder {
+    constructor() {
+        this.filePath = null;
+        this.buffer = [];
+        this.bufferSize = 0;
+        this.flushTimer = null;
+        this.eventCount = 0;
+    }
+
+    /**
+     * Start a new log
+     * @param {WorldInstance} instance - World being recorded
+     * @param {Object|null} world - Persisted world the session starts from (WorldPersistence.getData())
+     */
+    open(instance, world) {
+        const startedAt = new Date().toISOString();
+        const directory = path.resolve(__dirname, CONFIG.recording.directory);
+        fs.mkdirSync(directory, { recursive: true });
+        this.filePath = path.join(directory, `session-${instance.storageName}-${startedAt.replace(/[:.]/g, '-')}.ndjson.gz`);
+
+        this.write({
+            version: FORMAT_VERSION,
+            startedAt,
+            instance: { id: instance.id, name: instance.name, zones: instance.zoneDefinitions },
+            seed: instance.seed,
+            timestep: CONFIG.physics.timestep,
+            tickRate: instance.tickRate,
+            config: instance.server.configOverrides,
+            plugins: instance.server.plugins.getNames(),
+            shard: instance.shardMap ? {
+                id: instance.server.shardId,
+                regionSize: CONFIG.sharding.regionSize,
+                shards: CONFIG.sharding.shards
+            } : null,
+            world
+        });
+
+        this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+        console.log(`[Recorder] Recording session to ${this.filePath}`);
+    }
+
+    /**
+     * Append an event
+     */
+    record(event) {
+        if (!this.filePath) return;
+
+        this.eventCount++;
+        this.write(event);
+    }
+
+    write(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        this.buffer.push(line);
+        this.bufferSize += line.length;
+
+        if (this.bufferSize >= FLUSH_SIZE) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Compress buffered events onto the log (synchronous so nothing is lost on exit)
+     */
+    flush() {
+        if (this.buffer.length === 0) return;
+
+        try {
+            fs.appendFileSync(this.filePath, zlib.gzipSync(this.buffer.join('')));
+        } catch (e) {
+            console.error('[Recorder] Write failed, recording stopped:', e.message);
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+            this.filePath = null;
+        }
+
+        this.buffer = [];
+        this.bufferSize = 0;
+    }
+
+    /**
+     * Flush and stop recording
+     */
+    close() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        if (this.filePath) {
+            this.flush();
+        }
+
+        // flush() drops the file on a write error
+        if (this.filePath) {
+            console.log(`[Recorder] Recorded ${this.eventCount} events to ${this.filePath}`);
+            this.filePath = null;
+        }
+    }
+
+    /**
+     * Read a log back into its header and events
+     */
+    static read(filePath) {
+        const lines = zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8').split('\n').filter(Boolean);
+        if (lines.length === 0) {
+            throw new Error('empty recording');
+        }
+
+        const header = JSON.parse(lines[0]);
+        if (header.version !== FORMAT_VERSION) {
+            throw new Error(`recording format version ${header.version} is not supported (expected ${FORMAT_VERSION})`);
+        }
+
+        return { header, events: lines.slice(1).map(line => JSON.parse(line)) };
+    }
+}
+
+module.exports = SessionRecorder;
@@ -0,0 +1,163 @@
+/**
+ * Shard Link
+ * WebSocket links between neighbouring shard processes (on each game server's CONFIG.sharding.linkPath)
+ * Each shard dials every peer and sends over its own outbound link; inbound links only receive
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const CONFIG = require('../shared/config.js');
+
+class ShardLink {
+    /**
+     * @param {string} shardId - This process's shard
+     * @param {ShardMap} shardMap - Known shards and their URLs
+     * @param {Object} handlers - { onMessage(shardId, message), onPeerDown(shardId) }
+     */
+    constructor(shardId, shardMap, handlers) {
+        this.shardId = shardId;
+        this.shardMap = shardMap;
+        this.handlers = handlers;
+        this.settings = CONFIG.sharding;
+
+        this.outbound = new Map();       // shardId -> open WebSocket
+        this.inbound = new Map();        // WebSocket -> shardId
+        this.reconnectTimers = new Map(); // shardId -> timer
+        this.stopped = false;
+    }
+
+    /**
+     * Dial every other shard
+     */
+    start() {
+        for (const shard of this.shardMap.shards.values()) {
+            if (shard.id !== this.shardId) {
+                this.connect(shard);
+            }
+        }
+    }
+
+    /**
+     * Open (and keep reopening) the outbound link to a peer
+     */
+    connect(shard) {
+        const url = shard.url.replace(/\/$/, '') + this.settings.linkPath;
+        const ws = new WebSocket(url, {
+            headers: {
+                'x-shard-id': this.shardId,
+                'x-shard-secret': this.settings.secret
+            }
+        });
+
+        ws.on('open', () => {
+            this.outbound.set(shard.id, ws);
+            console.log(`[Shard] Linked to ${shard.id} (${url})`);
+        });
+
+        ws.on('close', () => {
+            if (this.outbound.get(shard.id) === ws) {
+                this.outbound.delete(shard.id);
+                console.warn(`[Shard] Link to ${shard.id} lost`);
+            }
+            this.scheduleReconnect(shard);
+        });
+
+        // Errors are followed by close, which retries
+        ws.on('error', () => {});
+    }
+
+    scheduleReconnect(shard) {
+        if (this.stopped || this.reconnectTimers.has(shard.id)) return;
+
+        this.reconnectTimers.set(shard.id, setTimeout(() => {
+            this.reconnectTimers.delete(shard.id);
+            this.connect(shard);
+        }, this.settings.reconnectDelay));
+    }
+
+    /**
+     * Check whether an incoming WebSocket connection is a peer link
+     */
+    isLinkRequest(req) {
+        return req.url.split('?')[0] === this.settings.linkPath;
+    }
+
+    /**
+     * Accept a peer's inbound link after checking its shard ID and the shared secret
+     */
+    attachSocket(ws, req) {
+        const peerId = req.headers['x-shard-id'];
+        const secret = Buffer.from(String(req.headers['x-shard-secret'] || ''));
+        const expected = Buffer.from(this.settings.secret);
+
+        if (!this.shardMap.getShard(peerId) || peerId === this.shardId ||
+            secret.length !== expected.length || !crypto.timingSafeEqual(secret, expected)) {
+            console.warn(`[Shard] Rejected link from ${req.socket.remoteAddress} (shard ${peerId})`);
+            ws.close(1008, 'Unknown shard or bad secret');
+            return;
+        }
+
+        this.inbound.set(ws, peerId);
+
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (e) {
+                console.warn(`[Shard] Unparseable message from ${peerId}`);
+                return;
+            }
+            this.handlers.onMessage(peerId, message);
+        });
+
+        ws.on('close', () => {
+            this.inbound.delete(ws);
+            this.handlers.onPeerDown(peerId);
+        });
+
+        ws.on('error', (error) => {
+            console.error(`[Shard] Link error (${peerId}):`, error.message);
+        });
+    }
+
+    /**
+     * Send to a peer over our outbound link
+     * @returns {boolean} False if the link is down
+     */
+    send(shardId, message) {
+        const ws = this.outbound.get(shardId);
+        if (!ws || ws.readyState !== WebSocket.OPEN) return false;
+
+        ws.send(JSON.stringify(message));
+        return true;
+    }
+
+    isConnected(shardId) {
+        const ws = this.outbound.get(shardId);
+        return Boolean(ws) && ws.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Close all links
+     */
+    stop() {
+        this.stopped = true;
+
+        for (const timer of this.reconnectTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.reconnectTimers.clear();
+
+        for (const ws of this.outbound.values()) {
+            ws.close();
+        }
+        this.outbound.clear();
+
+        for (const ws of this.inbound.keys()) {
+            ws.close();
+        }
+        this.inbound.clear();
+    }
+}
+
+module.exports = ShardLink;
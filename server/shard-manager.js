@@ -0,0 +1,363 @@
+/**
+ * Shard Manager
+ * Runs one shard of a spatially sharded world: mirrors entities near region boundaries to
+ * neighbouring shards (as ghosts) and hands players and vehicles over when they cross into a peer's region
+ *
+ * Link messages:
+ *   { type: 'border', players, vehicles }       local entities within borderWidth of the receiver
+ *   { type: 'handoff', handoff }                take over a player (with its session and vehicle) or a vehicle
+ *   { type: 'handoff_ack', id } / 'handoff_reject'  the receiver adopted (or refused) handoff id
+ *
+ * A handoff that goes unanswered is in doubt: the peer may have adopted the entity and its ack been lost.
+ * It is resent under the same id until the peer answers, and a peer that already adopted that id acks it again.
+ */
+
+const CONFIG = require('../shared/config.js');
+const ShardLink = require('./shard-link.js');
+
+const LINK_MESSAGES = {
+    BORDER: 'border',
+    HANDOFF: 'handoff',
+    HANDOFF_ACK: 'handoff_ack',
+    HANDOFF_REJECT: 'handoff_reject'
+};
+
+class ShardManager {
+    /**
+     * @param {PhysicsServer} server - Owns sessions and client redirects
+     * @param {WorldInstance} instance - The sharded world
+     */
+    constructor(server, instance) {
+        this.server = server;
+        this.instance = instance;
+        this.settings = CONFIG.sharding;
+        this.shardId = server.shardId;
+
+        this.map = instance.shardMap;
+        if (!this.map.getShard(this.shardId)) {
+            throw new Error(`shard ${this.shardId} is not in sharding.shards`);
+        }
+
+        this.link = new ShardLink(this.shardId, this.map, {
+            onMessage: (shardId, message) => this.handleLinkMessage(shardId, message),
+            onPeerDown: (shardId) => this.ghosts.delete(shardId)
+        });
+
+        // Entities mirrored from neighbours
+        this.ghosts = new Map();         // shardId -> { players, vehicles }
+
+        // Outgoing handoffs awaiting an ack
+        this.pendingHandoffs = new Map(); // handoffId -> { shardId, entityId, clientId, vehicleId, sentAt, rejected, inDoubt }
+        this.nextHandoffId = 1;
+
+        // Incoming handoffs we adopted, so a resent one is acked again rather than refused
+        this.adoptedHandoffs = new Map(); // handoffId -> last time it was received
+    }
+
+    start() {
+        this.link.start();
+        console.log(`[Shard] Running shard ${this.shardId} (${this.map.shards.size} shards, regions of ${this.settings.regionSize}x${this.settings.regionSize} chunks)`);
+    }
+
+    /**
+     * Per network tick: start handoffs for entities that left our regions and send border states
+     */
+    update() {
+        const { playerManager, vehicleManager } = this.instance;
+        const playerStates = playerManager.getAllPlayerStates();
+        const vehicleStates = vehicleManager.getAllVehicleStates();
+        const vehiclePositions = new Map(vehicleStates.map(state => [state.entityId, state.position]));
+
+        this.expireHandoffs();
+
+        // Players carry their vehicle with them; empty vehicles go on their own
+        for (const state of playerStates) {
+            // Players held for a resume stay put: their client will come back here
+            if (!this.server.clientsById.has(state.clientId)) continue;
+
+            const position = state.inVehicle ? vehiclePositions.get(state.vehicleId) : state.position;
+            if (position) this.checkHandoff(state.entityId, position, () => this.createPlayerHandoff(state));
+        }
+
+        for (const state of vehicleStates) {
+            if (state.driverId) continue;
+            this.checkHandoff(state.entityId, state.position, () => this.createVehicleHandoff(state));
+        }
+
+        this.sendBorderStates(playerStates, vehicleStates, vehiclePositions);
+    }
+
+    /**
+     * Hand an entity to the shard whose region it is now clearly inside
+     */
+    checkHandoff(entityId, position, createHandoff) {
+        const owner = this.map.settledOwnerAt(position.x, position.z);
+        if (!owner || owner === this.shardId || this.isHandingOff(entityId)) return;
+
+        // Peer unreachable: keep simulating it here until the link is back
+        if (!this.link.isConnected(owner)) return;
+
+        const handoff = createHandoff();
+        this.pendingHandoffs.set(handoff.id, {
+            shardId: owner,
+            entityId,
+            clientId: handoff.clientId || null,
+            vehicleId: handoff.kind === 'vehicle' ? handoff.vehicle.entityId : null,
+            sentAt: Date.now(),
+            rejected: false,
+            inDoubt: false
+        });
+        this.link.send(owner, { type: LINK_MESSAGES.HANDOFF, handoff });
+    }
+
+    isHandingOff(entityId) {
+        for (const pending of this.pendingHandoffs.values()) {
+            if (pending.entityId === entityId) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Retry refused handoffs (under a new id) and resend unanswered ones (under the same id)
+     */
+    expireHandoffs() {
+        const now = Date.now();
+        const cutoff = now - this.settings.handoffTimeout;
+
+        for (const [id, pending] of this.pendingHandoffs) {
+            if (pending.sentAt >= cutoff) continue;
+
+            const handoff = pending.rejected ? null : this.recreateHandoff(id, pending);
+            if (!handoff) {
+                // Refused, or the entity is gone from here: nothing can be in doubt
+                this.pendingHandoffs.delete(id);
+                continue;
+            }
+
+            // Until the peer answers it may have the entity, so no fresh handoff can start
+            if (!pending.inDoubt) {
+                console.warn(`[Shard] Handoff of ${pending.entityId} to ${pending.shardId} timed out, resending`);
+                pending.inDoubt = true;
+            }
+            pending.sentAt = now;
+            if (this.link.isConnected(pending.shardId)) {
+                this.link.send(pending.shardId, { type: LINK_MESSAGES.HANDOFF, handoff });
+            }
+        }
+
+        for (const [id, receivedAt] of this.adoptedHandoffs) {
+            if (receivedAt < now - this.settings.handoffTimeout * 3) this.adoptedHandoffs.delete(id);
+        }
+    }
+
+    /**
+     * The current state of an entity being handed off, under the handoff's original id
+     * @returns {Object|null} Null if the entity is no longer here
+     */
+    recreateHandoff(id, pending) {
+        const { playerManager, vehicleManager } = this.instance;
+
+        if (pending.clientId) {
+            const state = playerManager.getPlayerState(pending.clientId);
+            return state ? { ...this.createPlayerHandoff(state), id } : null;
+        }
+
+        const state = vehicleManager.getVehicleState(pending.vehicleId);
+        return state ? { ...this.createVehicleHandoff(state), id } : null;
+    }
+
+    /**
+     * Everything the next shard needs to carry on simulating a player, including its resumable session
+     */
+    createPlayerHandoff(state) {
+        const { clientId } = state;
+        const player = this.instance.playerManager.getPlayer(clientId);
+        const session = this.server.getSessionByClientId(clientId);
+
+        return {
+            id: this.nextId(),
+            kind: 'player',
+            from: this.shardId,
+            clientId,
+            sessionToken: session ? session.token : null,
+            username: player.username,
+            appearance: player.appearance,
+            health: player.health,
+            stamina: player.stamina,
+            yaw: player.yaw,
+            inventory: Array.from(player.inventory),
+            position: state.position || null,
+            velocity: state.velocity || null,
+            vehicle: player.vehicleId ? this.describeVehicle(this.instance.vehicleManager.getVehicleState(player.vehicleId)) : null
+        };
+    }
+
+    createVehicleHandoff(state) {
+        return {
+            id: this.nextId(),
+            kind: 'vehicle',
+            from: this.shardId,
+            vehicle: this.describeVehicle(state)
+        };
+    }
+
+    nextId() {
+        return `${this.shardId}:${this.nextHandoffId++}`;
+    }
+
+    describeVehicle(state) {
+        return {
+            entityId: state.entityId,
+            vehicleType: state.vehicleType,
+            position: state.position,
+            rotation: state.rotation,
+            velocity: state.velocity,
+            angularVelocity: state.angularVelocity,
+            health: state.health,
+            fuel: state.fuel
+        };
+    }
+
+    /**
+     * Mirror entities near each neighbour's territory to it
+     */
+    sendBorderStates(playerStates, vehicleStates, vehiclePositions) {
+        const outgoing = new Map();      // shardId -> { players, vehicles }
+        for (const shardId of this.map.shards.keys()) {
+            if (shardId !== this.shardId) {
+                outgoing.set(shardId, { type: LINK_MESSAGES.BORDER, players: [], vehicles: [] });
+            }
+        }
+
+        const mirror = (collection, state, position) => {
+            for (const shardId of this.map.shardsNear(position.x, position.z)) {
+                const message = outgoing.get(shardId);
+                if (message) message[collection].push(state);
+            }
+        };
+
+        for (const state of vehicleStates) {
+            mirror('vehicles', state, state.position);
+        }
+        for (const state of playerStates) {
+            const position = state.inVehicle ? vehiclePositions.get(state.vehicleId) : state.position;
+            if (position) mirror('players', state, position);
+        }
+
+        // Sent every tick (empty too) so the peer drops ghosts that moved away
+        for (const [shardId, message] of outgoing) {
+            this.link.send(shardId, message);
+        }
+    }
+
+    /**
+     * Ghost states from all neighbours, minus anything we simulate ourselves (mid-handoff)
+     * @returns {Object} { players, vehicles }
+     */
+    getGhostStates() {
+        const { playerManager, vehicleManager } = this.instance;
+        const players = [];
+        const vehicles = [];
+
+        for (const ghosts of this.ghosts.values()) {
+            for (const state of ghosts.players) {
+                if (!playerManager.hasPlayer(state.clientId)) players.push(state);
+            }
+            for (const state of ghosts.vehicles) {
+                if (!vehicleManager.vehicles.has(state.entityId)) vehicles.push(state);
+            }
+        }
+
+        return { players, vehicles };
+    }
+
+    /**
+     * Handle a message from a peer
+     */
+    handleLinkMessage(shardId, message) {
+        switch (message.type) {
+            case LINK_MESSAGES.BORDER:
+                this.ghosts.set(shardId, {
+                    players: Array.isArray(message.players) ? message.players : [],
+                    vehicles: Array.isArray(message.vehicles) ? message.vehicles : []
+                });
+                break;
+
+            case LINK_MESSAGES.HANDOFF: {
+                const { handoff } = message;
+                // A resend of one we already adopted (our ack was lost): ack it again
+                const adopted = this.adoptedHandoffs.has(handoff.id) || this.server.adoptHandoff(this.instance, handoff);
+                if (adopted) this.adoptedHandoffs.set(handoff.id, Date.now());
+                this.link.send(shardId, {
+                    type: adopted ? LINK_MESSAGES.HANDOFF_ACK : LINK_MESSAGES.HANDOFF_REJECT,
+                    id: handoff.id
+                });
+                break;
+            }
+
+            case LINK_MESSAGES.HANDOFF_ACK:
+                this.completeHandoff(message.id);
+                break;
+
+            case LINK_MESSAGES.HANDOFF_REJECT: {
+                const pending = this.pendingHandoffs.get(message.id);
+                if (pending) {
+                    // Kept until it expires, so the retry waits a handoffTimeout
+                    pending.rejected = true;
+                    console.warn(`[Shard] ${shardId} refused ${pending.entityId}`);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * The peer has the entity: drop ours and send its client across
+     */
+    completeHandoff(handoffId) {
+        const pending = this.pendingHandoffs.get(handoffId);
+        if (!pending) return;
+        this.pendingHandoffs.delete(handoffId);
+
+        if (pending.inDoubt) {
+            console.log(`[Shard] ${pending.shardId} confirmed in-doubt handoff of ${pending.entityId}`);
+        }
+
+        if (pending.clientId) {
+            this.server.releasePlayer(this.instance, pending.clientId, this.map.getShard(pending.shardId).url);
+        } else {
+            this.instance.releaseVehicle(pending.vehicleId);
+        }
+
+        console.log(`[Shard] Handed ${pending.entityId} to ${pending.shardId}`);
+    }
+
+    /**
+     * Link status for the admin console
+     */
+    getInfo() {
+        const peers = [];
+        for (const shard of this.map.shards.values()) {
+            if (shard.id === this.shardId) continue;
+
+            const ghosts = this.ghosts.get(shard.id);
+            peers.push({
+                id: shard.id,
+                url: shard.url,
+                connected: this.link.isConnected(shard.id),
+                ghosts: ghosts ? ghosts.players.length + ghosts.vehicles.length : 0
+            });
+        }
+        let inDoubt = 0;
+        for (const pending of this.pendingHandoffs.values()) {
+            if (pending.inDoubt) inDoubt++;
+        }
+        return { shardId: this.shardId, peers, pendingHandoffs: this.pendingHandoffs.size, inDoubtHandoffs: inDoubt };
+    }
+
+    stop() {
+        this.link.stop();
+    }
+}
+
+module.exports = ShardManager;
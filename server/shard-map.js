@@ -0,0 +1,112 @@
+/**
+ * Shard Map
+ * Splits the world into square regions of terrain chunks and says which shard process owns each
+ */
+
+const CONFIG = require('../shared/config.js');
+
+class ShardMap {
+    /**
+     * @param {TerrainPhysicsManager} terrainManager - Chunk math (worldToChunk)
+     * @param {Object} settings - CONFIG.sharding
+     */
+    constructor(terrainManager, settings = CONFIG.sharding) {
+        this.terrainManager = terrainManager;
+        this.regionSize = settings.regionSize;
+        this.borderWidth = settings.borderWidth;
+        this.handoffMargin = settings.handoffMargin;
+
+        this.shards = new Map();         // shardId -> { id, url, regions }
+        this.regionOwners = new Map();   // "regionX,regionZ" -> shardId
+        this.defaultShardId = null;      // Owns every region no shard lists
+
+        for (const shard of settings.shards) {
+            if (this.shards.has(shard.id)) {
+                throw new Error(`duplicate shard id ${shard.id}`);
+            }
+            this.shards.set(shard.id, shard);
+            this.defaultShardId = this.defaultShardId || shard.id;
+
+            for (const key of shard.regions || []) {
+                if (this.regionOwners.has(key)) {
+                    throw new Error(`region ${key} is listed by both ${this.regionOwners.get(key)} and ${shard.id}`);
+                }
+                this.regionOwners.set(key, shard.id);
+            }
+        }
+    }
+
+    /**
+     * Region containing a world position
+     */
+    regionAt(x, z) {
+        const { chunkX, chunkZ } = this.terrainManager.worldToChunk(x, z);
+        return {
+            regionX: Math.floor(chunkX / this.regionSize),
+            regionZ: Math.floor(chunkZ / this.regionSize)
+        };
+    }
+
+    /**
+     * ID of the shard owning a world position
+     */
+    ownerAt(x, z) {
+        const { regionX, regionZ } = this.regionAt(x, z);
+        return this.regionOwners.get(`${regionX},${regionZ}`) || this.defaultShardId;
+    }
+
+    /**
+     * Shard an entity should be handed to: the owner of every point within handoffMargin,
+     * so entities hovering on a boundary stay where they are
+     * @returns {string|null} Shard ID, or null if the position is not clearly inside one shard
+     */
+    settledOwnerAt(x, z) {
+        const margin = this.handoffMargin;
+        const owner = this.ownerAt(x, z);
+
+        for (const [dx, dz] of [[-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+            if (this.ownerAt(x + dx * margin, z + dz * margin) !== owner) {
+                return null;
+            }
+        }
+        return owner;
+    }
+
+    /**
+     * Shards (other than the owner) with territory within borderWidth of a position
+     * @returns {Set<string>}
+     */
+    shardsNear(x, z) {
+        const owner = this.ownerAt(x, z);
+        const width = this.borderWidth;
+        const near = new Set();
+
+        for (const [dx, dz] of [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+            const shardId = this.ownerAt(x + dx * width, z + dz * width);
+            if (shardId !== owner) {
+                near.add(shardId);
+            }
+        }
+        return near;
+    }
+
+    /**
+     * Centre of a shard's first listed region (somewhere to spawn when random picks keep landing elsewhere)
+     * @returns {Object|null} { x, z }, or null if the shard lists no regions
+     */
+    homeOf(shardId) {
+        const shard = this.getShard(shardId);
+        const key = shard && shard.regions && shard.regions[0];
+        if (!key) return null;
+
+        const [regionX, regionZ] = key.split(',').map(Number);
+        const size = this.regionSize * this.terrainManager.chunkSize;
+        return { x: (regionX + 0.5) * size, z: (regionZ + 0.5) * size };
+    }
+
+    getShard(shardId) {
+        return this.shards.get(shardId) || null;
+    }
+}
+
+module.exports = ShardMap;
@@ -0,0 +1,132 @@
+/**
+ * Per-client Binary Snapshot Encoder
+ * Tracks acknowledged snapshots and encodes deltas against them
+ */
+
+const CONFIG = require('../shared/config.js');
+const SnapshotCodec = require('../shared/snapshot-codec.js');
+
+class SnapshotEncoder {
+    constructor() {
+        // Network IDs (compact per-connection entity IDs)
+        this.netIds = new Map();         // entityId -> netId
+        this.usedNetIds = new Set();     // netIds currently assigned (skipped when the counter wraps)
+        this.nextNetId = 1;
+
+        // Sent snapshots awaiting use as baselines
+        this.history = new Map();        // tick -> Map(netId -> quantized entity)
+        this.historySize = CONFIG.network.snapshotBufferSize;
+
+        // Most recent snapshot the client confirmed it decoded
+        this.lastAckedTick = 0;
+    }
+
+    /**
+     * Record a snapshot acknowledgment from the client
+     */
+    acknowledge(tick) {
+        if (tick > this.lastAckedTick && this.history.has(tick)) {
+            this.lastAckedTick = tick;
+        }
+    }
+
+    /**
+     * Get or assign the network ID for an entity
+     * (IDs are 16-bit and wrap, so long-lived entities' IDs are skipped rather than handed out twice)
+     */
+    getNetId(entityId) {
+        let netId = this.netIds.get(entityId);
+        if (netId === undefined) {
+            if (this.usedNetIds.size >= 0xFFFF) {
+                throw new Error('Out of snapshot network IDs');
+            }
+            do {
+                netId = this.nextNetId;
+                this.nextNetId = (this.nextNetId % 0xFFFF) + 1;
+            } while (this.usedNetIds.has(netId));
+
+            this.netIds.set(entityId, netId);
+            this.usedNetIds.add(netId);
+        }
+        return netId;
+    }
+
+    /**
+     * Encode a frame for this client
+     * @param {Object} frame - { tick, serverTime, entities: quantized entity[] }
+     * @param {number} yourLastInputSeq - Last input processed for this client
+     * @returns {Uint8Array}
+     */
+    encode(frame, yourLastInputSeq) {
+        const baseline = this.history.get(this.lastAckedTick) || null;
+        const baselineTick = baseline ? this.lastAckedTick : 0;
+        const current = new Map();
+        const records = [];
+
+        for (const entity of frame.entities) {
+            const netId = this.getNetId(entity.entityId);
+            current.set(netId, entity);
+
+            const diff = SnapshotCodec.diffEntity(entity, baseline ? baseline.get(netId) : null);
+            if (diff) {
+                records.push({ netId, entity, fields: diff.fields, props: diff.props });
+            }
+        }
+
+        const removed = [];
+        if (baseline) {
+            for (const netId of baseline.keys()) {
+                if (!current.has(netId)) removed.push(netId);
+            }
+        }
+
+        this.storeHistory(frame.tick, current);
+
+        return SnapshotCodec.writeSnapshot({
+            tick: frame.tick,
+            serverTime: frame.serverTime,
+            baselineTick,
+            yourLastInputSeq
+        }, removed, records);
+    }
+
+    /**
+     * Keep the sent snapshot as a potential baseline
+     */
+    storeHistory(tick, entities) {
+        this.history.set(tick, entities);
+
+        while (this.history.size > this.historySize) {
+            const oldestTick = this.history.keys().next().value;
+            this.history.delete(oldestTick);
+        }
+
+        if (!this.history.has(this.lastAckedTick)) {
+            this.lastAckedTick = 0;
+        }
+
+        this.pruneNetIds();
+    }
+
+    /**
+     * Drop network IDs no retained snapshot refers to
+     * (only once enough have accumulated to be worth the scan)
+     */
+    pruneNetIds() {
+        if (this.netIds.size < 256) return;
+
+        const live = new Set();
+        for (const entities of this.history.values()) {
+            for (const netId of entities.keys()) live.add(netId);
+        }
+
+        for (const [entityId, netId] of this.netIds) {
+            if (!live.has(netId)) {
+                this.netIds.delete(entityId);
+                this.usedNetIds.delete(netId);
+            }
+        }
+    }
+}
+
+module.exports = SnapshotEncoder;
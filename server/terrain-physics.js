@@ -7,7 +7,10 @@ const CONFIG = require('../shared/config.js');
 const TerrainNoise = require('../shared/terrain-noise.js');
 
 class TerrainPhysicsManager {
-    constructor(physicsWorld) {
+    /**
+     * @param {number} seed - World seed (per world instance)
+     */
+    constructor(physicsWorld, seed = CONFIG.world.seed) {
         this.physicsWorld = physicsWorld;
 
         // Track loaded chunks
@@ -16,6 +19,8 @@ class TerrainPhysicsManager {
 
         // Building tracking
         this.buildings = new Map();      // "chunkX,chunkZ" -> building entity IDs
+        this.buildingRecords = new Map(); // Building entityId -> { entityId, chunkX, chunkZ, index, building, destroyed }
+        this.destroyedBuildings = new Map(); // "chunkX,chunkZ" -> Set of indices of buildings left as rubble (kept after unloading)
 
         // Chunk loading queue
         this.loadQueue = [];
@@ -25,7 +30,7 @@ class TerrainPhysicsManager {
         // Configuration
         this.chunkSize = CONFIG.world.chunkSize;
         this.resolution = CONFIG.world.terrainResolution;
-        this.seed = CONFIG.world.seed;
+        this.seed = seed;
     }
 
     /**
@@ -38,8 +43,7 @@ class TerrainPhysicsManager {
 
         // Calculate all required chunks based on player positions
         for (const player of playerPositions) {
-            const centerChunkX = Math.floor(player.x / this.chunkSize);
-            const centerChunkZ = Math.floor(player.z / this.chunkSize);
+            const { chunkX: centerChunkX, chunkZ: centerChunkZ } = this.worldToChunk(player.x, player.z);
 
             for (let dx = -chunkRadius; dx <= chunkRadius; dx++) {
                 for (let dz = -chunkRadius; dz <= chunkRadius; dz++) {
@@ -122,17 +126,15 @@ class TerrainPhysicsManager {
         const buildings = TerrainNoise.getCityBuildings(chunkX, chunkZ, this.chunkSize, this.seed);
         const buildingIds = [];
 
+        const destroyed = this.destroyedBuildings.get(key);
+
         for (let i = 0; i < buildings.length; i++) {
             const building = buildings[i];
             const entityId = `building_${chunkX}_${chunkZ}_${i}`;
+            const record = { entityId, chunkX, chunkZ, index: i, building, destroyed: Boolean(destroyed && destroyed.has(i)) };
 
-            this.physicsWorld.createBuildingCollider(
-                entityId,
-                { x: building.x, y: building.y, z: building.z },
-                { width: building.width, height: building.height, depth: building.depth },
-                building.rotation
-            );
-
+            this.createBuildingCollider(record);
+            this.buildingRecords.set(entityId, record);
             buildingIds.push(entityId);
         }
 
@@ -162,6 +164,7 @@ class TerrainPhysicsManager {
         const buildingIds = this.buildings.get(key) || [];
         for (const entityId of buildingIds) {
             this.physicsWorld.removeEntity(entityId);
+            this.buildingRecords.delete(entityId);
         }
 
         // Clean up tracking
@@ -169,12 +172,85 @@ class TerrainPhysicsManager {
         this.buildings.delete(key);
     }
 
+    /**
+     * Create the collider for a building, or for the rubble it left
+     */
+    createBuildingCollider(record) {
+        const { building } = record;
+        const height = record.destroyed ? Math.min(CONFIG.buildings.rubbleHeight, building.height) : building.height;
+
+        this.physicsWorld.createBuildingCollider(
+            record.entityId,
+            { x: building.x, y: building.y, z: building.z },
+            { width: building.width, height, depth: building.depth },
+            building.rotation
+        );
+    }
+
+    /**
+     * Get a loaded building
+     * @returns {Object|null} { entityId, chunkX, chunkZ, index, building, destroyed }
+     */
+    getBuilding(entityId) {
+        return this.buildingRecords.get(entityId) || null;
+    }
+
+    /**
+     * Leave a loaded building as rubble (for good: its chunk remembers)
+     * @returns {Object|null} The building record, or null if it isn't standing
+     */
+    destroyBuilding(entityId) {
+        const record = this.buildingRecords.get(entityId);
+        if (!record || record.destroyed) return null;
+
+        const key = `${record.chunkX},${record.chunkZ}`;
+        if (!this.destroyedBuildings.has(key)) {
+            this.destroyedBuildings.set(key, new Set());
+        }
+        this.destroyedBuildings.get(key).add(record.index);
+
+        record.destroyed = true;
+        this.physicsWorld.removeEntity(entityId);
+        this.createBuildingCollider(record);
+        return record;
+    }
+
+    /**
+     * Destroyed buildings by chunk, for saving: { "chunkX,chunkZ": [index, ...] }
+     */
+    getDestroyedBuildings() {
+        const destroyed = {};
+        for (const [key, indices] of this.destroyedBuildings) {
+            destroyed[key] = Array.from(indices).sort((a, b) => a - b);
+        }
+        return destroyed;
+    }
+
+    /**
+     * Restore saved destroyed buildings (before their chunks load)
+     */
+    restoreDestroyedBuildings(destroyed) {
+        this.destroyedBuildings = new Map(
+            Object.entries(destroyed).map(([key, indices]) => [key, new Set(indices)])
+        );
+    }
+
+    /**
+     * A chunk's buildings for clients, destroyed ones flagged so they are drawn as rubble
+     */
+    getChunkBuildings(chunkX, chunkZ) {
+        const buildings = TerrainNoise.getCityBuildings(chunkX, chunkZ, this.chunkSize, this.seed);
+        const destroyed = this.destroyedBuildings.get(`${chunkX},${chunkZ}`);
+        if (!destroyed) return buildings;
+
+        return buildings.map((building, index) => destroyed.has(index) ? { ...building, destroyed: true } : building);
+    }
+
     /**
      * Force load chunks around a position (for spawning)
      */
     forceLoadAroundPosition(x, z, radius = 1) {
-        const centerChunkX = Math.floor(x / this.chunkSize);
-        const centerChunkZ = Math.floor(z / this.chunkSize);
+        const { chunkX: centerChunkX, chunkZ: centerChunkZ } = this.worldToChunk(x, z);
 
         for (let dx = -radius; dx <= radius; dx++) {
             for (let dz = -radius; dz <= radius; dz++) {
@@ -183,6 +259,16 @@ class TerrainPhysicsManager {
         }
     }
 
+    /**
+     * Get chunk coordinates containing a world position
+     */
+    worldToChunk(x, z) {
+        return {
+            chunkX: Math.floor(x / this.chunkSize),
+            chunkZ: Math.floor(z / this.chunkSize)
+        };
+    }
+
     /**
      * Get terrain height at position
      */
@@ -204,6 +290,15 @@ class TerrainPhysicsManager {
         return TerrainNoise.getBiomeAt(x, z, this.seed);
     }
 
+    /**
+     * Get the water surface height at position
+     * @returns {number|null} Null where there is no water
+     */
+    getWaterLevelAt(x, z) {
+        const { waterLevel } = CONFIG.world;
+        return TerrainNoise.isWater(x, z, this.seed, waterLevel) ? waterLevel : null;
+    }
+
     /**
      * Get city influence at position
      */
@@ -213,8 +308,9 @@ class TerrainPhysicsManager {
 
     /**
      * Find a suitable spawn point
+     * @param {Function} random - Random source returning [0, 1) (seeded for recorded sessions)
      */
-    findSpawnPoint() {
+    findSpawnPoint(random = Math.random) {
         // Try to find a relatively flat area
         const searchRadius = 5000;
         const attempts = 50;
@@ -223,8 +319,8 @@ class TerrainPhysicsManager {
         let bestFlatness = Infinity;
 
         for (let i = 0; i < attempts; i++) {
-            const x = (Math.random() - 0.5) * searchRadius;
-            const z = (Math.random() - 0.5) * searchRadius;
+            const x = (random() - 0.5) * searchRadius;
+            const z = (random() - 0.5) * searchRadius;
             const y = this.getHeightAt(x, z);
 
             // Check for city (good spawn point)
@@ -270,7 +366,7 @@ class TerrainPhysicsManager {
             const y = this.getHeightAt(x, z);
 
             // Check if not in water and reasonably flat
-            if (!TerrainNoise.isWater(x, z, this.seed)) {
+            if (!TerrainNoise.isWater(x, z, this.seed, CONFIG.world.waterLevel)) {
                 const normal = this.getNormalAt(x, z);
                 if (normal.y > 0.8) { // Not too steep
                     points.push({
@@ -300,7 +396,7 @@ class TerrainPhysicsManager {
                 this.seed
             );
 
-            const buildings = TerrainNoise.getCityBuildings(chunkX, chunkZ, this.chunkSize, this.seed);
+            const buildings = this.getChunkBuildings(chunkX, chunkZ);
             const biome = TerrainNoise.getBiomeAt(
                 chunkX * this.chunkSize + this.chunkSize / 2,
                 chunkZ * this.chunkSize + this.chunkSize / 2,
@@ -317,7 +413,7 @@ class TerrainPhysicsManager {
         }
 
         // Return stored data with render resolution heightmap
-        const buildings = TerrainNoise.getCityBuildings(chunkX, chunkZ, this.chunkSize, this.seed);
+        const buildings = this.getChunkBuildings(chunkX, chunkZ);
         const biome = TerrainNoise.getBiomeAt(
             chunkX * this.chunkSize + this.chunkSize / 2,
             chunkZ * this.chunkSize + this.chunkSize / 2,
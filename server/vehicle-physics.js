@@ -6,23 +6,30 @@
 const CONFIG = require('../shared/config.js');
 
 class VehiclePhysicsManager {
-    constructor(physicsWorld, terrainManager) {
+    /**
+     * @param {string} idPrefix - Inserted into vehicle IDs (shards prefix their own so IDs stay unique across handoffs)
+     */
+    constructor(physicsWorld, terrainManager, idPrefix = '') {
         this.physicsWorld = physicsWorld;
         this.terrainManager = terrainManager;
+        this.idPrefix = idPrefix;
 
         // Vehicle tracking
         this.vehicles = new Map();       // entityId -> vehicle data
         this.vehicleInputs = new Map();  // entityId -> current input state
+        this.nextVehicleNumber = 1;      // Sequential IDs, so a replayed session names vehicles the same way
 
         // Vehicle types configuration
         this.vehicleTypes = CONFIG.vehicleTypes;
+        this.waterConfig = CONFIG.water.vehicle;
     }
 
     /**
      * Spawn a vehicle
+     * @param {string} entityId - Keep an existing ID (a vehicle handed over from another shard)
      */
-    spawnVehicle(vehicleType, position, rotation = 0) {
-        const entityId = `vehicle_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    spawnVehicle(vehicleType, position, rotation = 0, entityId = null) {
+        entityId = entityId || `vehicle_${this.idPrefix}${this.nextVehicleNumber++}`;
 
         // Create physics body
         const quaternion = this.yawToQuaternion(rotation);
@@ -41,6 +48,9 @@ class VehiclePhysicsManager {
             engineRunning: false,
             health: 100,
             fuel: 100,
+            inSafeZone: false,  // Takes no damage (set by the ZoneManager)
+            inWater: false,     // Partly under water
+            engineStalled: false, // Flooded: the engine won't run until the vehicle is out of the water
             // Wheeled vehicle specific
             wheelStates: this.physicsWorld.entityData.get(entityId)?.wheelStates || null
         });
@@ -86,7 +96,7 @@ class VehiclePhysicsManager {
         }
 
         vehicle.driverId = playerId;
-        vehicle.engineRunning = true;
+        vehicle.engineRunning = vehicle.health > 0 && !vehicle.engineStalled;
 
         // Update entity data
         const entityData = this.physicsWorld.entityData.get(entityId);
@@ -109,6 +119,24 @@ class VehiclePhysicsManager {
         vehicle.engineRunning = false;
 
         // Reset inputs
+        this.clearVehicleInput(entityId);
+
+        // Update entity data
+        const entityData = this.physicsWorld.entityData.get(entityId);
+        if (entityData) {
+            entityData.driverId = null;
+        }
+
+        console.log(`[VehiclePhysics] Player ${playerId} exited vehicle ${entityId}`);
+        return true;
+    }
+
+    /**
+     * Reset vehicle input to idle with the handbrake on
+     */
+    clearVehicleInput(entityId) {
+        if (!this.vehicles.has(entityId)) return;
+
         this.vehicleInputs.set(entityId, {
             throttle: 0,
             brake: 0,
@@ -119,25 +147,38 @@ class VehiclePhysicsManager {
             roll: 0,
             yaw: 0
         });
-
-        // Update entity data
-        const entityData = this.physicsWorld.entityData.get(entityId);
-        if (entityData) {
-            entityData.driverId = null;
-        }
-
-        console.log(`[VehiclePhysics] Player ${playerId} exited vehicle ${entityId}`);
-        return true;
     }
 
     /**
      * Update vehicle input from player
      */
     setVehicleInput(entityId, input) {
-        if (!this.vehicles.has(entityId)) return;
+        const vehicle = this.vehicles.get(entityId);
+        if (!vehicle || vehicle.health <= 0) return;   // Wrecks can't be driven
         this.vehicleInputs.set(entityId, { ...this.vehicleInputs.get(entityId), ...input });
     }
 
+    /**
+     * Apply damage to a vehicle (at 0 health its engine dies and it can no longer be driven)
+     * @returns {number|false} Remaining health, or false if there is no such vehicle
+     */
+    damageVehicle(entityId, damage) {
+        const vehicle = this.vehicles.get(entityId);
+        if (!vehicle) return false;
+        if (vehicle.inSafeZone) return vehicle.health;
+
+        const wasIntact = vehicle.health > 0;
+        vehicle.health = Math.max(0, vehicle.health - damage);
+
+        if (wasIntact && vehicle.health <= 0) {
+            vehicle.engineRunning = false;
+            this.clearVehicleInput(entityId);
+            console.log(`[VehiclePhysics] Vehicle ${entityId} destroyed`);
+        }
+
+        return vehicle.health;
+    }
+
     /**
      * Update all vehicle physics
      */
@@ -146,6 +187,8 @@ class VehiclePhysicsManager {
             const input = this.vehicleInputs.get(entityId);
             if (!input) continue;
 
+            this.updateWater(entityId, vehicle, deltaTime);
+
             switch (vehicle.vehicleType) {
                 case 'car':
                 case 'truck':
@@ -165,6 +208,60 @@ class VehiclePhysicsManager {
         }
     }
 
+    /**
+     * Float and slow a vehicle in water, stalling its engine once it is under
+     * (hovercraft ride on the surface instead, see updateHovercraft)
+     */
+    updateWater(entityId, vehicle, deltaTime) {
+        const body = this.physicsWorld.bodies.get(entityId);
+        if (!body) return;
+
+        const submerged = vehicle.vehicleType === 'hovercraft' ? 0 : this.getSubmersion(vehicle, body.translation());
+        vehicle.inWater = submerged > 0;
+
+        if (submerged >= this.waterConfig.stallDepth) {
+            if (!vehicle.engineStalled) {
+                vehicle.engineStalled = true;
+                vehicle.engineRunning = false;
+                console.log(`[VehiclePhysics] Vehicle ${entityId} stalled in water`);
+            }
+        } else if (vehicle.engineStalled && !vehicle.inWater) {
+            vehicle.engineStalled = false;
+            vehicle.engineRunning = vehicle.driverId !== null && vehicle.health > 0;
+        }
+
+        if (submerged === 0) return;
+
+        // Buoyancy and drag as impulses (forces added to a body stay on it until reset)
+        const mass = body.mass();
+        const vel = body.linvel();
+        const gravity = Math.abs(CONFIG.physics.gravity.y);
+        const drag = this.waterConfig.drag * submerged * mass * deltaTime;
+        this.physicsWorld.applyImpulse(entityId, {
+            x: -vel.x * drag,
+            y: this.waterConfig.buoyancy * submerged * mass * gravity * deltaTime - vel.y * drag,
+            z: -vel.z * drag
+        });
+
+        const angVel = body.angvel();
+        const spin = Math.max(0, 1 - this.waterConfig.angularDrag * submerged * deltaTime);
+        this.physicsWorld.setAngularVelocity(entityId, { x: angVel.x * spin, y: angVel.y * spin, z: angVel.z * spin });
+    }
+
+    /**
+     * Fraction of a vehicle's chassis under water (0 on land)
+     */
+    getSubmersion(vehicle, pos) {
+        if (!CONFIG.water.enabled) return 0;
+
+        const waterLevel = this.terrainManager.getWaterLevelAt(pos.x, pos.z);
+        if (waterLevel === null) return 0;
+
+        const config = CONFIG.physics.vehicle[vehicle.vehicleType];
+        const height = (config.chassisSize || config.bodySize).y;
+        return Math.max(0, Math.min(1, (waterLevel - (pos.y - height / 2)) / height));
+    }
+
     /**
      * Update wheeled vehicle physics
      */
@@ -186,16 +283,21 @@ class VehiclePhysicsManager {
         // Current speed along forward axis
         const forwardSpeed = vel.x * forward.x + vel.y * forward.y + vel.z * forward.z;
 
+        // Wheels ride on terrain, buildings and other vehicles
+        const G = this.physicsWorld.COLLISION_GROUPS;
+        const groundMask = G.TERRAIN | G.BUILDING | G.VEHICLE;
+
         // Update wheel states
         for (let i = 0; i < entityData.wheelStates.length; i++) {
             const wheel = entityData.wheelStates[i];
             const worldWheelPos = this.addVectors(pos, this.rotateVector(wheel.position, rot));
 
-            // Raycast for ground contact
+            // Raycast for ground contact (past our own chassis)
             const rayResult = this.physicsWorld.raycast(
                 worldWheelPos,
                 { x: -up.x, y: -up.y, z: -up.z },
-                config.suspensionRestLength + config.wheelRadius + 0.5
+                config.suspensionRestLength + config.wheelRadius + 0.5,
+                { filterMask: groundMask, excludeEntityId: entityId }
             );
 
             if (rayResult.hit) {
@@ -445,8 +547,9 @@ class VehiclePhysicsManager {
             forward.z /= len;
         }
 
-        // Get terrain height
-        const groundHeight = this.terrainManager.getHeightAt(pos.x, pos.z);
+        // Get terrain height (hovercraft skim over water as if it were ground)
+        const waterLevel = CONFIG.water.enabled ? this.terrainManager.getWaterLevelAt(pos.x, pos.z) : null;
+        const groundHeight = Math.max(this.terrainManager.getHeightAt(pos.x, pos.z), waterLevel ?? -Infinity);
         const targetHeight = groundHeight + config.hoverHeight + config.bodySize.y / 2;
 
         if (vehicle.engineRunning) {
@@ -504,6 +607,8 @@ class VehiclePhysicsManager {
             vehicleType: vehicle.vehicleType,
             driverId: vehicle.driverId,
             engineRunning: vehicle.engineRunning,
+            inWater: vehicle.inWater,
+            engineStalled: vehicle.engineStalled,
             health: vehicle.health,
             fuel: vehicle.fuel
         };
@@ -0,0 +1,1185 @@
+/**
+ * World Instance
+ * One independent world hosted by the physics server: its own seed, Rapier world,
+ * terrain/vehicle/player managers, persistence, chat and fixed-timestep loop
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const CONFIG = require('../shared/config.js');
+const PhysicsWorld = require('./physics-world.js');
+const TerrainPhysicsManager = require('./terrain-physics.js');
+const VehiclePhysicsManager = require('./vehicle-physics.js');
+const PlayerPhysicsManager = require('./player-physics.js');
+const ProjectilePhysicsManager = require('./projectile-physics.js');
+const ItemPhysicsManager = require('./item-physics.js');
+const BuildingPhysicsManager = require('./building-physics.js');
+const InterestManager = require('./interest-manager.js');
+const WorldPersistence = require('./world-persistence.js');
+const SessionRecorder = require('./session-recorder.js');
+const ChatManager = require('./chat-manager.js');
+const ChunkStreamer = require('./chunk-streamer.js');
+const CollisionManager = require('./collision-manager.js');
+const ZoneManager = require('./zone-manager.js');
+const ShardMap = require('./shard-map.js');
+const TerrainNoise = require('../shared/terrain-noise.js');
+const SnapshotCodec = require('../shared/snapshot-codec.js');
+
+// Random spawn picks tried before a shard falls back to the middle of its own territory
+const MAX_SPAWN_ATTEMPTS = 20;
+
+class WorldInstance {
+    /**
+     * @param {PhysicsServer} server - Hosting server (connections, sessions, metrics)
+     * @param {Object} options - { id, name, seed, maxPlayers, persistent, zones } (an entry of CONFIG.instances.worlds)
+     */
+    constructor(server, options) {
+        this.server = server;
+        this.id = options.id;
+        this.name = options.name || options.id;
+        this.seed = options.seed ?? CONFIG.world.seed;
+        this.maxPlayers = options.maxPlayers || CONFIG.instances.maxPlayers;
+        this.persistent = options.persistent !== false;
+        this.zoneDefinitions = options.zones || [];
+
+        // File name stem for saves and recordings (each shard of a world keeps its own)
+        this.storageName = server.shardId ? `${this.id}-${server.shardId}` : this.id;
+
+        // Managers
+        this.physicsWorld = null;
+        this.terrainManager = null;
+        this.vehicleManager = null;
+        this.playerManager = null;
+        this.projectileManager = null;
+        this.itemManager = null;
+        this.buildingManager = null;
+        this.interestManager = null;
+        this.persistence = null;
+        this.recorder = null;            // Session recorder (CONFIG.recording.enabled)
+        this.replaySeeds = null;         // Seeds fed back by SessionReplayer instead of fresh ones
+        this.chat = new ChatManager(this);
+        this.chunkStreamer = new ChunkStreamer(this);
+        this.collisions = new CollisionManager(this);   // Collision event bus
+        this.zones = new ZoneManager(this);             // Trigger volumes and their enter/exit events
+        this.shardMap = null;            // Region ownership when this world is split across processes
+        this.shard = null;               // ShardManager (links, ghosts and handoffs; not used in replay)
+        this.plugins = [];               // { name, plugin } game-mode plugin instances for this world
+
+        // Clients that joined this world
+        this.clients = new Map();        // ws -> clientData
+        this.clientsById = new Map();    // clientId -> ws
+
+        // Game state
+        this.tickNumber = 0;             // Network ticks (snapshots) sent
+        this.stepNumber = 0;             // Fixed physics steps taken
+        this.tickRate = CONFIG.network.tickRate;
+        this.tickInterval = null;
+
+        // Fixed-timestep loop
+        this.lastLoopTime = 0;
+        this.physicsAccumulator = 0;
+        this.networkAccumulator = 0;
+        this.droppedSteps = 0;           // Steps skipped because the world fell behind
+
+        // Loop timing histograms
+        this.timings = server.metrics.forInstance(this.id);
+    }
+
+    /**
+     * Create the physics world and managers (shared by start() and session replay)
+     */
+    async init() {
+        console.log(`[World ${this.id}] Initializing Rapier physics (seed ${this.seed})...`);
+
+        // Initialize physics world
+        this.physicsWorld = new PhysicsWorld();
+        await this.physicsWorld.init();
+
+        // Initialize managers
+        this.terrainManager = new TerrainPhysicsManager(this.physicsWorld, this.seed);
+        this.vehicleManager = new VehiclePhysicsManager(this.physicsWorld, this.terrainManager, this.server.shardId ? `${this.server.shardId}_` : '');
+        this.playerManager = new PlayerPhysicsManager(this.physicsWorld, this.terrainManager);
+        this.buildingManager = new BuildingPhysicsManager(this.physicsWorld, this.terrainManager);
+        this.projectileManager = new ProjectilePhysicsManager(this.physicsWorld, this.playerManager, this.vehicleManager, this.buildingManager);
+        this.itemManager = new ItemPhysicsManager(this.physicsWorld, this.playerManager);
+        this.interestManager = new InterestManager(this.terrainManager);
+
+        if (this.server.shardId) {
+            this.shardMap = new ShardMap(this.terrainManager);
+        }
+
+        this.zones.addZones(this.zoneDefinitions);
+        this.zones.on('enter', (event) => this.handleZoneEvent('zone_enter', 'onZoneEnter', event));
+        this.zones.on('exit', (event) => this.handleZoneEvent('zone_exit', 'onZoneExit', event));
+
+        this.plugins = this.server.plugins.createForWorld(this);
+        this.collisions.on('collision', (event) => this.runPlugins('onCollision', event));
+        this.collisions.on('vehicle_building', (event) => this.buildingManager.handleImpact(event));
+    }
+
+    /**
+     * Restore or populate the world and start its loop
+     */
+    start() {
+        // Restore the saved world, or spawn some initial vehicles
+        if (CONFIG.persistence.enabled && this.persistent) {
+            this.persistence = new WorldPersistence(this);
+            this.persistence.load();
+        }
+
+        // Record from the restored state onwards
+        if (CONFIG.recording.enabled) {
+            this.recorder = new SessionRecorder();
+            this.recorder.open(this, this.persistence ? this.persistence.getData() : null);
+        }
+
+        if (!this.persistence || !this.persistence.restoreVehicles()) {
+            this.spawnInitialVehicles();
+        }
+
+        if (this.persistence) {
+            this.persistence.start();
+        }
+
+        this.startGameLoop();
+
+        console.log(`[World ${this.id}] "${this.name}" running at ${this.tickRate} Hz, up to ${this.maxPlayers} players`);
+    }
+
+    /**
+     * Append an event to the session recording, if recording
+     */
+    record(event) {
+        if (this.recorder) {
+            this.recorder.record(event);
+        }
+    }
+
+    /**
+     * Seed for a random gameplay decision (recorded, or taken from the log when replaying)
+     */
+    nextSeed(purpose) {
+        const seed = this.replaySeeds ? this.replaySeeds.shift() : crypto.randomInt(0x7fffffff);
+        this.record({ e: 'r', p: purpose, seed });
+        return seed;
+    }
+
+    /**
+     * Summary for instance listings
+     */
+    getInfo() {
+        return {
+            id: this.id,
+            name: this.name,
+            players: this.playerManager ? this.playerManager.getPlayerCount() : 0,
+            maxPlayers: this.maxPlayers,
+            spectators: this.getSpectatorCount()
+        };
+    }
+
+    isFull() {
+        return this.playerManager.getPlayerCount() >= this.maxPlayers;
+    }
+
+    // Membership
+
+    /**
+     * Add a connection to this world
+     */
+    addClient(ws, clientData) {
+        clientData.instance = this;
+        this.clients.set(ws, clientData);
+        this.clientsById.set(clientData.clientId, ws);
+    }
+
+    /**
+     * Remove a connection (its player may stay, held for a session resume)
+     */
+    removeClient(ws) {
+        const clientData = this.clients.get(ws);
+        if (!clientData) return;
+
+        this.clients.delete(ws);
+        if (this.clientsById.get(clientData.clientId) === ws) {
+            this.clientsById.delete(clientData.clientId);
+        }
+        this.interestManager.removeClient(clientData.clientId);
+        this.chunkStreamer.removeClient(ws);
+    }
+
+    /**
+     * Connections that receive snapshots and chunks (players and spectators)
+     */
+    *getViewers() {
+        for (const [ws, clientData] of this.clients) {
+            if (clientData.state === 'playing' || clientData.state === 'spectating') {
+                yield [ws, clientData];
+            }
+        }
+    }
+
+    // Spectators
+
+    getSpectatorCount() {
+        let count = 0;
+        for (const clientData of this.clients.values()) {
+            if (clientData.spectator) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Make a joined connection a spectator, its camera above the centre of the world (or of our shard)
+     * @returns {Object} Camera position
+     */
+    addSpectator(clientData) {
+        const home = (this.shardMap && this.shardMap.homeOf(this.server.shardId)) || { x: 0, z: 0 };
+        const position = {
+            x: home.x,
+            y: this.terrainManager.getHeightAt(home.x, home.z) + CONFIG.spectators.cameraHeight,
+            z: home.z
+        };
+
+        clientData.state = 'spectating';
+        clientData.spectator = {
+            position,
+            follow: null,                // Entity ID the camera follows
+            target: null                 // Last state of the followed entity (its vehicle's, for a driver)
+        };
+        return position;
+    }
+
+    /**
+     * Move a spectator's camera, or have it follow an entity (its snapshots and chunks then centre on that)
+     * @param {Object} position - { x, y, z }, ignored while following
+     * @param {string} follow - Player or vehicle entity ID, or undefined for a free camera
+     */
+    moveSpectator(clientData, position, follow) {
+        const { spectator } = clientData;
+        spectator.follow = follow || null;
+        if (!spectator.follow) {
+            spectator.target = null;
+            if (position) {
+                spectator.position = position;
+            }
+        }
+    }
+
+    /**
+     * Where a spectator is looking from this tick, tracking the entity it follows
+     * @param {Map} statesById - Player and vehicle states (including shard ghosts) by entity ID
+     */
+    updateSpectatorView(spectator, statesById) {
+        let target = spectator.follow ? statesById.get(spectator.follow) : null;
+        if (target && target.inVehicle) {
+            target = statesById.get(target.vehicleId) || null;
+        }
+
+        // A followed entity that is gone leaves the camera where it last was
+        spectator.target = target || null;
+        if (target) {
+            spectator.position = { ...target.position };
+        }
+        return spectator.position;
+    }
+
+    /**
+     * Spawn a joining client's player (where they left off, if persisted)
+     * @returns {Object} Spawn position
+     */
+    spawnPlayer(clientData, appearance) {
+        // Returning players continue where they left off
+        const savedPlayer = this.persistence ? this.persistence.getPlayerRecord(clientData.username) : null;
+
+        // Find spawn point
+        const spawnPoint = savedPlayer ? { ...savedPlayer.position } : this.findSpawnPoint('findSpawnPoint');
+
+        // Spawn player
+        this.playerManager.spawnPlayer(
+            clientData.clientId,
+            spawnPoint,
+            clientData.username,
+            appearance || {}
+        );
+
+        if (savedPlayer) {
+            this.persistence.applyPlayerRecord(clientData.clientId, savedPlayer);
+        }
+
+        // Nearby players and vehicles are sent by the interest manager on the next tick
+        this.interestManager.markVisible(clientData.clientId, `player_${clientData.clientId}`);
+
+        return spawnPoint;
+    }
+
+    // Plugins
+
+    /**
+     * Call a hook on every plugin that implements it (a throwing plugin is logged, not fatal)
+     * @returns {Array} The hooks' return values
+     */
+    runPlugins(hook, ...args) {
+        const results = [];
+        for (const { name, plugin } of this.plugins) {
+            if (typeof plugin[hook] !== 'function') continue;
+            try {
+                results.push(plugin[hook](...args));
+            } catch (error) {
+                console.error(`[World ${this.id}] Plugin ${name} ${hook} failed:`, error);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Call a hook on one plugin
+     */
+    runPlugin(name, hook, ...args) {
+        const entry = this.plugins.find(candidate => candidate.name === name);
+        if (!entry || typeof entry.plugin[hook] !== 'function') return undefined;
+
+        try {
+            return entry.plugin[hook](...args);
+        } catch (error) {
+            console.error(`[World ${this.id}] Plugin ${name} ${hook} failed:`, error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Add plugin fields (snapshotFields hook) to player and vehicle states before they are sent
+     */
+    addPluginFields(states) {
+        if (!this.plugins.some(({ plugin }) => typeof plugin.snapshotFields === 'function')) return;
+
+        for (const state of states) {
+            for (const fields of this.runPlugins('snapshotFields', state)) {
+                if (fields) Object.assign(state, fields);
+            }
+        }
+    }
+
+    /**
+     * Pick a random spawn point (on a shard, one inside its own regions)
+     * @param {string} purpose - Label for the recorded seed
+     */
+    findSpawnPoint(purpose) {
+        const random = TerrainNoise.seededRandom(this.nextSeed(purpose));
+        let spawnPoint = this.terrainManager.findSpawnPoint(random);
+
+        for (let attempt = 1; attempt < MAX_SPAWN_ATTEMPTS && !this.owns(spawnPoint); attempt++) {
+            spawnPoint = this.terrainManager.findSpawnPoint(random);
+        }
+
+        const home = this.owns(spawnPoint) ? null : this.shardMap.homeOf(this.server.shardId);
+        if (home) {
+            spawnPoint = { x: home.x, y: this.terrainManager.getHeightAt(home.x, home.z) + 2, z: home.z };
+        }
+        return spawnPoint;
+    }
+
+    /**
+     * Whether a position is ours to simulate (always, unless sharded)
+     */
+    owns(position) {
+        return !this.shardMap || this.shardMap.ownerAt(position.x, position.z) === this.server.shardId;
+    }
+
+    /**
+     * Take over a player (and the vehicle they are driving) handed over by another shard
+     */
+    adoptPlayer(handoff) {
+        const { clientId } = handoff;
+
+        if (handoff.vehicle) {
+            this.adoptVehicle(handoff.vehicle);
+        }
+
+        const position = handoff.vehicle ? { ...handoff.vehicle.position } : { ...handoff.position };
+        this.playerManager.spawnPlayer(clientId, position, handoff.username, handoff.appearance || {});
+
+        const player = this.playerManager.getPlayer(clientId);
+        player.health = handoff.health;
+        player.stamina = handoff.stamina;
+        player.yaw = handoff.yaw || 0;
+        player.inventory = new Map(handoff.inventory || []);
+
+        if (handoff.vehicle) {
+            this.vehicleManager.enterVehicle(handoff.vehicle.entityId, clientId);
+            this.playerManager.playerEnterVehicle(clientId, handoff.vehicle.entityId);
+        } else if (handoff.velocity) {
+            this.physicsWorld.setVelocity(`player_${clientId}`, handoff.velocity);
+        }
+
+        this.runPlugins('onPlayerJoin', clientId);
+    }
+
+    /**
+     * Take over a vehicle handed over by another shard, keeping its ID and motion
+     */
+    adoptVehicle(record) {
+        const position = { ...record.position };
+        this.terrainManager.forceLoadAroundPosition(position.x, position.z, 1);
+
+        const entityId = this.vehicleManager.spawnVehicle(record.vehicleType, position, 0, record.entityId);
+        if (!entityId) return null;
+
+        this.physicsWorld.setRotation(entityId, record.rotation);
+        this.physicsWorld.setVelocity(entityId, record.velocity);
+        this.physicsWorld.setAngularVelocity(entityId, record.angularVelocity);
+
+        const vehicle = this.vehicleManager.vehicles.get(entityId);
+        vehicle.health = record.health;
+        vehicle.fuel = record.fuel;
+        return entityId;
+    }
+
+    /**
+     * Drop a player (and their vehicle) now simulated by another shard
+     * Observers are not told: the entity carries on as a ghost, or leaves their interest set next tick
+     */
+    releasePlayer(clientId) {
+        this.record({ e: 'o', s: this.stepNumber, cid: clientId });
+        this.runPlugins('onPlayerLeave', clientId);
+
+        const vehicleId = this.vehicleManager.getVehicleByDriver(clientId);
+        this.playerManager.removePlayer(clientId);
+        if (vehicleId) {
+            this.vehicleManager.removeVehicle(vehicleId);
+        }
+    }
+
+    /**
+     * Drop an empty vehicle now simulated by another shard
+     */
+    releaseVehicle(vehicleId) {
+        this.record({ e: 'o', s: this.stepNumber, vid: vehicleId });
+        this.vehicleManager.removeVehicle(vehicleId);
+    }
+
+    /**
+     * Remove a client's player from the world and notify observers
+     */
+    removePlayer(clientId) {
+        // Remember where they left off
+        if (this.persistence) {
+            this.persistence.recordPlayer(clientId);
+        }
+
+        const hadPlayer = this.playerManager.hasPlayer(clientId);
+        if (hadPlayer) {
+            this.chat.playerLeft(clientId);
+        }
+
+        // Remove player from physics
+        this.playerManager.removePlayer(clientId);
+
+        // Exit any vehicle
+        const vehicleId = this.vehicleManager.getVehicleByDriver(clientId);
+        if (vehicleId) {
+            this.vehicleManager.exitVehicle(vehicleId, clientId);
+            this.runPlugins('onVehicleExit', clientId, vehicleId);
+        }
+
+        if (hadPlayer) {
+            this.runPlugins('onPlayerLeave', clientId);
+        }
+
+        // Notify clients that could see this player
+        const entityId = `player_${clientId}`;
+        for (const observerId of this.interestManager.removeEntity(entityId)) {
+            const observerWs = this.clientsById.get(observerId);
+            if (observerWs) {
+                this.send(observerWs, {
+                    type: CONFIG.messageTypes.ENTITY_DESTROY,
+                    entityId
+                });
+            }
+        }
+    }
+
+    /**
+     * Current position of a player, or of the vehicle they are driving
+     */
+    getPlayerPosition(clientId) {
+        const player = this.playerManager.getPlayer(clientId);
+        if (!player) return null;
+
+        const state = player.vehicleId
+            ? this.vehicleManager.getVehicleState(player.vehicleId)
+            : this.physicsWorld.getEntityState(`player_${clientId}`);
+        return state ? state.position : null;
+    }
+
+    // Vehicles
+
+    /**
+     * Put a player in the nearest free vehicle and notify all clients
+     */
+    enterNearestVehicle(clientId) {
+        const playerState = this.playerManager.getPlayerState(clientId);
+        if (!playerState || playerState.inVehicle) return;
+
+        // Find nearest vehicle
+        const nearest = this.vehicleManager.findNearestVehicle(playerState.position, 5);
+        if (nearest && !nearest.occupied) {
+            // Enter vehicle
+            if (this.vehicleManager.enterVehicle(nearest.entityId, clientId)) {
+                this.playerManager.playerEnterVehicle(clientId, nearest.entityId);
+
+                // Notify all clients
+                this.broadcast({
+                    type: CONFIG.messageTypes.VEHICLE_ENTER,
+                    vehicleId: nearest.entityId,
+                    playerId: clientId
+                });
+
+                this.runPlugins('onVehicleEnter', clientId, nearest.entityId);
+            }
+        }
+    }
+
+    // Combat
+
+    /**
+     * Fire the weapon of a player on foot, or of the vehicle they drive
+     * @param {Object} direction - Aim (need not be normalized)
+     * @returns {string|null} Projectile entity ID, or null if nothing was fired
+     */
+    fireWeapon(clientId, direction) {
+        const player = this.playerManager.getPlayer(clientId);
+        if (!player || player.health <= 0) return null;
+
+        const length = Math.hypot(direction.x, direction.y, direction.z);
+        if (length < 1e-6) return null;
+        const aim = { x: direction.x / length, y: direction.y / length, z: direction.z / length };
+
+        // Drivers fire their vehicle's weapon, from the vehicle
+        const sourceId = player.vehicleId || player.entityId;
+        const weaponKey = player.vehicleId ? this.vehicleManager.vehicles.get(player.vehicleId)?.vehicleType : 'player';
+        const weapon = CONFIG.projectiles.weapons[weaponKey];
+        const body = this.physicsWorld.bodies.get(sourceId);
+        if (!weapon || !body) return null;
+
+        const position = body.translation();
+        const muzzle = { x: position.x, y: position.y + weapon.muzzleHeight, z: position.z };
+
+        return this.projectileManager.spawnProjectile(weapon.projectile, sourceId, player.entityId, muzzle, aim);
+    }
+
+    /**
+     * Publish the last step's projectile hits to plugins and to the clients that saw them
+     */
+    processProjectileHits() {
+        for (const hit of this.projectileManager.hits) {
+            this.runPlugins('onProjectileHit', hit);
+
+            this.sendToObservers([hit.projectileId, hit.entityId], {
+                type: CONFIG.messageTypes.GAME_EVENT,
+                event: 'projectile_hit',
+                ...hit
+            });
+        }
+    }
+
+    // Buildings
+
+    /**
+     * Publish building collapses to plugins, and resend their chunks (now with rubble)
+     * to the clients that have them, along with an event for the collapse effect
+     */
+    processBuildingCollapses() {
+        for (const collapse of this.buildingManager.takeCollapses()) {
+            this.runPlugins('onBuildingCollapse', collapse);
+
+            const message = {
+                type: CONFIG.messageTypes.GAME_EVENT,
+                event: 'building_collapse',
+                buildingId: collapse.buildingId,
+                position: collapse.position,
+                cause: collapse.cause
+            };
+            for (const ws of this.chunkStreamer.invalidate(collapse.chunkX, collapse.chunkZ)) {
+                this.send(ws, message);
+            }
+        }
+    }
+
+    // Zones
+
+    /**
+     * Publish a player or vehicle entering or leaving a zone to plugins and to the player concerned (or driver)
+     */
+    handleZoneEvent(event, hook, data) {
+        this.runPlugins(hook, data);
+
+        if (data.clientId) {
+            this.sendToPlayer(data.clientId, {
+                type: CONFIG.messageTypes.GAME_EVENT,
+                event,
+                zoneId: data.zoneId,
+                kind: data.kind,
+                name: data.metadata.name || data.zoneId,
+                entityId: data.entityId
+            });
+        }
+    }
+
+    // Items
+
+    /**
+     * Drop items from a player's inventory, thrown a little way in front of them
+     * @returns {string|null} Item entity ID, or null if nothing was dropped
+     */
+    dropItem(clientId, itemId, quantity) {
+        const player = this.playerManager.getPlayer(clientId);
+        if (!player || player.vehicleId || player.health <= 0) return null;
+
+        const body = this.physicsWorld.bodies.get(player.entityId);
+        if (!body || !this.playerManager.removeFromInventory(clientId, itemId, quantity)) return null;
+
+        const { dropDistance, dropSpeed } = CONFIG.items;
+        const forward = { x: -Math.sin(player.yaw), z: -Math.cos(player.yaw) };
+        const origin = body.translation();
+        const position = {
+            x: origin.x + forward.x * dropDistance,
+            y: origin.y,
+            z: origin.z + forward.z * dropDistance
+        };
+        const velocity = { x: forward.x * dropSpeed, y: dropSpeed / 2, z: forward.z * dropSpeed };
+
+        const entityId = this.itemManager.spawnItem(itemId, quantity, position, velocity, clientId);
+        if (!entityId) {
+            // World is full of items: keep them
+            this.playerManager.addToInventory(clientId, itemId, quantity);
+            return null;
+        }
+
+        this.sendInventory(clientId);
+        this.runPlugins('onItemDrop', clientId, entityId, itemId, quantity);
+        return entityId;
+    }
+
+    /**
+     * Give a player items (admin command and plugins; this server has no other item source)
+     * @returns {number} Quantity that fit in their inventory
+     */
+    giveItem(clientId, itemId, quantity) {
+        if (!this.itemManager.getItemDefinition(itemId)) return 0;
+
+        const added = this.playerManager.addToInventory(clientId, itemId, quantity);
+        if (added > 0) this.sendInventory(clientId);
+        return added;
+    }
+
+    /**
+     * Publish the last step's item pickups to plugins and to the players who made them
+     */
+    processItemPickups() {
+        for (const pickup of this.itemManager.pickups) {
+            this.runPlugins('onItemPickup', pickup);
+            this.sendInventory(pickup.clientId);
+
+            this.sendToObservers([pickup.itemEntityId, `player_${pickup.clientId}`], {
+                type: CONFIG.messageTypes.GAME_EVENT,
+                event: 'item_pickup',
+                ...pickup
+            });
+        }
+    }
+
+    /**
+     * Send a player their inventory
+     */
+    sendInventory(clientId) {
+        this.sendToPlayer(clientId, {
+            type: CONFIG.messageTypes.INVENTORY,
+            items: this.playerManager.getInventory(clientId),
+            maxCapacity: CONFIG.items.inventoryCapacity
+        });
+    }
+
+    /**
+     * Put a driver back on foot beside their vehicle and notify all clients
+     * @returns {boolean} True if the player was in a vehicle
+     */
+    exitPlayerFromVehicle(clientId) {
+        const vehicleId = this.vehicleManager.getVehicleByDriver(clientId);
+        if (!vehicleId) return false;
+
+        const vehicleState = this.vehicleManager.getVehicleState(vehicleId);
+        if (!vehicleState) return false;
+
+        // Calculate exit position (beside vehicle)
+        const exitOffset = 3;
+        const exitPosition = {
+            x: vehicleState.position.x + exitOffset,
+            y: vehicleState.position.y,
+            z: vehicleState.position.z
+        };
+
+        // Exit vehicle
+        if (!this.vehicleManager.exitVehicle(vehicleId, clientId)) return false;
+
+        this.playerManager.playerExitVehicle(clientId, exitPosition);
+
+        // Notify all clients
+        this.broadcast({
+            type: CONFIG.messageTypes.VEHICLE_EXIT,
+            vehicleId: vehicleId,
+            playerId: clientId,
+            exitPosition
+        });
+
+        this.runPlugins('onVehicleExit', clientId, vehicleId);
+
+        return true;
+    }
+
+    /**
+     * Remove a vehicle from the world, ejecting its driver first
+     * (clients that could see it get ENTITY_DESTROY on the next interest update)
+     * @returns {boolean} True if the vehicle existed
+     */
+    despawnVehicle(vehicleId) {
+        const vehicleState = this.vehicleManager.getVehicleState(vehicleId);
+        if (!vehicleState) return false;
+
+        if (vehicleState.driverId) {
+            this.exitPlayerFromVehicle(vehicleState.driverId);
+        }
+
+        this.vehicleManager.removeVehicle(vehicleId);
+        return true;
+    }
+
+    /**
+     * Spawn initial vehicles around spawn areas
+     */
+    spawnInitialVehicles() {
+        // Wait a bit for terrain to initialize, then spawn vehicles
+        setTimeout(() => {
+            if (this.physicsWorld) this.spawnVehicleSet();
+        }, 1000);
+    }
+
+    /**
+     * Spawn the initial vehicles in a ring around a spawn point
+     */
+    spawnVehicleSet() {
+        this.record({ e: 'v', s: this.stepNumber });
+
+        const vehicleTypes = ['car', 'car', 'truck', 'motorcycle', 'hovercraft', 'helicopter', 'tank'];
+
+        // Spawn some vehicles at spawn point
+        const spawnPoint = this.findSpawnPoint('spawnInitialVehicles');
+
+        for (let i = 0; i < vehicleTypes.length; i++) {
+            const type = vehicleTypes[i];
+            const angle = (i / vehicleTypes.length) * Math.PI * 2;
+            const radius = 20 + i * 10;
+
+            const x = spawnPoint.x + Math.cos(angle) * radius;
+            const z = spawnPoint.z + Math.sin(angle) * radius;
+            const y = this.terrainManager.getHeightAt(x, z) + 2;
+
+            this.vehicleManager.spawnVehicle(type, { x, y, z }, angle);
+        }
+
+        console.log(`[World ${this.id}] Spawned ${vehicleTypes.length} initial vehicles`);
+    }
+
+    // Loop
+
+    /**
+     * Start the game loop
+     * Physics steps at the fixed CONFIG.physics.timestep, network ticks at tickRate
+     */
+    startGameLoop() {
+        const loopMs = CONFIG.physics.timestep * 1000;
+        this.lastLoopTime = performance.now();
+        this.physicsAccumulator = 0;
+        this.networkAccumulator = 0;
+
+        this.tickInterval = setInterval(() => {
+            this.runLoop();
+        }, loopMs);
+    }
+
+    /**
+     * Change the network tick (snapshot) rate; physics keeps its fixed timestep
+     */
+    setTickRate(hz) {
+        this.tickRate = hz;
+        this.networkAccumulator = 0;
+        console.log(`[World ${this.id}] Tick rate set to ${hz} Hz`);
+    }
+
+    /**
+     * Advance the accumulators by elapsed wall-clock time
+     */
+    runLoop() {
+        const now = performance.now();
+        const frameTime = (now - this.lastLoopTime) / 1000;
+        this.lastLoopTime = now;
+
+        const timestep = CONFIG.physics.timestep;
+        const maxSubsteps = CONFIG.physics.maxSubsteps;
+
+        // Fixed physics steps, capped so a slow step can't snowball
+        this.physicsAccumulator += frameTime;
+        let substeps = 0;
+        while (this.physicsAccumulator >= timestep && substeps < maxSubsteps) {
+            this.stepPhysics(timestep);
+            this.physicsAccumulator -= timestep;
+            substeps++;
+        }
+
+        if (this.physicsAccumulator >= timestep) {
+            // Fell behind: drop the backlog rather than fast-forwarding the simulation
+            this.droppedSteps += Math.floor(this.physicsAccumulator / timestep);
+            this.physicsAccumulator %= timestep;
+        }
+
+        // Network ticks at their own rate
+        const snapshotInterval = 1 / this.tickRate;
+        this.networkAccumulator += frameTime;
+        if (this.networkAccumulator >= snapshotInterval) {
+            this.networkAccumulator = Math.min(this.networkAccumulator - snapshotInterval, snapshotInterval);
+            this.tick();
+        }
+    }
+
+    /**
+     * Take one fixed physics step
+     */
+    stepPhysics(deltaTime) {
+        const start = performance.now();
+        this.stepNumber++;
+
+        // Apply player and vehicle forces for this step
+        this.playerManager.update(deltaTime);
+        this.vehicleManager.update(deltaTime);
+
+        // Step physics world
+        this.physicsWorld.step(deltaTime);
+        this.buildingManager.update();
+
+        // Classify and publish what collided, and what entered or left a zone
+        this.collisions.process(this.physicsWorld.collisionEvents);
+        this.zones.process(this.physicsWorld.sensorEvents);
+        this.zones.update();
+
+        // Move projectiles through the stepped world and publish what they hit
+        this.projectileManager.update(deltaTime);
+        this.processProjectileHits();
+
+        // Publish the buildings that impacts and shells brought down
+        this.processBuildingCollapses();
+
+        // Despawn old items and hand out the ones players are standing on
+        this.itemManager.update();
+        this.processItemPickups();
+
+        this.timings.stepDuration.observe((performance.now() - start) / 1000);
+    }
+
+    /**
+     * Network tick
+     */
+    tick() {
+        const start = performance.now();
+        this.tickNumber++;
+
+        if (this.recorder) {
+            this.recorder.record({ e: 't', s: this.stepNumber, n: this.tickNumber, h: this.physicsWorld.getStateHash() });
+        }
+
+        this.updateTerrain();
+
+        // Game modes (before handoffs, in the order replays run them)
+        this.runPlugins('onTick', this.tickNumber);
+
+        // Hand over entities that left our regions, mirror the ones near them
+        if (this.shard) {
+            this.shard.update();
+        }
+
+        // Stream terrain chunks
+        this.chunkStreamer.update();
+
+        // Send world snapshot, and keep the transforms it shows for lag-compensated queries
+        const serverTime = Date.now();
+        this.sendWorldSnapshot(serverTime);
+        this.physicsWorld.recordHistory(serverTime);
+
+        this.timings.tickDuration.observe((performance.now() - start) / 1000);
+
+        // Periodic status
+        if (this.tickNumber % (this.tickRate * 30) === 0) {
+            this.logStatus();
+        }
+    }
+
+    /**
+     * Load and unload terrain colliders around players
+     * (the part of a network tick that changes the simulation)
+     */
+    updateTerrain() {
+        const playerPositions = this.playerManager.getPlayerPositions();
+        this.terrainManager.updateForPlayers(playerPositions);
+    }
+
+    /**
+     * Update each client's area of interest, spawning and destroying entities as they enter and leave it
+     */
+    updateInterest(playerStates, vehicleStates, projectileStates, itemStates, debrisStates) {
+        const MT = CONFIG.messageTypes;
+        const statesById = new Map();
+        const positions = [];
+        const vehiclePositions = new Map();
+
+        for (const state of vehicleStates) {
+            statesById.set(state.entityId, state);
+            vehiclePositions.set(state.entityId, state.position);
+            positions.push({ entityId: state.entityId, x: state.position.x, z: state.position.z });
+        }
+
+        for (const state of projectileStates.concat(itemStates, debrisStates)) {
+            statesById.set(state.entityId, state);
+            positions.push({ entityId: state.entityId, x: state.position.x, z: state.position.z });
+        }
+
+        for (const state of playerStates) {
+            statesById.set(state.entityId, state);
+
+            // Players in vehicles ride along with their vehicle
+            const position = state.inVehicle ? vehiclePositions.get(state.vehicleId) : state.position;
+            if (position) {
+                positions.push({ entityId: state.entityId, x: position.x, z: position.z });
+            }
+        }
+
+        this.interestManager.rebuild(positions);
+
+        for (const [ws, clientData] of this.getViewers()) {
+            let viewpoint;
+            let alwaysVisible;
+
+            const { spectator } = clientData;
+            if (spectator) {
+                viewpoint = this.updateSpectatorView(spectator, statesById);
+                alwaysVisible = spectator.target ? [spectator.follow, spectator.target.entityId] : [];
+            } else {
+                const ownEntityId = `player_${clientData.clientId}`;
+                const ownState = statesById.get(ownEntityId);
+                if (!ownState) continue;
+
+                viewpoint = ownState.inVehicle ? vehiclePositions.get(ownState.vehicleId) : ownState.position;
+                alwaysVisible = [ownEntityId];
+            }
+            if (!viewpoint) continue;
+
+            const { entered, left } = this.interestManager.updateClient(clientData.clientId, viewpoint, alwaysVisible);
+
+            for (const entityId of entered) {
+                this.send(ws, this.makeSpawnMessage(statesById.get(entityId)));
+            }
+
+            for (const entityId of left) {
+                this.send(ws, {
+                    type: MT.ENTITY_DESTROY,
+                    entityId
+                });
+            }
+        }
+    }
+
+    /**
+     * Build an ENTITY_SPAWN message for a remote entity
+     */
+    makeSpawnMessage(state) {
+        return {
+            ...state,
+            type: CONFIG.messageTypes.ENTITY_SPAWN,
+            entityType: state.type,
+            isLocal: false
+        };
+    }
+
+    /**
+     * Send world snapshot to all clients
+     * @param {number} serverTime - Time (ms) the snapshot is stamped with
+     */
+    sendWorldSnapshot(serverTime) {
+        let playerStates = this.playerManager.getAllPlayerStates();
+        let vehicleStates = this.vehicleManager.getAllVehicleStates();
+        const projectileStates = this.projectileManager.getAllProjectileStates();
+        const itemStates = this.itemManager.getAllItemStates();
+        const debrisStates = this.buildingManager.getAllDebrisStates();
+
+        this.zones.addZoneFields(playerStates);
+        this.addPluginFields(playerStates);
+        this.addPluginFields(vehicleStates);
+
+        // Entities just across a shard boundary are shown like our own
+        if (this.shard) {
+            const ghosts = this.shard.getGhostStates();
+            playerStates = playerStates.concat(ghosts.players);
+            vehicleStates = vehicleStates.concat(ghosts.vehicles);
+        }
+
+        this.updateInterest(playerStates, vehicleStates, projectileStates, itemStates, debrisStates);
+
+        const snapshot = {
+            type: CONFIG.messageTypes.WORLD_SNAPSHOT,
+            tick: this.tickNumber,
+            serverTime
+        };
+
+        // Quantized once per tick, shared by all binary clients
+        let binaryEntities = null;
+
+        // Send to each client with their specific lastInputSeq and visible entities
+        for (const [ws, clientData] of this.getViewers()) {
+            const visible = this.interestManager.getVisibleSet(clientData.clientId);
+            if (!visible) continue;
+
+            const players = playerStates.filter(p => visible.has(p.entityId));
+            const vehicles = vehicleStates.filter(v => visible.has(v.entityId));
+            const projectiles = projectileStates.filter(p => visible.has(p.entityId));
+            const items = itemStates.filter(i => visible.has(i.entityId));
+            const debris = debrisStates.filter(d => visible.has(d.entityId));
+
+            // Find this client's player state
+            const myPlayerState = players.find(p => p.clientId === clientData.clientId);
+            const yourLastInputSeq = myPlayerState?.lastInputSeq || 0;
+
+            if (clientData.snapshotEncoder) {
+                if (!binaryEntities) {
+                    binaryEntities = this.quantizeSnapshotEntities({ players: playerStates, vehicles: vehicleStates, projectiles: projectileStates, items: itemStates, debris: debrisStates });
+                }
+
+                const frame = {
+                    tick: snapshot.tick,
+                    serverTime,
+                    entities: binaryEntities.filter(e => visible.has(e.entityId))
+                };
+                this.server.sendBinary(ws, clientData.snapshotEncoder.encode(frame, yourLastInputSeq));
+                continue;
+            }
+
+            this.send(ws, {
+                ...snapshot,
+                players,
+                vehicles,
+                projectiles,
+                items,
+                debris,
+                yourLastInputSeq
+            });
+        }
+    }
+
+    /**
+     * Quantize snapshot entities for binary encoding
+     * @param {Object} collections - { players: [], vehicles: [], projectiles: [], items: [], debris: [] }
+     */
+    quantizeSnapshotEntities(collections) {
+        const entities = [];
+        SnapshotCodec.COLLECTIONS.forEach((collection, kind) => {
+            for (const state of collections[collection] || []) {
+                entities.push(SnapshotCodec.quantizeEntity(state, kind));
+            }
+        });
+        return entities;
+    }
+
+    /**
+     * Log world status
+     */
+    logStatus() {
+        const playerCount = this.playerManager.getPlayerCount();
+        const vehicleCount = this.vehicleManager.vehicles.size;
+        const projectileCount = this.projectileManager.getProjectileCount();
+        const itemCount = this.itemManager.getItemCount();
+        const debrisCount = this.buildingManager.getDebrisCount();
+        const chunkCount = this.terrainManager.loadedChunks.size;
+
+        console.log(`[World ${this.id}] Status - Players: ${playerCount}, Vehicles: ${vehicleCount}, Projectiles: ${projectileCount}, Items: ${itemCount}, Debris: ${debrisCount}, Chunks: ${chunkCount}, Tick: ${this.tickNumber}, Steps: ${this.stepNumber}, Dropped steps: ${this.droppedSteps}`);
+    }
+
+    // Messaging
+
+    send(ws, message) {
+        this.server.send(ws, message);
+    }
+
+    /**
+     * Send a message to one player's connection, if connected
+     */
+    sendToPlayer(clientId, message) {
+        const ws = this.clientsById.get(clientId);
+        if (ws) this.send(ws, message);
+    }
+
+    /**
+     * Send a message to every client that can see any of the given entities (null IDs are skipped)
+     */
+    sendToObservers(entityIds, message) {
+        const observers = new Set();
+        for (const entityId of entityIds) {
+            if (!entityId) continue;
+            for (const clientId of this.interestManager.getObservers(entityId)) {
+                observers.add(clientId);
+            }
+        }
+
+        for (const clientId of observers) {
+            this.sendToPlayer(clientId, message);
+        }
+    }
+
+    /**
+     * Broadcast message to every client in this world (optionally excluding one)
+     */
+    broadcast(message, excludeWs = null) {
+        const data = JSON.stringify(message);
+        let recipients = 0;
+        for (const [ws] of this.clients) {
+            if (ws !== excludeWs && ws.readyState === WebSocket.OPEN) {
+                ws.send(data);
+                recipients++;
+            }
+        }
+        this.server.metrics.recordOutbound(message.type, Buffer.byteLength(data), recipients);
+    }
+
+    /**
+     * Stop the loop, save and free the physics world
+     */
+    stop() {
+        if (this.tickInterval) {
+            clearInterval(this.tickInterval);
+            this.tickInterval = null;
+        }
+
+        // Final save while the world still exists
+        if (this.persistence) {
+            this.persistence.stop();
+            this.persistence = null;
+        }
+
+        if (this.recorder) {
+            this.recorder.close();
+            this.recorder = null;
+        }
+
+        if (this.physicsWorld) {
+            this.physicsWorld.destroy();
+            this.physicsWorld = null;
+        }
+    }
+}
+
+module.exports = WorldInstance;
@@ -0,0 +1,247 @@
+/**
+ * World Persistence
+ * Saves a world instance's vehicles, per-username player state and destroyed buildings to a local JSON file
+ * and restores them on boot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../shared/config.js');
+
+// Current save format version
+const FORMAT_VERSION = 1;
+
+// Upgrades from older formats: version -> function(data) returning data at version + 1
+const MIGRATIONS = new Map();
+
+class WorldPersistence {
+    constructor(instance) {
+        this.instance = instance;
+        this.filePath = path.resolve(__dirname, CONFIG.persistence.file.replace('{instance}', instance.storageName));
+        this.saveTimer = null;
+
+        // Loaded state
+        this.vehicleRecords = [];
+        this.playerRecords = new Map();  // username -> { position, yaw, health, stamina, inventory, savedAt }
+        this.buildingRecords = {};       // "chunkX,chunkZ" -> indices of destroyed buildings
+
+        // Refuse to overwrite a file we couldn't read
+        this.writable = true;
+    }
+
+    /**
+     * Load the save file (missing file = fresh world)
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            console.log(`[Persistence] No save at ${this.filePath}, starting fresh`);
+            return false;
+        }
+
+        let data;
+        try {
+            data = this.migrate(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+        } catch (e) {
+            console.error(`[Persistence] Failed to load ${this.filePath}, saving disabled:`, e.message);
+            this.writable = false;
+            return false;
+        }
+
+        if (data.seed !== this.instance.seed) {
+            console.warn(`[Persistence] Save was made with seed ${data.seed}, world seed is ${this.instance.seed}`);
+        }
+
+        this.loadData(data);
+
+        console.log(`[Persistence] Loaded ${this.vehicleRecords.length} vehicles and ${this.playerRecords.size} players (saved ${data.savedAt})`);
+        return true;
+    }
+
+    /**
+     * Take vehicle and player records from save data, and leave destroyed buildings as rubble
+     */
+    loadData(data) {
+        this.vehicleRecords = data.vehicles || [];
+        this.playerRecords = new Map(Object.entries(data.players || {}));
+        this.buildingRecords = data.buildings || {};
+        this.instance.terrainManager.restoreDestroyedBuildings(this.buildingRecords);
+    }
+
+    /**
+     * Loaded records as save data (recorded with sessions so replays start from the same world)
+     */
+    getData() {
+        return {
+            vehicles: this.vehicleRecords,
+            players: Object.fromEntries(this.playerRecords),
+            buildings: this.buildingRecords
+        };
+    }
+
+    /**
+     * Bring older save formats up to the current version
+     */
+    migrate(data) {
+        if (!data || typeof data.version !== 'number') {
+            throw new Error('missing format version');
+        }
+        if (data.version > FORMAT_VERSION) {
+            throw new Error(`format version ${data.version} is newer than supported version ${FORMAT_VERSION}`);
+        }
+
+        while (data.version < FORMAT_VERSION) {
+            const migration = MIGRATIONS.get(data.version);
+            if (!migration) {
+                throw new Error(`no migration from format version ${data.version}`);
+            }
+            data = migration(data);
+        }
+
+        return data;
+    }
+
+    /**
+     * Start periodic saves
+     */
+    start() {
+        this.saveTimer = setInterval(() => {
+            this.save();
+        }, CONFIG.persistence.saveInterval);
+    }
+
+    /**
+     * Respawn saved vehicles
+     * @returns {boolean} False if there were none (caller spawns the default set)
+     */
+    restoreVehicles() {
+        if (this.vehicleRecords.length === 0) return false;
+
+        const { terrainManager, vehicleManager, physicsWorld } = this.instance;
+
+        for (const record of this.vehicleRecords) {
+            const position = { ...record.position };
+            terrainManager.forceLoadAroundPosition(position.x, position.z, 1);
+
+            // Never restore below the ground
+            position.y = Math.max(position.y, terrainManager.getHeightAt(position.x, position.z) + 1);
+
+            const entityId = vehicleManager.spawnVehicle(record.vehicleType, position);
+            if (!entityId) continue;
+
+            physicsWorld.setRotation(entityId, record.rotation);
+
+            const vehicle = vehicleManager.vehicles.get(entityId);
+            vehicle.health = record.health;
+            vehicle.fuel = record.fuel;
+        }
+
+        console.log(`[Persistence] Restored ${this.vehicleRecords.length} vehicles`);
+        return true;
+    }
+
+    /**
+     * Get the saved state for a username
+     */
+    getPlayerRecord(username) {
+        return this.playerRecords.get(username) || null;
+    }
+
+    /**
+     * Apply saved health, stamina, yaw and inventory to a freshly spawned player
+     */
+    applyPlayerRecord(clientId, record) {
+        const player = this.instance.playerManager.getPlayer(clientId);
+        if (!player) return;
+
+        player.health = record.health;
+        player.stamina = record.stamina;
+        player.yaw = record.yaw;
+        player.inventory = new Map(record.inventory || []);
+    }
+
+    /**
+     * Remember a player's current state under their username
+     */
+    recordPlayer(clientId) {
+        const { playerManager, vehicleManager } = this.instance;
+        const player = playerManager.getPlayer(clientId);
+        if (!player) return;
+
+        let position;
+        if (player.vehicleId) {
+            // Restore drivers on foot beside their vehicle
+            const vehicleState = vehicleManager.getVehicleState(player.vehicleId);
+            if (!vehicleState) return;
+            position = { x: vehicleState.position.x + 3, y: vehicleState.position.y, z: vehicleState.position.z };
+        } else {
+            const state = playerManager.getPlayerState(clientId);
+            if (!state) return;
+            position = state.position;
+        }
+
+        this.playerRecords.set(player.username, {
+            position,
+            yaw: player.yaw,
+            health: player.health,
+            stamina: player.stamina,
+            inventory: Array.from(player.inventory),
+            savedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Write the current world to disk (via a temp file so a crash can't leave half a save)
+     */
+    save() {
+        if (!this.writable) return false;
+
+        const { playerManager, vehicleManager, terrainManager } = this.instance;
+
+        for (const player of playerManager.players.values()) {
+            this.recordPlayer(player.clientId);
+        }
+
+        const vehicles = vehicleManager.getAllVehicleStates().map(state => ({
+            vehicleType: state.vehicleType,
+            position: state.position,
+            rotation: state.rotation,
+            health: state.health,
+            fuel: state.fuel
+        }));
+
+        const data = {
+            version: FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            seed: this.instance.seed,
+            vehicles,
+            players: Object.fromEntries(this.playerRecords),
+            buildings: terrainManager.getDestroyedBuildings()
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (e) {
+            console.error('[Persistence] Save failed:', e.message);
+            return false;
+        }
+
+        console.log(`[Persistence] Saved ${vehicles.length} vehicles and ${this.playerRecords.size} players`);
+        return true;
+    }
+
+    /**
+     * Stop periodic saves and write a final save
+     */
+    stop() {
+        if (this.saveTimer) {
+            clearInterval(this.saveTimer);
+            this.saveTimer = null;
+        }
+        this.save();
+    }
+}
+
+module.exports = WorldPersistence;
@@ -0,0 +1,266 @@
+/**
+ * Zone Manager
+ * A world instance's registry of trigger volumes (safe zones, capture areas, finish lines, hazards):
+ * tracks which players and vehicles are inside each zone from the physics world's sensor events,
+ * publishes enter/exit events to server-side listeners, and applies the built-in safe and hazard effects
+ */
+
+const CONFIG = require('../shared/config.js');
+
+const SHAPES = ['box', 'sphere', 'cylinder'];
+
+class ZoneManager {
+    /**
+     * @param {WorldInstance} instance - World whose zones are managed
+     */
+    constructor(instance) {
+        this.instance = instance;
+        this.settings = CONFIG.zones;
+
+        this.zones = new Map();          // zoneId -> { id, kind, shape, position, rotation, metadata, sensorId, members }
+        this.zonesBySensor = new Map();  // Sensor entityId -> zone
+        this.membership = new Map();     // entityId -> Set of zoneIds it is inside
+        this.handlers = new Map();       // 'enter' | 'exit' -> handler[]
+        this.stepCount = 0;              // Steps processed (hazard damage ticks count steps, not wall time)
+    }
+
+    /**
+     * Listen for entities entering or leaving zones ('enter' or 'exit')
+     * Handlers get { zoneId, kind, metadata, entityId, entityType, clientId, step }
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+        }
+        this.handlers.get(event).push(handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (handlers) {
+            const index = handlers.indexOf(handler);
+            if (index !== -1) handlers.splice(index, 1);
+        }
+    }
+
+    emit(event, data) {
+        for (const handler of this.handlers.get(event) || []) {
+            try {
+                handler(data);
+            } catch (e) {
+                console.error(`[World ${this.instance.id}] Zone handler for ${event} failed:`, e);
+            }
+        }
+    }
+
+    /**
+     * Add a zone
+     * @param {Object} definition - { id, kind, shape, position, rotation (yaw), metadata }, see PhysicsWorld.createSensor
+     * @throws {Error} If the ID is taken or the definition is malformed
+     */
+    addZone(definition) {
+        const { id, kind, shape, position, rotation = 0, metadata = {} } = definition;
+
+        if (typeof id !== 'string' || !id) throw new Error('zone needs an id');
+        if (this.zones.has(id)) throw new Error(`zone ${id} already exists`);
+        if (typeof kind !== 'string' || !kind) throw new Error(`zone ${id} needs a kind`);
+        if (!shape || !SHAPES.includes(shape.type)) {
+            throw new Error(`zone ${id} shape must be one of ${SHAPES.join(', ')}`);
+        }
+        if (!position || ![position.x, position.y, position.z].every(Number.isFinite)) {
+            throw new Error(`zone ${id} needs a position`);
+        }
+
+        const sensorId = `zone_${id}`;
+        this.instance.physicsWorld.createSensor(sensorId, shape, position, rotation, metadata);
+
+        const zone = { id, kind, shape, position, rotation, metadata, sensorId, members: new Set() };
+        this.zones.set(id, zone);
+        this.zonesBySensor.set(sensorId, zone);
+        return zone;
+    }
+
+    /**
+     * Remove a zone; everything inside it gets an exit event
+     */
+    removeZone(id) {
+        const zone = this.zones.get(id);
+        if (!zone) return false;
+
+        for (const entityId of Array.from(zone.members)) {
+            this.leave(zone, entityId);
+        }
+
+        this.instance.physicsWorld.removeEntity(zone.sensorId);
+        this.zones.delete(id);
+        this.zonesBySensor.delete(zone.sensorId);
+        return true;
+    }
+
+    /**
+     * Add the zones listed for this world (its instances.worlds entry)
+     */
+    addZones(definitions) {
+        for (const definition of definitions) {
+            this.addZone(definition);
+        }
+        if (definitions.length > 0) {
+            console.log(`[World ${this.instance.id}] ${definitions.length} zone(s)`);
+        }
+    }
+
+    getZone(id) {
+        return this.zones.get(id) || null;
+    }
+
+    /**
+     * Zones an entity is inside (a player driving a vehicle is where their vehicle is)
+     */
+    getEntityZones(entityId) {
+        const player = this.instance.playerManager.players.get(entityId);
+        const zoneIds = this.membership.get(player && player.vehicleId ? player.vehicleId : entityId);
+        return zoneIds ? Array.from(zoneIds, zoneId => this.zones.get(zoneId)) : [];
+    }
+
+    /**
+     * Whether an entity is inside a zone of the given kind
+     */
+    isInZoneKind(entityId, kind) {
+        return this.getEntityZones(entityId).some(zone => zone.kind === kind);
+    }
+
+    /**
+     * Handle the sensor events of one physics step
+     * @param {Array} events - PhysicsWorld.sensorEvents
+     */
+    process(events) {
+        for (const { sensorId, entityId, started } of events) {
+            const zone = this.zonesBySensor.get(sensorId);
+            if (!zone || !entityId) continue;
+
+            if (started) {
+                this.enter(zone, entityId);
+            } else {
+                this.leave(zone, entityId);
+            }
+        }
+    }
+
+    enter(zone, entityId) {
+        if (zone.members.has(entityId)) return;
+
+        zone.members.add(entityId);
+        if (!this.membership.has(entityId)) {
+            this.membership.set(entityId, new Set());
+        }
+        this.membership.get(entityId).add(zone.id);
+        this.updateSafety(entityId);
+
+        this.emit('enter', this.describe(zone, entityId));
+    }
+
+    leave(zone, entityId) {
+        if (!zone.members.delete(entityId)) return;
+
+        const zoneIds = this.membership.get(entityId);
+        zoneIds.delete(zone.id);
+        if (zoneIds.size === 0) this.membership.delete(entityId);
+        this.updateSafety(entityId);
+
+        this.emit('exit', this.describe(zone, entityId));
+    }
+
+    /**
+     * Protect players and vehicles from damage while they are in a safe zone
+     */
+    updateSafety(entityId) {
+        const record = this.instance.playerManager.players.get(entityId) || this.instance.vehicleManager.vehicles.get(entityId);
+        if (!record) return;
+
+        const zoneIds = this.membership.get(entityId);
+        record.inSafeZone = !!zoneIds && Array.from(zoneIds).some(zoneId => this.zones.get(zoneId).kind === 'safe');
+    }
+
+    /**
+     * Event data for an entity entering or leaving a zone
+     */
+    describe(zone, entityId) {
+        const data = this.instance.physicsWorld.entityData.get(entityId);
+        const entityType = data ? data.type : null;
+
+        let clientId = null;
+        if (entityType === CONFIG.entityTypes.PLAYER) {
+            clientId = data.ownerId;
+        } else if (entityType === CONFIG.entityTypes.VEHICLE) {
+            clientId = this.instance.vehicleManager.vehicles.get(entityId)?.driverId || null;
+        }
+
+        return {
+            zoneId: zone.id,
+            kind: zone.kind,
+            metadata: zone.metadata,
+            entityId,
+            entityType,
+            clientId,
+            step: this.instance.stepNumber
+        };
+    }
+
+    /**
+     * Forget entities that left the world while inside a zone, and apply hazard damage
+     */
+    update() {
+        this.stepCount++;
+
+        const { entityData } = this.instance.physicsWorld;
+        for (const entityId of Array.from(this.membership.keys())) {
+            if (entityData.has(entityId)) continue;
+
+            for (const zoneId of Array.from(this.membership.get(entityId))) {
+                this.leave(this.zones.get(zoneId), entityId);
+            }
+        }
+
+        const interval = Math.max(1, this.instance.physicsWorld.msToSteps(this.settings.hazardInterval));
+        if (this.stepCount % interval === 0) {
+            this.applyHazards(interval * CONFIG.physics.timestep);
+        }
+    }
+
+    /**
+     * Damage the players and vehicles inside hazard zones
+     * @param {number} seconds - Time the damage covers
+     */
+    applyHazards(seconds) {
+        const { playerManager, vehicleManager } = this.instance;
+
+        for (const zone of this.zones.values()) {
+            if (zone.kind !== 'hazard') continue;
+
+            const damage = (zone.metadata.damagePerSecond ?? this.settings.hazardDamagePerSecond) * seconds;
+            for (const entityId of zone.members) {
+                const player = playerManager.players.get(entityId);
+                if (player) {
+                    if (player.health > 0) playerManager.damagePlayer(player.clientId, damage);
+                } else if (vehicleManager.vehicles.get(entityId)?.health > 0) {
+                    vehicleManager.damageVehicle(entityId, damage);
+                }
+            }
+        }
+    }
+
+    /**
+     * Add each player's zones ({ id, kind, name }) to their snapshot state
+     */
+    addZoneFields(playerStates) {
+        for (const state of playerStates) {
+            state.zones = this.getEntityZones(state.entityId).map(zone => ({
+                id: zone.id,
+                kind: zone.kind,
+                name: zone.metadata.name || zone.id
+            }));
+        }
+    }
+}
+
+module.exports = ZoneManager;
@@ -0,0 +1,132 @@
+/**
+ * Binary Terrain Chunk Codec
+ * Used by both server (encoding) and client (decoding)
+ * CHUNK_DATA travels as a binary frame: the render heightmap quantized to 16 bits over the chunk's height range
+ *
+ * Layout (little-endian):
+ *   u8 tag (CHUNK_FRAME_TAG), u8 version
+ *   i32 chunkX, i32 chunkZ
+ *   u16 vertices per edge
+ *   f32 minimum height, f32 meters per step
+ *   u16 x vertices² heights
+ *   u16 length + UTF-8 JSON { biome, buildings }
+ */
+
+const CHUNK_VERSION = 1;
+
+// First byte of a chunk frame; binary snapshots start with their version (a small number) instead
+const CHUNK_FRAME_TAG = 0xC0;
+
+const HEADER_SIZE = 20;
+const MAX_STEP = 65535;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Whether a binary frame is a terrain chunk (rather than a world snapshot)
+ */
+function isChunkFrame(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    return bytes.length > 0 && bytes[0] === CHUNK_FRAME_TAG;
+}
+
+/**
+ * Encode chunk data as produced by TerrainPhysicsManager.getChunkDataForClient()
+ * @param {Object} chunk - { chunkX, chunkZ, heightmap, buildings, biome }
+ * @returns {Uint8Array}
+ */
+function encodeChunk(chunk) {
+    const { heightmap } = chunk;
+    const count = heightmap.length;
+    const edge = Math.round(Math.sqrt(count));
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < count; i++) {
+        if (heightmap[i] < min) min = heightmap[i];
+        if (heightmap[i] > max) max = heightmap[i];
+    }
+    if (count === 0) min = max = 0;
+
+    // Flat chunks still need a non-zero step
+    const step = Math.max((max - min) / MAX_STEP, 1e-6);
+
+    const meta = textEncoder.encode(JSON.stringify({ biome: chunk.biome, buildings: chunk.buildings || [] }));
+    const buffer = new ArrayBuffer(HEADER_SIZE + count * 2 + 2 + meta.length);
+    const view = new DataView(buffer);
+
+    view.setUint8(0, CHUNK_FRAME_TAG);
+    view.setUint8(1, CHUNK_VERSION);
+    view.setInt32(2, chunk.chunkX, true);
+    view.setInt32(6, chunk.chunkZ, true);
+    view.setUint16(10, edge, true);
+    view.setFloat32(12, min, true);
+    view.setFloat32(16, step, true);
+
+    let offset = HEADER_SIZE;
+    for (let i = 0; i < count; i++) {
+        view.setUint16(offset, Math.min(MAX_STEP, Math.round((heightmap[i] - min) / step)), true);
+        offset += 2;
+    }
+
+    view.setUint16(offset, meta.length, true);
+    new Uint8Array(buffer, offset + 2, meta.length).set(meta);
+
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Decode a chunk frame back into { chunkX, chunkZ, heightmap (Float32Array), buildings, biome }
+ */
+function decodeChunk(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (view.getUint8(0) !== CHUNK_FRAME_TAG) {
+        throw new Error('Not a chunk frame');
+    }
+    const version = view.getUint8(1);
+    if (version !== CHUNK_VERSION) {
+        throw new Error(`Unsupported chunk version: ${version}`);
+    }
+
+    const chunkX = view.getInt32(2, true);
+    const chunkZ = view.getInt32(6, true);
+    const edge = view.getUint16(10, true);
+    const min = view.getFloat32(12, true);
+    const step = view.getFloat32(16, true);
+
+    const count = edge * edge;
+    const heightmap = new Float32Array(count);
+    let offset = HEADER_SIZE;
+    for (let i = 0; i < count; i++) {
+        heightmap[i] = min + view.getUint16(offset, true) * step;
+        offset += 2;
+    }
+
+    const metaLength = view.getUint16(offset, true);
+    const meta = JSON.parse(textDecoder.decode(bytes.subarray(offset + 2, offset + 2 + metaLength)));
+
+    return {
+        chunkX,
+        chunkZ,
+        heightmap,
+        buildings: meta.buildings,
+        biome: meta.biome
+    };
+}
+
+export const ChunkCodec = {
+    VERSION: CHUNK_VERSION,
+    FRAME_TAG: CHUNK_FRAME_TAG,
+    isChunkFrame,
+    encodeChunk,
+    decodeChunk
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChunkCodec;
+} else if (typeof window !== 'undefined') {
+    window.ChunkCodec = ChunkCodec;
+}
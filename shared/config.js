@@ -128,6 +128,12 @@ export const CONFIG = {
         building: {
             friction: 0.6,
             restitution: 0.0
+        },
+
+        // Collision events (see server/collision-manager.js)
+        collisions: {
+            notableImpactSpeed: 6,   // m/s closing speed from which a vehicle collision is sent to nearby clients
+            pairCooldown: 500        // ms before the same two entities can make another notable collision
         }
     },
 
@@ -144,6 +150,73 @@ export const CONFIG = {
         turnSpeed: 5.0
     },
 
+    // Projectiles: swept rays with gravity drop, simulated by the server (see server/projectile-physics.js)
+    projectiles: {
+        maxActive: 512,          // Per world instance; shots beyond it are refused
+        weapons: {               // What a player on foot, or the vehicle they drive, fires (vehicles not listed are unarmed)
+            player: { projectile: 'bullet', muzzleHeight: 0.7 },      // muzzleHeight: meters above the body's centre
+            tank: { projectile: 'shell', muzzleHeight: 1.6 },
+            helicopter: { projectile: 'bullet', muzzleHeight: -1.2 }
+        },
+        types: {
+            // speed m/s (at most 327, what binary snapshots can carry), lifetime and fireInterval ms,
+            // radius m (0 = ray, otherwise a swept ball), impulse N·s given to what is hit,
+            // buildingDamage: structural damage to a building that is hit (shells explode, bullets just chip)
+            bullet: { speed: 280, gravityScale: 0.3, lifetime: 2000, damage: 20, radius: 0, impulse: 40, fireInterval: 120, buildingDamage: 0 },
+            shell: { speed: 120, gravityScale: 1, lifetime: 5000, damage: 60, radius: 0.3, impulse: 30000, fireInterval: 1500, buildingDamage: 600 }
+        }
+    },
+
+    // Dropped items: small bodies resting on the terrain that players pick up by walking over them
+    items: {
+        maxActive: 256,          // Per world instance; drops beyond it are refused
+        despawnTime: 120000,     // ms a dropped item lies in the world before it disappears
+        pickupRadius: 1.5,       // meters from a player's centre
+        pickupDelay: 1500,       // ms before the player who dropped an item can pick it back up
+        inventoryCapacity: 50,   // Total item count a player can carry
+        maxStack: 99,            // Largest quantity one drop can hold
+        size: 0.3,               // Box edge (m)
+        mass: 2,
+        dropDistance: 1.2,       // meters in front of the player
+        dropSpeed: 3             // Forward throw (m/s)
+    },
+
+    // Destructible city buildings: damaged by vehicle impacts and shells, they collapse into debris
+    // and leave rubble, which is kept per chunk (and saved with the world)
+    buildings: {
+        destructible: true,
+        healthPerCubicMeter: 1,      // Structural health (a 10 x 10 x 20 m block has 2000)
+        minImpactSpeed: 8,           // m/s closing speed below which vehicle impacts do no damage
+        impactEnergyPerDamage: 1000, // Joules of a vehicle's kinetic energy per point of damage
+        rubbleHeight: 2,             // Height (m) of the rubble left where a building stood
+        debrisPieces: 12,            // Most pieces one collapse breaks into
+        maxDebris: 96,               // Per world instance; collapses beyond it make fewer pieces
+        debrisMaxSize: 6,            // Longest piece edge (m)
+        debrisDensity: 150,          // kg/m³
+        debrisSpeed: 2,              // Outward speed pieces start with (m/s)
+        debrisLifetime: 30000        // ms debris lies around before it is cleaned up
+    },
+
+    // Water: marsh and oasis hollows below world.waterLevel are flooded (see TerrainNoise.isWater).
+    // Bodies in it float and are slowed, players swim, and engines stall once they are under
+    water: {
+        enabled: true,
+        player: {
+            buoyancy: 1.15,      // Upward push at full submersion, as a multiple of gravity (above 1 floats)
+            drag: 2.0,           // Vertical velocity lost per second, scaled by submersion
+            swimDepth: 0.6,      // Fraction of the body under water at which players swim
+            swimSpeed: 3.0,      // m/s (running swims faster, at runSpeed/walkSpeed times this)
+            swimUpSpeed: 3.0,    // m/s up (jump) or down (crouch)
+            acceleration: 8      // Horizontal m/s² in water (on land it is 20)
+        },
+        vehicle: {
+            buoyancy: 0.8,       // Fraction of the vehicle's weight pushing up at full submersion (below 1 sinks)
+            drag: 1.5,           // Velocity lost per second, scaled by submersion
+            angularDrag: 1.0,    // Spin lost per second, scaled by submersion
+            stallDepth: 0.5      // Fraction of the chassis under water at which the engine stalls
+        }
+    },
+
     // Network settings
     network: {
         port: 8080,
@@ -154,7 +227,145 @@ export const CONFIG = {
         snapshotBufferSize: 32,  // Number of snapshots to buffer
         inputBufferSize: 64,     // Number of inputs to buffer
         timeout: 10000,          // Connection timeout ms
-        reconnectDelay: 2000     // Reconnect attempt delay ms
+        reconnectDelay: 2000,    // Reconnect attempt delay ms (doubles per failed attempt)
+        maxReconnectDelay: 30000, // Reconnect backoff cap ms
+        sessionGracePeriod: 60000, // ms a disconnected player stays in the world awaiting reconnect
+        snapshotFormats: ['binary', 'json'], // Snapshot encodings, in order of preference
+        interestRadius: 500,     // Entities within this many meters are sent to a client
+        interestHysteresis: 50,  // Extra meters before a visible entity is dropped again
+        chunkStreaming: {
+            bytesPerSecond: 128 * 1024, // Per-client terrain bandwidth budget
+            burstBytes: 64 * 1024,   // Budget that may build up while idle (a bigger chunk waits for a full budget)
+            maxChunksPerTick: 4,
+            maxPendingRequests: 64,  // Queued chunks per client; further requests are dropped
+            aheadBias: 0.5,          // 0-1, how much sooner chunks in the direction of travel are sent
+            pushSpeed: 15,           // m/s, vehicles at least this fast get chunks pushed ahead of them
+            lookahead: 3,            // Seconds of travel to push ahead
+            unloadMargin: 2,         // Chunks beyond clientChunkRadius before a chunk is unloaded
+            cacheSize: 256           // Encoded chunks kept for reuse across clients
+        }
+    },
+
+    // Server-side lag compensation
+    lagCompensation: {
+        historyDuration: 1000,   // ms of player/vehicle transforms kept for rewinding
+        maxRewind: 400           // ms, furthest a client's view may be rewound
+    },
+
+    // Inbound message validation and anti-abuse
+    security: {
+        maxMessageSize: 8192,    // Bytes; larger messages are dropped unparsed
+        rateLimits: {            // Per message type: sustained messages/s (or perTick: per network tick) and burst allowance
+            default: { rate: 10, burst: 20 },
+            player_input: { rate: 60, burst: 30 },
+            vehicle_input: { rate: 60, burst: 30 },
+            snapshot_ack: { perTick: 1.25, burst: 30 },  // Clients ack every snapshot, so this follows the world's tick rate
+            chunk_request: { rate: 20, burst: 50 },
+            chat_message: { rate: 2, burst: 5 },
+            spectator_camera: { rate: 30, burst: 30 },
+            fire: { rate: 20, burst: 10 },
+            item_drop: { rate: 5, burst: 5 }
+        },
+        maxSequenceJump: 300,    // Largest allowed forward jump between input sequence numbers
+        violationWeights: {      // Score added per offence
+            malformed: 5,        // Unparseable, oversized or schema-invalid message
+            unknownType: 5,
+            clamped: 1,          // Value outside its range (clamped and accepted)
+            rateLimited: 1,
+            sequence: 3          // Replayed, reordered or far-ahead input sequence
+        },
+        violationDecay: 2,       // Score points forgiven per second
+        warnScore: 10,           // Violations are logged from this score
+        throttleScore: 30,       // Gameplay messages are dropped for throttleDuration
+        throttleDuration: 3000,  // ms
+        kickScore: 60            // Client is disconnected
+    },
+
+    // Chat
+    chat: {
+        maxLength: 200,          // Characters after sanitization
+        localRadius: 50,         // meters, /local range
+        rateLimit: { messages: 5, interval: 10000 },  // Per client, before "slow down" notices
+        defaultMuteMinutes: 10,  // Admin mute without a duration
+        announceJoinLeave: true  // System messages when players join and leave
+    },
+
+    // Operator console
+    admin: {
+        console: true,           // Read admin commands from stdin
+        websocketPath: null      // e.g. '/admin' to also accept commands over WebSocket from localhost
+    },
+
+    // World persistence
+    persistence: {
+        enabled: true,
+        file: 'data/{instance}.json', // Relative to the server directory, one file per world instance
+        saveInterval: 60000      // ms between periodic saves (also saved on shutdown)
+    },
+
+    // HTTP health and Prometheus metrics endpoint
+    metrics: {
+        enabled: false,          // Serve /healthz and /metrics
+        host: '127.0.0.1',       // Bind address (local scrapes only by default)
+        port: 9464,
+        stallThreshold: 1000     // ms without a game loop iteration before /healthz reports unhealthy
+    },
+
+    // Session recording for deterministic replay (node replay.js <file>)
+    recording: {
+        enabled: false,
+        directory: 'recordings'  // Relative to server/, one gzipped log per world instance per server run
+    },
+
+    // Independent worlds hosted by one server process (clients pick one in HANDSHAKE, the first is the default)
+    instances: {
+        maxPlayers: 100,         // Per-instance player cap unless an entry sets its own
+        worlds: [
+            { id: 'main', name: 'Main World', persistent: true }
+            // { id: 'practice', name: 'Practice Range', seed: 1337, maxPlayers: 16, persistent: false,
+            //   zones: [{ id: 'spawn', kind: 'safe', shape: { type: 'sphere', radius: 30 }, position: { x: 0, y: 10, z: 0 } }] }
+        ]
+    },
+
+    // Trigger volumes (an instance's zones are listed in its instances.worlds entry, or added by plugins)
+    // Zone kinds: 'safe' (no damage inside), 'hazard' (damage inside), 'capture' and 'finish' (events for game modes)
+    zones: {
+        hazardDamagePerSecond: 10,   // Unless a hazard zone's metadata sets damagePerSecond
+        hazardInterval: 1000         // ms between hazard damage ticks
+    },
+
+    // Spectators: clients that watch a world through a free-fly or follow camera, without a player body
+    // (they get snapshots and chunks around the camera; HANDSHAKE role: 'spectator')
+    spectators: {
+        enabled: true,
+        maxPerInstance: 16,      // Spectators don't count against maxPlayers
+        cameraHeight: 40         // Starting camera height above the terrain at the world's centre (m)
+    },
+
+    // Spatial sharding: one world split into regions of chunks, each simulated by its own server process
+    // (run each shard with the same settings and CYBERIA_SHARD=<id>; a sharded server hosts one world instance)
+    sharding: {
+        enabled: false,
+        shardId: null,           // This process's shard (overridden by the CYBERIA_SHARD environment variable)
+        regionSize: 4,           // Region edge in chunks
+        borderWidth: 150,        // Entities this close (meters) to a neighbour's region are mirrored to it
+        handoffMargin: 10,       // Entities must be this far (meters) inside a neighbour's region to be handed over
+        handoffTimeout: 5000,    // ms to wait for a handoff ack before resending it (or retrying a refused one)
+        reconnectDelay: 2000,    // ms between attempts to re-link a lost peer
+        linkPath: '/shard',      // WebSocket path for shard-to-shard links
+        secret: '',              // Shared secret shards authenticate each other with (required)
+        shards: [
+            // The first shard owns every region no shard lists ("regionX,regionZ")
+            // { id: 'west', url: 'ws://localhost:8080', regions: [] },
+            // { id: 'east', url: 'ws://localhost:8081', regions: ['0,0', '0,1', '1,0', '1,1'] }
+        ]
+    },
+
+    // Game-mode plugins: server modules hooking into world instances (see README "Plugins")
+    plugins: {
+        directory: null,         // e.g. 'plugins', relative to server/; each .js file (or folder with index.js) is a plugin
+        enabled: [],             // Plugin names to load from the directory (empty = all of them)
+        options: {}              // Per-plugin settings keyed by plugin name, passed to its constructor
     },
 
     // Message types for network protocol
@@ -162,12 +373,18 @@ export const CONFIG = {
         // Connection
         HANDSHAKE: 'handshake',
         HANDSHAKE_ACK: 'handshake_ack',
+        SESSION_RESUMED: 'session_resumed',
+        INSTANCE_JOINED: 'instance_joined',
+        SHARD_REDIRECT: 'shard_redirect',
         PING: 'ping',
         PONG: 'pong',
+        PONG_ACK: 'pong_ack',
         DISCONNECT: 'disconnect',
+        SPECTATOR_CAMERA: 'spectator_camera',
 
         // Game state
         WORLD_SNAPSHOT: 'world_snapshot',
+        SNAPSHOT_ACK: 'snapshot_ack',
         PLAYER_INPUT: 'player_input',
         INPUT_ACK: 'input_ack',
 
@@ -185,6 +402,13 @@ export const CONFIG = {
         CHUNK_DATA: 'chunk_data',
         CHUNK_UNLOAD: 'chunk_unload',
 
+        // Combat
+        FIRE: 'fire',
+
+        // Items
+        ITEM_DROP: 'item_drop',
+        INVENTORY: 'inventory',
+
         // Chat
         CHAT_MESSAGE: 'chat_message',
 
@@ -199,7 +423,9 @@ export const CONFIG = {
         PROJECTILE: 'projectile',
         ITEM: 'item',
         NPC: 'npc',
-        BUILDING: 'building'
+        BUILDING: 'building',
+        DEBRIS: 'debris',
+        SENSOR: 'sensor'
     },
 
     // Vehicle types
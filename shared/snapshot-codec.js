@@ -0,0 +1,446 @@
+/**
+ * Binary World Snapshot Codec
+ * Used by both server (encoding) and client (decoding)
+ * Quantized, delta-compressed alternative to JSON WORLD_SNAPSHOT messages
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+// Entity collections carried by a snapshot, indexed by entity kind
+const SNAPSHOT_COLLECTIONS = ['players', 'vehicles', 'projectiles', 'items', 'debris'];
+
+// Per-entity field bits
+const FIELDS = {
+    NEW: 0x01,              // Entity is absent from the baseline, record replaces it entirely
+    POSITION: 0x02,
+    ROTATION: 0x04,
+    VELOCITY: 0x08,
+    ANGULAR_VELOCITY: 0x10,
+    WHEELS: 0x20,
+    PROPS: 0x40
+};
+
+// Quantization scales
+const POSITION_SCALE = 256;        // 1/256 m, int32
+const ROTATION_SCALE = 32767;      // Normalized quaternion components, int16
+const VELOCITY_SCALE = 100;        // 1 cm/s, int16 (±327 m/s)
+const ANGULAR_SCALE = 1000;        // 1 mrad/s, int16 (±32 rad/s)
+const WHEEL_SCALE = 10000;         // Wheel lengths and angles, int16
+
+// Fields that are encoded as binary, everything else travels as props
+const PHYSICS_KEYS = new Set(['entityId', 'position', 'rotation', 'velocity', 'angularVelocity', 'wheelStates']);
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function clampInt16(value) {
+    return Math.max(-32768, Math.min(32767, Math.round(value)));
+}
+
+function wrapAngle(angle) {
+    const twoPi = Math.PI * 2;
+    return angle - twoPi * Math.floor((angle + Math.PI) / twoPi);
+}
+
+/**
+ * Growable little-endian byte writer
+ */
+class ByteWriter {
+    constructor(capacity = 1024) {
+        this.buffer = new ArrayBuffer(capacity);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        let capacity = this.buffer.byteLength * 2;
+        while (capacity < this.offset + bytes) capacity *= 2;
+
+        const next = new ArrayBuffer(capacity);
+        new Uint8Array(next).set(new Uint8Array(this.buffer, 0, this.offset));
+        this.buffer = next;
+        this.view = new DataView(next);
+    }
+
+    u8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    u16(value) { this.ensure(2); this.view.setUint16(this.offset, value, true); this.offset += 2; }
+    i16(value) { this.ensure(2); this.view.setInt16(this.offset, value, true); this.offset += 2; }
+    u32(value) { this.ensure(4); this.view.setUint32(this.offset, value >>> 0, true); this.offset += 4; }
+    i32(value) { this.ensure(4); this.view.setInt32(this.offset, value, true); this.offset += 4; }
+    f64(value) { this.ensure(8); this.view.setFloat64(this.offset, value, true); this.offset += 8; }
+
+    bytes(data) {
+        this.ensure(data.length);
+        new Uint8Array(this.buffer, this.offset, data.length).set(data);
+        this.offset += data.length;
+    }
+
+    finish() {
+        return new Uint8Array(this.buffer, 0, this.offset);
+    }
+}
+
+/**
+ * Little-endian byte reader
+ */
+class ByteReader {
+    constructor(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.bytesView = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    u8() { const v = this.view.getUint8(this.offset); this.offset += 1; return v; }
+    u16() { const v = this.view.getUint16(this.offset, true); this.offset += 2; return v; }
+    i16() { const v = this.view.getInt16(this.offset, true); this.offset += 2; return v; }
+    u32() { const v = this.view.getUint32(this.offset, true); this.offset += 4; return v; }
+    i32() { const v = this.view.getInt32(this.offset, true); this.offset += 4; return v; }
+    f64() { const v = this.view.getFloat64(this.offset, true); this.offset += 8; return v; }
+
+    bytes(length) {
+        const v = this.bytesView.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return v;
+    }
+}
+
+/**
+ * Quantize an entity state (as produced by the physics managers) for encoding.
+ * Quantized entities are immutable and shared between all clients for a tick.
+ */
+function quantizeEntity(state, kind) {
+    const q = {
+        entityId: state.entityId,
+        kind,
+        position: null,
+        rotation: null,
+        velocity: null,
+        angularVelocity: null,
+        wheels: null,
+        props: new Map()
+    };
+
+    if (state.position) {
+        q.position = [
+            Math.round(state.position.x * POSITION_SCALE),
+            Math.round(state.position.y * POSITION_SCALE),
+            Math.round(state.position.z * POSITION_SCALE)
+        ];
+    }
+
+    if (state.rotation) {
+        const r = state.rotation;
+        const len = Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z + r.w * r.w) || 1;
+        q.rotation = [
+            clampInt16(r.x / len * ROTATION_SCALE),
+            clampInt16(r.y / len * ROTATION_SCALE),
+            clampInt16(r.z / len * ROTATION_SCALE),
+            clampInt16(r.w / len * ROTATION_SCALE)
+        ];
+    }
+
+    if (state.velocity) {
+        q.velocity = [
+            clampInt16(state.velocity.x * VELOCITY_SCALE),
+            clampInt16(state.velocity.y * VELOCITY_SCALE),
+            clampInt16(state.velocity.z * VELOCITY_SCALE)
+        ];
+    }
+
+    if (state.angularVelocity) {
+        q.angularVelocity = [
+            clampInt16(state.angularVelocity.x * ANGULAR_SCALE),
+            clampInt16(state.angularVelocity.y * ANGULAR_SCALE),
+            clampInt16(state.angularVelocity.z * ANGULAR_SCALE)
+        ];
+    }
+
+    if (state.wheelStates) {
+        q.wheels = state.wheelStates.map(wheel => [
+            clampInt16(wheel.suspensionLength * WHEEL_SCALE),
+            clampInt16(wrapAngle(wheel.rotation) * WHEEL_SCALE),
+            clampInt16(wheel.steerAngle * WHEEL_SCALE),
+            wheel.groundContact ? 1 : 0
+        ]);
+    }
+
+    for (const key of Object.keys(state)) {
+        if (PHYSICS_KEYS.has(key) || state[key] === undefined) continue;
+        q.props.set(key, JSON.stringify(state[key]));
+    }
+
+    return q;
+}
+
+function sameInts(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+function sameWheels(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (!sameInts(a[i], b[i])) return false;
+    }
+    return true;
+}
+
+/**
+ * Which of the entity's binary fields are present
+ */
+function presentFields(q) {
+    let fields = 0;
+    if (q.position) fields |= FIELDS.POSITION;
+    if (q.rotation) fields |= FIELDS.ROTATION;
+    if (q.velocity) fields |= FIELDS.VELOCITY;
+    if (q.angularVelocity) fields |= FIELDS.ANGULAR_VELOCITY;
+    if (q.wheels) fields |= FIELDS.WHEELS;
+    return fields;
+}
+
+/**
+ * Compute the field mask and changed props of an entity against its baseline.
+ * Returns null if nothing changed.
+ */
+function diffEntity(current, baseline) {
+    const present = presentFields(current);
+
+    // Entities whose shape changed (e.g. a player entering a vehicle) are resent whole
+    if (!baseline || baseline.kind !== current.kind || presentFields(baseline) !== present) {
+        return { fields: FIELDS.NEW | present | FIELDS.PROPS, props: current.props };
+    }
+
+    let fields = 0;
+    if (current.position && !sameInts(current.position, baseline.position)) fields |= FIELDS.POSITION;
+    if (current.rotation && !sameInts(current.rotation, baseline.rotation)) fields |= FIELDS.ROTATION;
+    if (current.velocity && !sameInts(current.velocity, baseline.velocity)) fields |= FIELDS.VELOCITY;
+    if (current.angularVelocity && !sameInts(current.angularVelocity, baseline.angularVelocity)) fields |= FIELDS.ANGULAR_VELOCITY;
+    if (current.wheels && !sameWheels(current.wheels, baseline.wheels)) fields |= FIELDS.WHEELS;
+
+    const props = new Map();
+    for (const [key, json] of current.props) {
+        if (baseline.props.get(key) !== json) props.set(key, json);
+    }
+    for (const key of baseline.props.keys()) {
+        if (!current.props.has(key)) props.set(key, 'null');
+    }
+    if (props.size > 0) fields |= FIELDS.PROPS;
+
+    return fields === 0 ? null : { fields, props };
+}
+
+function writeProps(writer, props) {
+    const pairs = [];
+    for (const [key, json] of props) {
+        pairs.push(`${JSON.stringify(key)}:${json}`);
+    }
+    const bytes = textEncoder.encode(`{${pairs.join(',')}}`);
+    writer.u16(bytes.length);
+    writer.bytes(bytes);
+}
+
+/**
+ * Encode a snapshot.
+ * @param {Object} header - { tick, serverTime, baselineTick, yourLastInputSeq }
+ * @param {Array} removed - Net IDs present in the baseline but gone now
+ * @param {Array} records - { netId, entity (quantized), fields, props }
+ * @returns {Uint8Array}
+ */
+function writeSnapshot(header, removed, records) {
+    const writer = new ByteWriter();
+
+    writer.u8(SNAPSHOT_VERSION);
+    writer.u32(header.tick);
+    writer.f64(header.serverTime);
+    writer.u32(header.baselineTick || 0);
+    writer.u32(header.yourLastInputSeq || 0);
+
+    writer.u16(removed.length);
+    for (const netId of removed) writer.u16(netId);
+
+    writer.u16(records.length);
+    for (const { netId, entity, fields, props } of records) {
+        writer.u16(netId);
+        writer.u8(fields);
+
+        if (fields & FIELDS.NEW) {
+            const idBytes = textEncoder.encode(entity.entityId);
+            writer.u8(entity.kind);
+            writer.u8(idBytes.length);
+            writer.bytes(idBytes);
+        }
+        if (fields & FIELDS.POSITION) entity.position.forEach(v => writer.i32(v));
+        if (fields & FIELDS.ROTATION) entity.rotation.forEach(v => writer.i16(v));
+        if (fields & FIELDS.VELOCITY) entity.velocity.forEach(v => writer.i16(v));
+        if (fields & FIELDS.ANGULAR_VELOCITY) entity.angularVelocity.forEach(v => writer.i16(v));
+        if (fields & FIELDS.WHEELS) {
+            writer.u8(entity.wheels.length);
+            for (const [suspension, rotation, steer, contact] of entity.wheels) {
+                writer.i16(suspension);
+                writer.i16(rotation);
+                writer.i16(steer);
+                writer.u8(contact);
+            }
+        }
+        if (fields & FIELDS.PROPS) writeProps(writer, props);
+    }
+
+    return writer.finish();
+}
+
+/**
+ * Parse an encoded snapshot into its header and raw entity records
+ */
+function readSnapshot(data) {
+    const reader = new ByteReader(data);
+
+    const version = reader.u8();
+    if (version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version: ${version}`);
+    }
+
+    const snapshot = {
+        tick: reader.u32(),
+        serverTime: reader.f64(),
+        baselineTick: reader.u32(),
+        yourLastInputSeq: reader.u32(),
+        removed: [],
+        records: []
+    };
+
+    const removedCount = reader.u16();
+    for (let i = 0; i < removedCount; i++) snapshot.removed.push(reader.u16());
+
+    const recordCount = reader.u16();
+    for (let i = 0; i < recordCount; i++) {
+        const record = { netId: reader.u16(), fields: reader.u8() };
+        const fields = record.fields;
+
+        if (fields & FIELDS.NEW) {
+            record.kind = reader.u8();
+            record.entityId = textDecoder.decode(reader.bytes(reader.u8()));
+        }
+        if (fields & FIELDS.POSITION) {
+            record.position = {
+                x: reader.i32() / POSITION_SCALE,
+                y: reader.i32() / POSITION_SCALE,
+                z: reader.i32() / POSITION_SCALE
+            };
+        }
+        if (fields & FIELDS.ROTATION) {
+            record.rotation = {
+                x: reader.i16() / ROTATION_SCALE,
+                y: reader.i16() / ROTATION_SCALE,
+                z: reader.i16() / ROTATION_SCALE,
+                w: reader.i16() / ROTATION_SCALE
+            };
+        }
+        if (fields & FIELDS.VELOCITY) {
+            record.velocity = {
+                x: reader.i16() / VELOCITY_SCALE,
+                y: reader.i16() / VELOCITY_SCALE,
+                z: reader.i16() / VELOCITY_SCALE
+            };
+        }
+        if (fields & FIELDS.ANGULAR_VELOCITY) {
+            record.angularVelocity = {
+                x: reader.i16() / ANGULAR_SCALE,
+                y: reader.i16() / ANGULAR_SCALE,
+                z: reader.i16() / ANGULAR_SCALE
+            };
+        }
+        if (fields & FIELDS.WHEELS) {
+            const count = reader.u8();
+            record.wheelStates = [];
+            for (let w = 0; w < count; w++) {
+                record.wheelStates.push({
+                    suspensionLength: reader.i16() / WHEEL_SCALE,
+                    rotation: reader.i16() / WHEEL_SCALE,
+                    steerAngle: reader.i16() / WHEEL_SCALE,
+                    groundContact: reader.u8() === 1
+                });
+            }
+        }
+        if (fields & FIELDS.PROPS) {
+            record.props = JSON.parse(textDecoder.decode(reader.bytes(reader.u16())));
+        }
+
+        snapshot.records.push(record);
+    }
+
+    return snapshot;
+}
+
+/**
+ * Apply a parsed snapshot to its baseline entity table.
+ * @param {Map|null} baseline - netId -> { kind, entityId, state } of the baseline tick
+ * @param {Object} snapshot - Result of readSnapshot()
+ * @returns {Map} The entity table for the snapshot's tick
+ */
+function applySnapshot(baseline, snapshot) {
+    const entities = new Map(baseline || []);
+
+    for (const netId of snapshot.removed) {
+        entities.delete(netId);
+    }
+
+    for (const record of snapshot.records) {
+        const previous = record.fields & FIELDS.NEW ? null : entities.get(record.netId);
+        if (!previous && !(record.fields & FIELDS.NEW)) {
+            throw new Error(`Snapshot delta references unknown entity ${record.netId}`);
+        }
+
+        const state = previous ? { ...previous.state } : { entityId: record.entityId };
+        for (const key of ['position', 'rotation', 'velocity', 'angularVelocity', 'wheelStates']) {
+            if (record[key]) state[key] = record[key];
+        }
+        if (record.props) Object.assign(state, record.props);
+
+        entities.set(record.netId, {
+            kind: previous ? previous.kind : record.kind,
+            entityId: state.entityId,
+            state
+        });
+    }
+
+    return entities;
+}
+
+/**
+ * Group an entity table into snapshot collections ({ players: [], vehicles: [], projectiles: [], items: [], debris: [] })
+ */
+function collectEntities(entities) {
+    const collections = {};
+    for (const name of SNAPSHOT_COLLECTIONS) collections[name] = [];
+
+    for (const entity of entities.values()) {
+        const name = SNAPSHOT_COLLECTIONS[entity.kind];
+        if (name) collections[name].push(entity.state);
+    }
+
+    return collections;
+}
+
+export const SnapshotCodec = {
+    VERSION: SNAPSHOT_VERSION,
+    COLLECTIONS: SNAPSHOT_COLLECTIONS,
+    FIELDS,
+    quantizeEntity,
+    diffEntity,
+    writeSnapshot,
+    readSnapshot,
+    applySnapshot,
+    collectEntities
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotCodec;
+} else if (typeof window !== 'undefined') {
+    window.SnapshotCodec = SnapshotCodec;
+}
@@ -292,14 +292,12 @@ function generateChunkHeightmap(chunkX, chunkZ, chunkSize, resolution, seed = 77
 }
 
 /**
- * Check if a position is in water
+ * Check if a position is in water (marsh and oasis hollows below the water level are flooded)
  */
-function isWater(x, z, seed = 7777) {
+function isWater(x, z, seed = 7777, waterLevel = -2) {
     const height = getTerrainHeight(x, z, seed);
     const biome = getBiomeAt(x, z, seed);
 
-    // Water level
-    const waterLevel = -2;
     return height < waterLevel && (biome === 'marsh' || biome === 'oasis');
 }
 